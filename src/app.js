@@ -15,21 +15,37 @@ import {
 import {
   apiLimiter,
   authLimiter,
+  oauthLimiter,
+  passwordResetLimiter,
+  reportLimiter,
   uploadLimiter,
 } from "./middlewares/rateLimit.middleware.js";
+import adminRouter from "./routes/admin.routes.js";
 import commentRouter from "./routes/comment.routes.js";
 import dashboardRouter from "./routes/dashboard.routes.js";
+import eventsRouter from "./routes/events.routes.js";
+import feedRouter from "./routes/feed.routes.js";
 import healthCheckRouter from "./routes/healthCheck.routes.js";
 import likeRouter from "./routes/like.routes.js";
+import mediaRouter from "./routes/media.routes.js";
+import moderationRouter from "./routes/moderation.routes.js";
+import notificationRouter from "./routes/notification.routes.js";
+import oauthRouter from "./routes/oauth.routes.js";
+import playbackRouter from "./routes/playback.routes.js";
 import playlistRouter from "./routes/playlist.routes.js";
+import searchRouter from "./routes/search.routes.js";
 import subscriptionRouter from "./routes/subscription.routes.js";
 import tweetRouter from "./routes/tweet.routes.js";
+import uploadRouter from "./routes/upload.routes.js";
 import userRouter from "./routes/user.routes.js";
 import videoRouter from "./routes/video.routes.js";
+import { mediaUrlReplacer } from "./utils/storage/index.js";
 
 const app = express();
 
 app.set("trust proxy", 1);
+// Stored media URLs that expire are re-signed on the way out
+app.set("json replacer", mediaUrlReplacer);
 
 app.use(
   cors({
@@ -65,17 +81,41 @@ if (process.env.NODE_ENV === "development") {
   app.use(requestLogger);
 }
 
+// Signed media URLs issued by the local storage driver
+app.use("/media", mediaRouter);
+
+// Upload routes apply the API limiter themselves, except to chunks
+app.use("/api/v1/uploads", uploadRouter);
+
+// Players send frequent heartbeats; the router has its own limiter
+app.use("/api/v1/playback", playbackRouter);
+
+// Search applies the API limiter itself; autocomplete has a higher limit
+app.use(
+  "/api/v1/search",
+  cacheMiddleware(CACHE_DURATIONS.VERY_SHORT),
+  searchRouter
+);
+
 // Apply rate limiting to all API routes
 app.use("/api/v1/", apiLimiter);
 
 // Cache public routes
 app.use("/api/v1/videos", cacheMiddleware(CACHE_DURATIONS.SHORT), videoRouter);
+// Feeds are cached per viewer
+app.use(
+  "/api/v1/feed",
+  cacheMiddleware(CACHE_DURATIONS.VERY_SHORT),
+  feedRouter
+);
 app.use("/api/v1/healthCheck", healthCheckRouter);
 
 // Apply auth rate limiting to authentication routes
 app.use("/api/v1/users/login", authLimiter);
 app.use("/api/v1/users/register", authLimiter);
+app.use("/api/v1/users/password", passwordResetLimiter);
 app.use("/api/v1/users", userRouter);
+app.use("/api/v1/auth/oauth", oauthLimiter, oauthRouter);
 
 // Apply upload rate limiting to video uploads
 app.use("/api/v1/videos/upload", uploadLimiter);
@@ -86,11 +126,16 @@ app.use("/api/v1/subscriptions", subscriptionRouter);
 app.use("/api/v1/playlist", playlistRouter);
 app.use("/api/v1/likes", likeRouter);
 app.use("/api/v1/comments", commentRouter);
+app.use("/api/v1/notifications", notificationRouter);
+app.use("/api/v1/events", eventsRouter);
 app.use(
   "/api/v1/dashboard",
   cacheMiddleware(CACHE_DURATIONS.SHORT),
   dashboardRouter
 );
+app.use("/api/v1/moderation/reports", reportLimiter);
+app.use("/api/v1/moderation", moderationRouter);
+app.use("/api/v1/admin", adminRouter);
 
 app.use((req, res) => {
   if (req.originalUrl.startsWith("/api/")) {
@@ -0,0 +1,595 @@
+import { isValidObjectId } from "mongoose";
+import {
+  clearVideoCache,
+  clearVideoListCache,
+} from "../middlewares/cache.middleware.js";
+import { Comment } from "../models/comment.models.js";
+import { EMAIL_STATUSES, Email } from "../models/email.models.js";
+import { JOB_STATUSES, Job } from "../models/job.models.js";
+import { Like } from "../models/like.models.js";
+import { Subscription } from "../models/subscription.models.js";
+import { Tweet } from "../models/tweet.models.js";
+import { ACCOUNT_STATUSES, User } from "../models/user.models.js";
+import { Video } from "../models/video.models.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import {
+  PURGEABLE_CONTENT,
+  purgeUserContent,
+  removeVideo,
+  takeDownVideo,
+} from "../utils/contentRemoval.js";
+import { cancelJob, retryJob } from "../utils/jobQueue.js";
+import {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  USER_ROLES,
+  hasPermission,
+} from "../utils/permissions.js";
+import { escapeRegex } from "../utils/search.js";
+import { listActiveSessions, revokeUserSessions } from "../utils/sessions.js";
+import { buildVideoStatsPipeline } from "../utils/videoStats.js";
+
+const findJobOrThrow = async (jobId) => {
+  if (!isValidObjectId(jobId)) {
+    throw ApiError.badRequest("Invalid job ID");
+  }
+
+  const job = await Job.findById(jobId).lean();
+  if (!job) throw ApiError.notFound("Job not found");
+  return job;
+};
+
+export const listJobs = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+  const { status, type } = req.query;
+
+  if (status && !JOB_STATUSES.includes(status)) {
+    throw ApiError.badRequest(
+      `Invalid status. Expected one of: ${JOB_STATUSES.join(", ")}`
+    );
+  }
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (type) filter.type = String(type);
+
+  const [jobs, total, statusCounts] = await Promise.all([
+    Job.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Job.countDocuments(filter),
+    Job.aggregate([
+      { $match: type ? { type: String(type) } : {} },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const response = ApiResponse.paginated(
+    jobs,
+    { page, limit, total },
+    "Jobs fetched successfully"
+  );
+  response.data.counts = Object.fromEntries(
+    statusCounts.map(({ _id, count }) => [_id, count])
+  );
+
+  return ApiResponse.sendResponse(res, response);
+});
+
+export const getJob = asyncHandler(async (req, res) => {
+  const job = await findJobOrThrow(req.params.jobId);
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(job, "Job fetched successfully")
+  );
+});
+
+export const retryDeadJob = asyncHandler(async (req, res) => {
+  const job = await findJobOrThrow(req.params.jobId);
+
+  const retried = await retryJob(job._id);
+  if (!retried) {
+    throw ApiError.conflict(
+      `Only dead or cancelled jobs can be retried (job is ${job.status})`
+    );
+  }
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(retried.toObject(), "Job queued for retry")
+  );
+});
+
+export const cancelPendingJob = asyncHandler(async (req, res) => {
+  const job = await findJobOrThrow(req.params.jobId);
+
+  const cancelled = await cancelJob(job._id);
+  if (!cancelled) {
+    throw ApiError.conflict(
+      `Only pending jobs can be cancelled (job is ${job.status})`
+    );
+  }
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(cancelled.toObject(), "Job cancelled")
+  );
+});
+
+// Outbox audit trail; bodies are never listed
+export const listEmails = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+  const { status, template, to } = req.query;
+
+  if (status && !EMAIL_STATUSES.includes(status)) {
+    throw ApiError.badRequest(
+      `Invalid status. Expected one of: ${EMAIL_STATUSES.join(", ")}`
+    );
+  }
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (template) filter.template = String(template);
+  if (to) filter.to = String(to).trim().toLowerCase();
+
+  const [emails, total] = await Promise.all([
+    Email.find(filter)
+      .select("-html -text")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Email.countDocuments(filter),
+  ]);
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.paginated(
+      emails,
+      { page, limit, total },
+      "Emails fetched successfully"
+    )
+  );
+});
+
+export const listRoles = asyncHandler(async (req, res) => {
+  const roles = USER_ROLES.map((role) => ({
+    role,
+    permissions: ROLE_PERMISSIONS[role],
+  }));
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(roles, "Roles fetched successfully")
+  );
+});
+
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body || {};
+
+  if (!isValidObjectId(userId)) {
+    throw ApiError.badRequest("Invalid user ID");
+  }
+  if (!USER_ROLES.includes(role)) {
+    throw ApiError.badRequest(
+      `Invalid role. Expected one of: ${USER_ROLES.join(", ")}`
+    );
+  }
+  // Keeps the platform from being left without an admin by accident
+  if (userId === req.user._id.toString() && role !== "admin") {
+    throw ApiError.badRequest("You cannot remove your own admin role");
+  }
+
+  const user = await User.findById(userId).select("username email role");
+  if (!user) throw ApiError.notFound("User not found");
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save({ validateModifiedOnly: true });
+
+  console.info("User role changed:", {
+    userId: user._id,
+    from: previousRole,
+    to: role,
+    changedBy: req.user._id,
+    timestamp: new Date().toISOString(),
+  });
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(user.toObject(), "User role updated successfully")
+  );
+});
+
+const USER_LIST_FIELDS =
+  "username email fullname avatar role accountStatus restriction isEmailVerified twoFactor.enabled createdAt";
+
+const readPagination = (query) => ({
+  page: Math.max(1, parseInt(query.page) || 1),
+  limit: Math.min(Math.max(1, parseInt(query.limit) || 20), 100),
+});
+
+// Suspensions, bans and takedowns always record why
+const readReason = (body) => {
+  const reason = typeof body?.reason === "string" ? body.reason.trim() : "";
+  if (!reason || reason.length > 500) {
+    throw ApiError.badRequest("A reason of 1 to 500 characters is required");
+  }
+  return reason;
+};
+
+const readDate = (value, name) => {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw ApiError.badRequest(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+const findUserOrThrow = async (userId) => {
+  if (!isValidObjectId(userId)) {
+    throw ApiError.badRequest("Invalid user ID");
+  }
+
+  const user = await User.findById(userId);
+  if (!user) throw ApiError.notFound("User not found");
+  return user;
+};
+
+const findVideoOrThrow = async (videoId) => {
+  if (!isValidObjectId(videoId)) {
+    throw ApiError.badRequest("Invalid video ID");
+  }
+
+  const video = await Video.findById(videoId);
+  if (!video) throw ApiError.notFound("Video not found");
+  return video;
+};
+
+// Search matches username, email and full name
+export const listUsers = asyncHandler(async (req, res) => {
+  const { page, limit } = readPagination(req.query);
+  const { search, role, status } = req.query;
+
+  if (role && !USER_ROLES.includes(role)) {
+    throw ApiError.badRequest(
+      `Invalid role. Expected one of: ${USER_ROLES.join(", ")}`
+    );
+  }
+  if (status && !ACCOUNT_STATUSES.includes(status)) {
+    throw ApiError.badRequest(
+      `Invalid status. Expected one of: ${ACCOUNT_STATUSES.join(", ")}`
+    );
+  }
+
+  const filter = {};
+  if (role) filter.role = role;
+  if (status) filter.accountStatus = status;
+  if (search) {
+    const pattern = new RegExp(
+      escapeRegex(String(search).trim().slice(0, 100)),
+      "i"
+    );
+    filter.$or = [
+      { username: pattern },
+      { email: pattern },
+      { fullname: pattern },
+    ];
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select(USER_LIST_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    User.countDocuments(filter),
+  ]);
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.paginated(
+      users,
+      { page, limit, total },
+      "Users fetched successfully"
+    )
+  );
+});
+
+export const getUser = asyncHandler(async (req, res) => {
+  const user = await findUserOrThrow(req.params.userId);
+
+  const [videos, comments, tweets, subscribers, sessions] = await Promise.all([
+    Video.countDocuments({ owner: user._id }),
+    Comment.countDocuments({ owner: user._id }),
+    Tweet.countDocuments({ owner: user._id }),
+    Subscription.countDocuments({ channel: user._id }),
+    listActiveSessions(user._id),
+  ]);
+
+  const profile = user.toObject();
+  delete profile.password;
+  delete profile.passwordResetTokenHash;
+  delete profile.passwordResetExpiresAt;
+  delete profile.watchHistory;
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      {
+        ...profile,
+        counts: { videos, comments, tweets, subscribers },
+        activeSessions: sessions.length,
+      },
+      "User fetched successfully"
+    )
+  );
+});
+
+// Suspending or banning signs the user out everywhere; verifyJWT and the
+// login flows refuse the account until it is reinstated
+const restrictAccount = (status) =>
+  asyncHandler(async (req, res) => {
+    const reason = readReason(req.body);
+    const until =
+      status === "suspended" ? readDate(req.body?.until, "until") : undefined;
+    if (until && until <= new Date()) {
+      throw ApiError.badRequest("until must be in the future");
+    }
+
+    if (req.params.userId === req.user._id.toString()) {
+      throw ApiError.badRequest("You cannot restrict your own account");
+    }
+    const user = await findUserOrThrow(req.params.userId);
+    if (hasPermission(user, PERMISSIONS.ADMIN_ACCESS)) {
+      throw ApiError.forbidden(
+        "Admins must be given another role before they can be restricted"
+      );
+    }
+
+    user.accountStatus = status;
+    user.restriction = { reason, until, by: req.user._id, at: new Date() };
+    await user.save({ validateModifiedOnly: true });
+    await revokeUserSessions(user._id, "account_restricted");
+
+    console.info("User account restricted:", {
+      userId: user._id,
+      status,
+      until,
+      by: req.user._id,
+      timestamp: new Date().toISOString(),
+    });
+
+    return ApiResponse.sendResponse(
+      res,
+      ApiResponse.ok(
+        {
+          _id: user._id,
+          accountStatus: user.accountStatus,
+          restriction: user.restriction,
+        },
+        status === "banned" ? "User banned" : "User suspended"
+      )
+    );
+  });
+
+export const suspendUser = restrictAccount("suspended");
+export const banUser = restrictAccount("banned");
+
+export const reinstateUser = asyncHandler(async (req, res) => {
+  const user = await findUserOrThrow(req.params.userId);
+
+  if (user.accountStatus === "active") {
+    throw ApiError.conflict("Account is not suspended or banned");
+  }
+
+  user.accountStatus = "active";
+  user.restriction = undefined;
+  await user.save({ validateModifiedOnly: true });
+
+  console.info("User account reinstated:", {
+    userId: user._id,
+    by: req.user._id,
+    timestamp: new Date().toISOString(),
+  });
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      { _id: user._id, accountStatus: user.accountStatus },
+      "User reinstated"
+    )
+  );
+});
+
+// ?types=videos,comments,tweets; all of them by default
+export const deleteUserContent = asyncHandler(async (req, res) => {
+  const user = await findUserOrThrow(req.params.userId);
+
+  const types = req.query.types
+    ? String(req.query.types)
+        .split(",")
+        .map((type) => type.trim())
+        .filter(Boolean)
+    : PURGEABLE_CONTENT;
+  const unknown = types.filter((type) => !PURGEABLE_CONTENT.includes(type));
+  if (unknown.length > 0 || types.length === 0) {
+    throw ApiError.badRequest(
+      `Invalid content types. Expected any of: ${PURGEABLE_CONTENT.join(", ")}`
+    );
+  }
+
+  const deleted = await purgeUserContent(user._id, [...new Set(types)]);
+  if (deleted.videos > 0) clearVideoListCache();
+
+  console.info("User content purged:", {
+    userId: user._id,
+    deleted,
+    by: req.user._id,
+    timestamp: new Date().toISOString(),
+  });
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok({ deleted }, "User content purged")
+  );
+});
+
+// Makes the video private and keeps the owner from publishing it again
+export const unpublishVideo = asyncHandler(async (req, res) => {
+  const reason = readReason(req.body);
+  const video = await findVideoOrThrow(req.params.videoId);
+
+  if (video.takedown?.at) {
+    throw ApiError.conflict("Video is already unpublished");
+  }
+
+  await takeDownVideo(video, { by: req.user._id, reason });
+
+  console.info("Video unpublished by admin:", {
+    videoId: video._id,
+    owner: video.owner,
+    by: req.user._id,
+    timestamp: new Date().toISOString(),
+  });
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(video.toObject(), "Video unpublished")
+  );
+});
+
+// Lifts a takedown; the video stays private until its owner publishes it
+export const restoreVideo = asyncHandler(async (req, res) => {
+  const video = await findVideoOrThrow(req.params.videoId);
+
+  if (!video.takedown?.at) {
+    throw ApiError.conflict("Video is not unpublished");
+  }
+
+  video.takedown = undefined;
+  await video.save();
+  clearVideoCache(video._id);
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(video.toObject(), "Video takedown lifted")
+  );
+});
+
+export const purgeVideo = asyncHandler(async (req, res) => {
+  const video = await findVideoOrThrow(req.params.videoId);
+
+  await removeVideo(video);
+  clearVideoListCache();
+
+  console.info("Video purged by admin:", {
+    videoId: video._id,
+    owner: video.owner,
+    by: req.user._id,
+    timestamp: new Date().toISOString(),
+  });
+
+  return ApiResponse.sendResponse(res, ApiResponse.ok(null, "Video purged"));
+});
+
+const countBy = (groups, fallback = "none") =>
+  Object.fromEntries(groups.map(({ _id, count }) => [_id ?? fallback, count]));
+
+// Platform-wide counterpart of the creator dashboard stats. The optional
+// startDate/endDate range applies to when items were created.
+export const getPlatformStats = asyncHandler(async (req, res) => {
+  const startDate = readDate(req.query.startDate, "startDate");
+  const endDate = readDate(req.query.endDate, "endDate");
+
+  const dateFilter = {};
+  if (startDate || endDate) {
+    dateFilter.createdAt = {};
+    if (startDate) dateFilter.createdAt.$gte = startDate;
+    if (endDate) dateFilter.createdAt.$lte = endDate;
+  }
+
+  const [
+    [videoStats],
+    [userStats],
+    processing,
+    comments,
+    tweets,
+    likes,
+    subscriptions,
+  ] = await Promise.all([
+    Video.aggregate(buildVideoStatsPipeline(dateFilter)),
+    User.aggregate([
+      { $match: dateFilter },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          byRole: [{ $group: { _id: "$role", count: { $sum: 1 } } }],
+          byStatus: [{ $group: { _id: "$accountStatus", count: { $sum: 1 } } }],
+          monthlySignups: [
+            {
+              $group: {
+                _id: {
+                  year: { $year: "$createdAt" },
+                  month: { $month: "$createdAt" },
+                },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { "_id.year": -1, "_id.month": -1 } },
+            { $limit: 12 },
+          ],
+        },
+      },
+    ]),
+    Video.aggregate([
+      { $match: dateFilter },
+      { $group: { _id: "$processing.status", count: { $sum: 1 } } },
+    ]),
+    Comment.countDocuments(dateFilter),
+    Tweet.countDocuments(dateFilter),
+    Like.countDocuments(dateFilter),
+    Subscription.countDocuments(dateFilter),
+  ]);
+
+  const videoOverview = videoStats?.overview[0] || {};
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      {
+        users: {
+          total: userStats?.total[0]?.count || 0,
+          byRole: countBy(userStats?.byRole || []),
+          byStatus: countBy(userStats?.byStatus || []),
+          monthlySignups: userStats?.monthlySignups || [],
+        },
+        videos: {
+          totalVideos: videoOverview.totalVideos || 0,
+          publishedVideos: videoOverview.publishedVideos || 0,
+          unlistedVideos: videoOverview.unlistedVideos || 0,
+          privateVideos: videoOverview.privateVideos || 0,
+          scheduledVideos: videoOverview.scheduledVideos || 0,
+          totalViews: videoOverview.totalViews || 0,
+          totalDuration: Math.round(videoOverview.totalDuration || 0),
+          // Videos uploaded before the processing pipeline count as ready
+          processing: countBy(processing, "ready"),
+          topVideos: videoStats?.topVideos || [],
+          monthlyStats: videoStats?.monthlyStats || [],
+        },
+        engagement: { comments, tweets, likes, subscriptions },
+      },
+      "Platform statistics fetched successfully"
+    )
+  );
+});
@@ -5,6 +5,14 @@ import { Like } from "../models/like.models.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import asyncHandler from "../utils/asyncHandler.js";
+import {
+  dispatchMentions,
+  dispatchNotification,
+  toPreview,
+} from "../utils/notifications.js";
+import { holdComment } from "../utils/moderation.js";
+import { canManage, PERMISSIONS } from "../utils/permissions.js";
+import { publishVideoCounts } from "../utils/realtime.js";
 import { z } from "zod";
 
 // Validation schemas
@@ -14,6 +22,10 @@ const commentSchema = z.object({
     .trim()
     .min(1, "Comment content cannot be empty")
     .max(500, "Comment content must be at most 500 characters"),
+  parentCommentId: z
+    .string()
+    .refine(isValidObjectId, "Invalid parent comment ID")
+    .optional(),
 });
 
 const updateCommentSchema = z.object({
@@ -31,9 +43,13 @@ const paginationSchema = z.object({
 });
 
 // Helper functions
-const verifyVideoExists = async (videoId) => {
-  const video = await Video.findById(videoId)
-    .select("_id isPublished")
+// Private and scheduled videos are only visible to their owner
+const verifyVideoExists = async (videoId, userId) => {
+  const video = await Video.findOne({
+    _id: videoId,
+    ...Video.viewableFilter(userId),
+  })
+    .select("_id visibility")
     .lean()
     .exec();
 
@@ -41,14 +57,11 @@ const verifyVideoExists = async (videoId) => {
     throw ApiError.notFound("Video not found");
   }
 
-  if (!video.isPublished) {
-    throw ApiError.badRequest("Cannot comment on unpublished video");
-  }
-
   return video;
 };
 
-const checkCommentOwnership = async (commentId, userId) => {
+// Moderators may modify any comment
+const checkCommentOwnership = async (commentId, user) => {
   const comment = await Comment.findById(commentId)
     .select("_id owner")
     .lean()
@@ -58,7 +71,7 @@ const checkCommentOwnership = async (commentId, userId) => {
     throw ApiError.notFound("Comment not found");
   }
 
-  if (comment.owner.toString() !== userId.toString()) {
+  if (!canManage(user, comment.owner, PERMISSIONS.MODERATE_COMMENTS)) {
     throw ApiError.forbidden(
       "Access denied. You can only modify your own comments"
     );
@@ -69,7 +82,12 @@ const checkCommentOwnership = async (commentId, userId) => {
 
 const buildCommentAggregation = (videoId, userId, sortOptions, skip, limit) => {
   const pipeline = [
-    { $match: { video: new mongoose.Types.ObjectId(videoId) } },
+    {
+      $match: {
+        video: new mongoose.Types.ObjectId(videoId),
+        ...Comment.visibleFilter(userId),
+      },
+    },
 
     // Lookup owner information
     {
@@ -134,6 +152,8 @@ const buildCommentAggregation = (videoId, userId, sortOptions, skip, limit) => {
         likesCount: 1,
         isLikedByUser: 1,
         isOwner: 1,
+        // Lets authors see that their comment is held or hidden
+        moderationStatus: 1,
       },
     },
 
@@ -158,7 +178,7 @@ const getVideoComments = asyncHandler(async (req, res) => {
   }
 
   // Verify video exists in parallel with comment aggregation setup
-  const verifyVideoPromise = verifyVideoExists(videoId);
+  const verifyVideoPromise = verifyVideoExists(videoId, req.user?._id);
 
   const skip = (page - 1) * limit;
   const userId = req.user?._id;
@@ -191,7 +211,10 @@ const getVideoComments = asyncHandler(async (req, res) => {
     const [_, comments, totalComments] = await Promise.all([
       verifyVideoPromise,
       Comment.aggregate(pipeline).exec(),
-      Comment.countDocuments({ video: videoId }).exec(),
+      Comment.countDocuments({
+        video: videoId,
+        ...Comment.visibleFilter(userId),
+      }).exec(),
     ]);
 
     const totalPages = Math.ceil(totalComments / limit);
@@ -238,10 +261,25 @@ const addComment = asyncHandler(async (req, res) => {
     throw ApiError.badRequest(errorMessage);
   }
 
-  const { content } = validateData.data;
+  const { content, parentCommentId } = validateData.data;
 
   // Verify video exists before creating comment
-  await verifyVideoExists(videoId);
+  await verifyVideoExists(videoId, userId);
+
+  // Replies must belong to a comment on the same video
+  let parentComment = null;
+  if (parentCommentId) {
+    parentComment = await Comment.findOne({
+      _id: parentCommentId,
+      video: videoId,
+    })
+      .select("_id owner")
+      .lean()
+      .exec();
+    if (!parentComment) {
+      throw ApiError.notFound("Parent comment not found");
+    }
+  }
 
   try {
     // Create comment
@@ -249,8 +287,28 @@ const addComment = asyncHandler(async (req, res) => {
       content,
       video: videoId,
       owner: userId,
+      parentComment: parentComment?._id ?? null,
     });
 
+    if (parentComment) {
+      dispatchNotification({
+        recipient: parentComment.owner,
+        type: "reply",
+        actor: userId,
+        target: { kind: "comment", id: comment._id },
+        video: comment.video,
+        preview: toPreview(content),
+        groupKey: `reply:${parentComment._id}`,
+      });
+    }
+    dispatchMentions({
+      text: content,
+      actor: userId,
+      target: { kind: "comment", id: comment._id },
+      video: comment.video,
+    });
+    publishVideoCounts(comment.video);
+
     // Fetch the created comment with populated data
     const populatedComment = await Comment.findById(comment._id)
       .populate("owner", "username avatar fullName")
@@ -263,7 +321,7 @@ const addComment = asyncHandler(async (req, res) => {
       ...populatedComment,
       likesCount: 0,
       isLikedByUser: false,
-      isOwner: true,
+      isOwner: updatedComment.owner?._id?.toString() === userId.toString(),
     };
 
     return ApiResponse.sendResponse(
@@ -300,7 +358,7 @@ const updateComment = asyncHandler(async (req, res) => {
   const { content } = validateData.data;
 
   // Verify ownership
-  await checkCommentOwnership(commentId, userId);
+  await checkCommentOwnership(commentId, req.user);
 
   try {
     // Update comment with optimistic concurrency
@@ -368,11 +426,12 @@ const deleteComment = asyncHandler(async (req, res) => {
   }
 
   // Verify ownership
-  await checkCommentOwnership(commentId, userId);
+  await checkCommentOwnership(commentId, req.user);
 
   try {
     // Use transaction for atomic operations
     const session = await mongoose.startSession();
+    let videoId;
 
     await session.withTransaction(async () => {
       // Delete comment
@@ -385,6 +444,7 @@ const deleteComment = asyncHandler(async (req, res) => {
       if (!deletedComment) {
         throw ApiError.notFound("Comment not found");
       }
+      videoId = deletedComment.video;
 
       // Delete associated likes
       await Like.deleteMany({
@@ -396,6 +456,7 @@ const deleteComment = asyncHandler(async (req, res) => {
     });
 
     await session.endSession();
+    publishVideoCounts(videoId);
 
     return ApiResponse.sendResponse(
       res,
@@ -423,7 +484,12 @@ const getCommentById = asyncHandler(async (req, res) => {
   try {
     // Use aggregation for consistent data structure
     const commentAggregation = await Comment.aggregate([
-      { $match: { _id: new mongoose.Types.ObjectId(commentId) } },
+      {
+        $match: {
+          _id: new mongoose.Types.ObjectId(commentId),
+          ...Comment.visibleFilter(userId),
+        },
+      },
 
       // Lookup owner
       {
@@ -500,6 +566,7 @@ const getCommentById = asyncHandler(async (req, res) => {
           likesCount: 1,
           isLikedByUser: 1,
           isOwner: 1,
+          moderationStatus: 1,
         },
       },
     ]).exec();
@@ -547,7 +614,12 @@ const getCommentsByUser = asyncHandler(async (req, res) => {
   try {
     const [comments, totalComments] = await Promise.all([
       Comment.aggregate([
-        { $match: { owner: new mongoose.Types.ObjectId(userId) } },
+        {
+          $match: {
+            owner: new mongoose.Types.ObjectId(userId),
+            ...Comment.visibleFilter(requestingUserId),
+          },
+        },
 
         // Lookup video info
         {
@@ -556,15 +628,13 @@ const getCommentsByUser = asyncHandler(async (req, res) => {
             localField: "video",
             foreignField: "_id",
             as: "video",
-            pipeline: [
-              { $project: { title: 1, thumbnail: 1, isPublished: 1 } },
-            ],
+            pipeline: [{ $project: { title: 1, thumbnail: 1, visibility: 1 } }],
           },
         },
         { $unwind: "$video" },
 
-        // Only show comments on published videos
-        { $match: { "video.isPublished": true } },
+        // Only show comments on videos that can still be opened by link
+        { $match: { "video.visibility": { $in: ["public", "unlisted"] } } },
 
         // Lookup owner info
         {
@@ -643,6 +713,7 @@ const getCommentsByUser = asyncHandler(async (req, res) => {
 
       Comment.countDocuments({
         owner: userId,
+        ...Comment.visibleFilter(requestingUserId),
         // Note: We'd need another aggregation to properly count only published video comments
       }).exec(),
     ]);
@@ -672,6 +743,26 @@ const getCommentsByUser = asyncHandler(async (req, res) => {
   }
 });
 
+// Creators can hold comments on their videos for review; the comment is
+// hidden from everyone but its author until approved
+const holdCommentForReview = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  if (!isValidObjectId(commentId)) {
+    throw ApiError.badRequest("Invalid comment ID provided");
+  }
+
+  const moderationCase = await holdComment(commentId, req.user);
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      { commentId, caseId: moderationCase._id, status: moderationCase.status },
+      "Comment held for review"
+    )
+  );
+});
+
 export {
   getVideoComments,
   addComment,
@@ -679,4 +770,5 @@ export {
   deleteComment,
   getCommentById,
   getCommentsByUser,
+  holdCommentForReview,
 };
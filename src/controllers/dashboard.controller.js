@@ -1,12 +1,18 @@
 import mongoose, { isValidObjectId } from "mongoose";
 import { Like } from "../models/like.models.js";
+import {
+  PlaybackSession,
+  RETENTION_BUCKETS,
+} from "../models/playbackSession.models.js";
+import { Share } from "../models/share.models.js";
 import { Subscription } from "../models/subscription.models.js";
-import { Video } from "../models/video.models.js";
+import { VIDEO_VISIBILITIES, Video } from "../models/video.models.js";
 import { Comment } from "../models/comment.models.js";
 import { User } from "../models/user.models.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import asyncHandler from "../utils/asyncHandler.js";
+import { buildVideoStatsPipeline } from "../utils/videoStats.js";
 import { z } from "zod";
 
 const paginationSchema = z.object({
@@ -16,7 +22,7 @@ const paginationSchema = z.object({
     .enum(["createdAt", "updatedAt", "views", "duration", "title", "likes"])
     .default("createdAt"),
   order: z.enum(["asc", "desc"]).default("desc"),
-  isPublished: z.coerce.boolean().optional(),
+  visibility: z.enum(VIDEO_VISIBILITIES).optional(),
 });
 
 const dateRangeSchema = z.object({
@@ -53,67 +59,9 @@ const getChannelStats = asyncHandler(async (req, res) => {
         commentStats,
         recentActivity,
       ] = await Promise.all([
-        Video.aggregate([
-          {
-            $match: {
-              owner: userObjectId,
-              ...dateFilter,
-            },
-          },
-          {
-            $facet: {
-              overview: [
-                {
-                  $group: {
-                    _id: null,
-                    totalVideos: { $sum: 1 },
-                    totalViews: { $sum: "$views" },
-                    totalDuration: { $sum: "$duration" },
-                    publishedVideos: {
-                      $sum: { $cond: [{ $eq: ["$isPublished", true] }, 1, 0] },
-                    },
-                    unpublishedVideos: {
-                      $sum: { $cond: [{ $eq: ["$isPublished", false] }, 1, 0] },
-                    },
-                    avgDuration: { $avg: "$duration" },
-                    latestVideo: { $max: "$createdAt" },
-                    oldestVideo: { $min: "$createdAt" },
-                    maxViews: { $max: "$views" },
-                    minViews: { $min: "$views" },
-                  },
-                },
-              ],
-              topVideos: [
-                { $match: { isPublished: true } },
-                { $sort: { views: -1 } },
-                { $limit: 5 },
-                {
-                  $project: {
-                    title: 1,
-                    views: 1,
-                    thumbnail: 1,
-                    createdAt: 1,
-                    duration: 1,
-                  },
-                },
-              ],
-              monthlyStats: [
-                {
-                  $group: {
-                    _id: {
-                      year: { $year: "$createdAt" },
-                      month: { $month: "$createdAt" },
-                    },
-                    videosCount: { $sum: 1 },
-                    totalViews: { $sum: "$views" },
-                  },
-                },
-                { $sort: { "_id.year": -1, "_id.month": -1 } },
-                { $limit: 12 },
-              ],
-            },
-          },
-        ]).session(session),
+        Video.aggregate(
+          buildVideoStatsPipeline({ owner: userObjectId, ...dateFilter })
+        ).session(session),
 
         Subscription.aggregate([
           { $match: { channel: userObjectId } },
@@ -230,7 +178,7 @@ const getChannelStats = asyncHandler(async (req, res) => {
         ]).session(session),
 
         Video.aggregate([
-          { $match: { owner: userObjectId, isPublished: true } },
+          { $match: { owner: userObjectId, visibility: "public" } },
           { $sort: { createdAt: -1 } },
           { $limit: 10 },
           {
@@ -372,14 +320,14 @@ const getChannelVideos = asyncHandler(async (req, res) => {
     throw ApiError.badRequest(errorMessage);
   }
 
-  const { page, limit, sortBy, order, isPublished } = validatedQuery.data;
+  const { page, limit, sortBy, order, visibility } = validatedQuery.data;
   const { search, category, duration } = req.query;
 
   try {
     const query = { owner: userId };
 
-    if (typeof isPublished === "boolean") {
-      query.isPublished = isPublished;
+    if (visibility) {
+      query.visibility = visibility;
     }
 
     if (search) {
@@ -470,7 +418,8 @@ const getChannelVideos = asyncHandler(async (req, res) => {
           videoFile: 1,
           duration: 1,
           views: 1,
-          isPublished: 1,
+          visibility: 1,
+          publishAt: 1,
           category: 1,
           createdAt: 1,
           updatedAt: 1,
@@ -483,13 +432,18 @@ const getChannelVideos = asyncHandler(async (req, res) => {
       { $sort: sortOptions },
     ];
 
-    const [videos, totalCount] = await Promise.all([
+    const [videos, totalCount, schedule] = await Promise.all([
       Video.aggregate([
         ...aggregationPipeline,
         { $skip: skip },
         { $limit: limit },
       ]),
       Video.aggregate([...aggregationPipeline, { $count: "total" }]),
+      // Upcoming releases, independent of the current page and filters
+      Video.find({ owner: userId, visibility: "scheduled" })
+        .select("title thumbnail publishAt")
+        .sort({ publishAt: 1 })
+        .lean(),
     ]);
 
     const total = totalCount[0]?.total || 0;
@@ -498,8 +452,8 @@ const getChannelVideos = asyncHandler(async (req, res) => {
     const hasPrevPage = page > 1;
 
     const videoStats = {
-      published: videos.filter((v) => v.isPublished).length,
-      unpublished: videos.filter((v) => !v.isPublished).length,
+      published: videos.filter((v) => v.visibility === "public").length,
+      unpublished: videos.filter((v) => v.visibility !== "public").length,
       totalViews: videos.reduce((sum, v) => sum + (v.views || 0), 0),
       totalLikes: videos.reduce((sum, v) => sum + (v.likesCount || 0), 0),
       totalComments: videos.reduce((sum, v) => sum + (v.commentsCount || 0), 0),
@@ -515,6 +469,7 @@ const getChannelVideos = asyncHandler(async (req, res) => {
       ApiResponse.ok(
         {
           videos,
+          schedule,
           stats: videoStats,
           pagination: {
             currentPage: page,
@@ -530,7 +485,7 @@ const getChannelVideos = asyncHandler(async (req, res) => {
             search: search || null,
             category: category || null,
             duration: duration || null,
-            isPublished,
+            visibility: visibility || null,
             sortBy,
             order,
           },
@@ -545,6 +500,65 @@ const getChannelVideos = asyncHandler(async (req, res) => {
   }
 });
 
+const toPercentage = (part, whole) => {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+};
+
+// Based on playback sessions, which are kept for 90 days
+const getWatchStats = async (videoId, duration) => {
+  const [stats] = await PlaybackSession.aggregate([
+    {
+      $match: {
+        video: new mongoose.Types.ObjectId(videoId),
+        watchedSeconds: { $gt: 0 },
+      },
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              sessions: { $sum: 1 },
+              totalWatchTime: { $sum: "$watchedSeconds" },
+            },
+          },
+        ],
+        buckets: [
+          { $unwind: "$watchedBuckets" },
+          { $group: { _id: "$watchedBuckets", viewers: { $sum: 1 } } },
+        ],
+      },
+    },
+  ]);
+
+  const { sessions = 0, totalWatchTime = 0 } = stats?.totals[0] || {};
+  const averageViewDuration = sessions > 0 ? totalWatchTime / sessions : 0;
+  const viewersByBucket = new Map(
+    (stats?.buckets || []).map((bucket) => [bucket._id, bucket.viewers])
+  );
+
+  return {
+    watchTime: {
+      sessions,
+      totalWatchTime: Math.round(totalWatchTime),
+      averageViewDuration: Math.round(averageViewDuration * 10) / 10,
+      averagePercentageViewed: toPercentage(
+        Math.min(averageViewDuration, duration),
+        duration
+      ),
+    },
+    // Share of sessions that watched each slice of the timeline
+    retention: Array.from({ length: RETENTION_BUCKETS }, (_, bucket) => ({
+      position: Math.round((bucket / RETENTION_BUCKETS) * 100),
+      viewersPercentage: toPercentage(
+        viewersByBucket.get(bucket) || 0,
+        sessions
+      ),
+    })),
+  };
+};
+
 const getVideoAnalytics = asyncHandler(async (req, res) => {
   const userId = req.user?._id;
   const { videoId } = req.params;
@@ -654,7 +668,7 @@ const getVideoAnalytics = asyncHandler(async (req, res) => {
           thumbnail: 1,
           duration: 1,
           views: 1,
-          isPublished: 1,
+          visibility: 1,
           createdAt: 1,
           updatedAt: 1,
           likesCount: 1,
@@ -670,9 +684,17 @@ const getVideoAnalytics = asyncHandler(async (req, res) => {
       throw ApiError.notFound("Video analytics not found");
     }
 
+    const [watchStats, sharesCount] = await Promise.all([
+      getWatchStats(videoId, video.duration),
+      Share.countDocuments({ video: video._id }),
+    ]);
+
     return ApiResponse.sendResponse(
       res,
-      ApiResponse.ok(analytics, "Video analytics fetched successfully")
+      ApiResponse.ok(
+        { ...analytics, sharesCount, ...watchStats },
+        "Video analytics fetched successfully"
+      )
     );
   } catch (error) {
     throw ApiError.internal("Failed to fetch video analytics");
@@ -749,7 +771,7 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
             $size: {
               $filter: {
                 input: "$allVideos",
-                cond: { $eq: ["$$this.isPublished", true] },
+                cond: { $eq: ["$$this.visibility", "public"] },
               },
             },
           },
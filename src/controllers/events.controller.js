@@ -0,0 +1,68 @@
+import jwt from "jsonwebtoken";
+import { isValidObjectId } from "mongoose";
+import { Notification } from "../models/notification.models.js";
+import { Video } from "../models/video.models.js";
+import { ApiError } from "../utils/ApiError.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import {
+  MAX_WATCHED_VIDEOS,
+  getVideoCounts,
+  openEventStream,
+  sendEvent,
+} from "../utils/realtime.js";
+
+const parseVideoIds = (value) => {
+  if (!value) return [];
+  const ids = [...new Set(String(value).split(",").filter(Boolean))];
+  if (ids.length > MAX_WATCHED_VIDEOS) {
+    throw ApiError.badRequest(
+      `At most ${MAX_WATCHED_VIDEOS} videos can be followed per connection`
+    );
+  }
+  if (!ids.every(isValidObjectId)) {
+    throw ApiError.badRequest("Invalid video ID");
+  }
+  return ids;
+};
+
+const subscribeToEvents = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const requestedIds = parseVideoIds(req.query.videos);
+
+  // Only videos the user could open are followed
+  const videos = requestedIds.length
+    ? await Video.find({
+        _id: { $in: requestedIds },
+        ...Video.viewableFilter(userId),
+      })
+        .select("_id")
+        .lean()
+    : [];
+  const videoIds = videos.map((video) => video._id.toString());
+
+  // verifyJWT has already validated the token; only its expiry is needed
+  const token =
+    req.cookies.accessToken ||
+    req.header("Authorization")?.replace("Bearer ", "");
+  const { exp } = jwt.decode(token) || {};
+
+  const [unreadCount, counts] = await Promise.all([
+    Notification.countDocuments({ recipient: userId, read: false }),
+    Promise.all(videoIds.map(getVideoCounts)),
+  ]);
+
+  const stream = openEventStream(req, res, {
+    userId,
+    sessionId: req.sessionId,
+    videoIds,
+    expiresAt: exp ? exp * 1000 : undefined,
+  });
+
+  // Initial state, so clients do not need a separate request
+  sendEvent(stream, "notifications.unread", { unreadCount });
+  for (const videoCounts of counts.filter(Boolean)) {
+    sendEvent(stream, "video.counts", videoCounts);
+  }
+});
+
+export { subscribeToEvents };
@@ -0,0 +1,147 @@
+import { Like } from "../models/like.models.js";
+import { Subscription } from "../models/subscription.models.js";
+import { User } from "../models/user.models.js";
+import { Video } from "../models/video.models.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import {
+  buildInterestProfile,
+  isEmptyProfile,
+  rankTrending,
+  rankVideos,
+} from "../utils/feedRanking.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const SUBSCRIPTION_WINDOW = 30 * DAY;
+const TRENDING_WINDOW = 7 * DAY;
+const CANDIDATES_PER_SOURCE = 200;
+const LIKES_SAMPLE = 100;
+const HISTORY_SAMPLE = 50; // most recent watches used for interests
+
+const CANDIDATE_FIELDS =
+  "title description thumbnail duration views likesCount tags streaming createdAt owner";
+
+const loadProfile = async (userId) => {
+  const [subscriptions, likes, user] = await Promise.all([
+    Subscription.find({ subscriber: userId }).select("channel").lean(),
+    Like.find({ likedBy: userId, video: { $exists: true } })
+      .sort({ createdAt: -1 })
+      .limit(LIKES_SAMPLE)
+      .select("video")
+      .lean(),
+    User.findById(userId).select("watchHistory").lean(),
+  ]);
+
+  const history = user?.watchHistory || [];
+  const sampled = history.slice(0, HISTORY_SAMPLE);
+
+  const interactionVideos = await Video.find({
+    _id: { $in: [...likes.map((like) => like.video), ...sampled] },
+  })
+    .select("owner tags")
+    .lean();
+  const byId = new Map(
+    interactionVideos.map((video) => [video._id.toString(), video])
+  );
+  const lookup = (ids) =>
+    ids.map((id) => byId.get(id.toString())).filter(Boolean);
+
+  const profile = buildInterestProfile({
+    subscribedChannelIds: subscriptions.map((sub) => sub.channel),
+    likedVideos: lookup(likes.map((like) => like.video)),
+    watchedVideos: lookup(sampled),
+  });
+  // The whole history is excluded from the feed, not just the sample
+  for (const id of history) profile.watched.add(id.toString());
+
+  return profile;
+};
+
+const loadTrendingCandidates = (now, excludeOwner) => {
+  return Video.find({
+    ...Video.listedFilter(),
+    createdAt: { $gte: new Date(now - TRENDING_WINDOW) },
+    ...(excludeOwner && { owner: { $ne: excludeOwner } }),
+  })
+    .select(CANDIDATE_FIELDS)
+    .sort({ views: -1 })
+    .limit(CANDIDATES_PER_SOURCE)
+    .lean();
+};
+
+const loadPersonalCandidates = (profile, userId, now) => {
+  const listed = Video.listedFilter();
+  const subscriptions = [...profile.subscriptions];
+  const tags = [...profile.tags.keys()];
+
+  return Promise.all([
+    subscriptions.length
+      ? Video.find({
+          ...listed,
+          owner: { $in: subscriptions },
+          createdAt: { $gte: new Date(now - SUBSCRIPTION_WINDOW) },
+        })
+          .select(CANDIDATE_FIELDS)
+          .sort({ createdAt: -1 })
+          .limit(CANDIDATES_PER_SOURCE)
+          .lean()
+      : [],
+    tags.length
+      ? Video.find({ ...listed, tags: { $in: tags }, owner: { $ne: userId } })
+          .collation({ locale: "en", strength: 2 }) // case-insensitive tags
+          .select(CANDIDATE_FIELDS)
+          .sort({ createdAt: -1 })
+          .limit(CANDIDATES_PER_SOURCE)
+          .lean()
+      : [],
+    // Popular recent uploads keep the feed from only echoing past interests
+    loadTrendingCandidates(now, userId),
+  ]).then((sources) => sources.flat());
+};
+
+export const getFeed = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 50);
+  const userId = req.user?._id;
+  const now = Date.now();
+
+  const profile = userId ? await loadProfile(userId) : null;
+
+  // Anonymous and brand-new users get trending videos instead
+  let source = "trending";
+  let ranked;
+  if (profile && !isEmptyProfile(profile)) {
+    source = "personalized";
+    ranked = rankVideos(
+      await loadPersonalCandidates(profile, userId, now),
+      profile,
+      { now }
+    );
+  } else {
+    ranked = rankTrending(await loadTrendingCandidates(now, userId), { now });
+  }
+
+  const pageEntries = ranked.slice((page - 1) * limit, page * limit);
+  const videos = await Video.populate(
+    pageEntries.map((entry) => entry.video),
+    { path: "owner", select: "username fullname avatar" }
+  );
+
+  const items = videos.map((video, index) => {
+    const { tags, likesCount, ...fields } = video;
+    return {
+      ...fields,
+      score: Math.round(pageEntries[index].score * 1000) / 1000,
+      reasons: pageEntries[index].reasons,
+    };
+  });
+
+  const response = ApiResponse.paginated(
+    items,
+    { page, limit, total: ranked.length },
+    "Feed fetched successfully"
+  );
+  response.data.source = source;
+
+  return ApiResponse.sendResponse(res, response);
+});
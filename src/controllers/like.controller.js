@@ -6,6 +6,8 @@ import { Tweet } from "../models/tweet.models.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import asyncHandler from "../utils/asyncHandler.js";
+import { dispatchNotification, toPreview } from "../utils/notifications.js";
+import { publishVideoCounts } from "../utils/realtime.js";
 import { User } from "../models/user.models.js";
 import { z } from "zod";
 
@@ -14,7 +16,7 @@ const paginationSchema = z.object({
   limit: z.coerce.number().int().min(1).max(100).default(10),
 });
 
-const verifyResourceExists = async (resourceType, resourceId) => {
+const verifyResourceExists = async (resourceType, resourceId, userId) => {
   let resource;
   let model;
 
@@ -32,17 +34,19 @@ const verifyResourceExists = async (resourceType, resourceId) => {
       throw ApiError.badRequest("Invalid resource type");
   }
 
-  resource = await model.findById(resourceId).lean();
+  // Videos the user cannot open are treated as missing
+  const filter =
+    resourceType === "video"
+      ? { _id: resourceId, ...Video.viewableFilter(userId) }
+      : { _id: resourceId };
+
+  resource = await model.findOne(filter).lean();
   if (!resource) {
     throw ApiError.notFound(
       `${resourceType.charAt(0).toUpperCase() + resourceType.slice(1)} not found`
     );
   }
 
-  if (resourceType === "video" && !resource.isPublished) {
-    throw ApiError.badRequest("Cannot like unpublished video");
-  }
-
   return resource;
 };
 
@@ -55,7 +59,7 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
 
   const userId = req.user._id;
 
-  await verifyResourceExists("video", videoId);
+  const video = await verifyResourceExists("video", videoId, userId);
 
   const existingLike = await Like.findOne({
     likedBy: userId,
@@ -63,7 +67,15 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
   }).lean();
 
   if (existingLike) {
-    await Like.findByIdAndDelete(existingLike._id);
+    const removed = await Like.findByIdAndDelete(existingLike._id);
+    // A concurrent unlike may already have removed it
+    if (removed) {
+      await Video.updateOne(
+        { _id: videoId, likesCount: { $gt: 0 } },
+        { $inc: { likesCount: -1 } }
+      );
+      publishVideoCounts(videoId);
+    }
 
     return ApiResponse.sendResponse(
       res,
@@ -80,6 +92,17 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
       likedBy: userId,
       video: videoId,
     });
+    await Video.updateOne({ _id: videoId }, { $inc: { likesCount: 1 } });
+    publishVideoCounts(videoId);
+    dispatchNotification({
+      recipient: video.owner,
+      type: "like",
+      actor: userId,
+      target: { kind: "video", id: video._id },
+      video: video._id,
+      preview: toPreview(video.title),
+      groupKey: `like:video:${video._id}`,
+    });
 
     return ApiResponse.sendResponse(
       res,
@@ -104,7 +127,7 @@ const toggleCommentLike = asyncHandler(async (req, res) => {
 
   const userId = req.user._id;
 
-  await verifyResourceExists("comment", commentId);
+  const comment = await verifyResourceExists("comment", commentId);
 
   const existingLike = await Like.findOne({
     likedBy: userId,
@@ -129,6 +152,15 @@ const toggleCommentLike = asyncHandler(async (req, res) => {
       likedBy: userId,
       comment: commentId,
     });
+    dispatchNotification({
+      recipient: comment.owner,
+      type: "like",
+      actor: userId,
+      target: { kind: "comment", id: comment._id },
+      video: comment.video,
+      preview: toPreview(comment.content),
+      groupKey: `like:comment:${comment._id}`,
+    });
 
     return ApiResponse.sendResponse(
       res,
@@ -153,7 +185,7 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
 
   const userId = req.user._id;
 
-  await verifyResourceExists("tweet", tweetId);
+  const tweet = await verifyResourceExists("tweet", tweetId);
 
   const existingLike = await Like.findOne({
     likedBy: userId,
@@ -178,6 +210,14 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
       likedBy: userId,
       tweet: tweetId,
     });
+    dispatchNotification({
+      recipient: tweet.owner,
+      type: "like",
+      actor: userId,
+      target: { kind: "tweet", id: tweet._id },
+      preview: toPreview(tweet.content),
+      groupKey: `like:tweet:${tweet._id}`,
+    });
 
     return ApiResponse.sendResponse(
       res,
@@ -217,8 +257,8 @@ const getLikedVideos = asyncHandler(async (req, res) => {
       .populate({
         path: "video",
         select:
-          "title description thumbnail duration views createdAt owner isPublished",
-        match: { isPublished: true },
+          "title description thumbnail duration views likesCount createdAt owner visibility",
+        match: Video.viewableFilter(userId),
         populate: {
           path: "owner",
           select: "username avatar",
@@ -272,7 +312,7 @@ const getLikeStatus = asyncHandler(async (req, res) => {
     throw ApiError.badRequest(`Invalid ${resourceType} ID`);
   }
 
-  await verifyResourceExists(resourceType, resourceId);
+  await verifyResourceExists(resourceType, resourceId, userId);
 
   const query = { likedBy: userId };
   query[resourceType] = resourceId;
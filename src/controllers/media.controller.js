@@ -0,0 +1,47 @@
+import fs from "node:fs/promises";
+import ApiError from "../utils/ApiError.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { getStorageDriver, refreshStorageUrl } from "../utils/storage/index.js";
+
+// Preview tracks stored as a single file, before sprite and track shared a
+// directory, link the sprite by its absolute signed URL
+const LEGACY_PREVIEW_TRACK = /^previews\/[^/]+\.vtt$/;
+
+// Re-signs the sprite links so they outlive the URLs written at processing
+const sendLegacyPreviewTrack = async (res, filePath) => {
+  const track = await fs.readFile(filePath, "utf8").catch(() => null);
+  if (track === null) throw ApiError.notFound("Media not found");
+
+  res.set("Cache-Control", "public, max-age=3600");
+  res.type("text/vtt");
+  return res.send(
+    track.replace(/^https?:\/\/\S+?(?=#|$)/gm, (url) => refreshStorageUrl(url))
+  );
+};
+
+const serveMedia = asyncHandler(async (req, res) => {
+  const driver = getStorageDriver();
+
+  if (!driver.resolveSignedPath) {
+    throw ApiError.notFound("Media is not served by this storage driver");
+  }
+
+  const { expires, signature } = req.params;
+  const key = [].concat(req.params.key).join("/");
+
+  const filePath = driver.resolveSignedPath(key, expires, signature);
+  if (!filePath) {
+    throw ApiError.forbidden("Invalid or expired media URL");
+  }
+  if (LEGACY_PREVIEW_TRACK.test(key)) {
+    return sendLegacyPreviewTrack(res, filePath);
+  }
+
+  res.sendFile(filePath, { maxAge: "1h" }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json(ApiError.notFound("Media not found").toJSON());
+    }
+  });
+});
+
+export { serveMedia };
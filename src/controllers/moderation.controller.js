@@ -0,0 +1,204 @@
+import { isValidObjectId } from "mongoose";
+import { z } from "zod";
+import {
+  MODERATION_STATUSES,
+  ModerationCase,
+  OPEN_MODERATION_STATUSES,
+} from "../models/moderationCase.models.js";
+import {
+  REPORT_REASONS,
+  REPORT_TARGET_TYPES,
+  Report,
+} from "../models/report.models.js";
+import { ApiError, ValidationError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import {
+  attachTargets,
+  canDecide,
+  createReport,
+  decideCase,
+} from "../utils/moderation.js";
+import { hasPermission, PERMISSIONS } from "../utils/permissions.js";
+
+const reportSchema = z.object({
+  targetType: z.enum(REPORT_TARGET_TYPES),
+  targetId: z
+    .string()
+    .refine((value) => isValidObjectId(value), "Invalid target ID"),
+  reason: z.enum(REPORT_REASONS),
+  details: z
+    .string()
+    .trim()
+    .max(500, "Details cannot exceed 500 characters")
+    .optional(),
+});
+
+const decisionSchema = z.object({
+  reason: z
+    .string()
+    .trim()
+    .min(1, "Reason cannot be empty")
+    .max(500, "Reason cannot exceed 500 characters")
+    .optional(),
+});
+
+const toValidationError = (error) =>
+  new ValidationError(
+    "Validation failed",
+    error.issues.map((issue) => ({
+      field: issue.path.join("."),
+      message: issue.message,
+    }))
+  );
+
+const findCaseOrThrow = async (caseId) => {
+  if (!isValidObjectId(caseId)) {
+    throw ApiError.badRequest("Invalid case ID");
+  }
+
+  const moderationCase = await ModerationCase.findById(caseId);
+  if (!moderationCase) throw ApiError.notFound("Moderation case not found");
+  return moderationCase;
+};
+
+const reportContent = asyncHandler(async (req, res) => {
+  const validatedData = reportSchema.safeParse(req.body ?? {});
+  if (!validatedData.success) {
+    throw toValidationError(validatedData.error);
+  }
+
+  const { report } = await createReport(req.user, validatedData.data);
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.created(
+      {
+        _id: report._id,
+        targetType: report.targetType,
+        target: report.target,
+        reason: report.reason,
+        createdAt: report.createdAt,
+      },
+      "Report submitted. Thank you for helping keep the platform safe."
+    )
+  );
+});
+
+// Moderators see every open case; other users see the held comments on their
+// own videos
+const getModerationQueue = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+  const { type, status } = req.query;
+
+  if (type && !REPORT_TARGET_TYPES.includes(type)) {
+    throw ApiError.badRequest(
+      `Invalid type. Expected one of: ${REPORT_TARGET_TYPES.join(", ")}`
+    );
+  }
+  if (status && !MODERATION_STATUSES.includes(status)) {
+    throw ApiError.badRequest(
+      `Invalid status. Expected one of: ${MODERATION_STATUSES.join(", ")}`
+    );
+  }
+
+  const filter = {};
+  if (hasPermission(req.user, PERMISSIONS.REVIEW_REPORTS)) {
+    if (type) filter.targetType = type;
+    filter.status = status || { $in: OPEN_MODERATION_STATUSES };
+  } else {
+    // The cases canDecide lets creators decide on
+    Object.assign(filter, {
+      targetType: "comment",
+      channel: req.user._id,
+      status: "pending",
+    });
+  }
+
+  const [cases, total] = await Promise.all([
+    ModerationCase.find(filter)
+      .select("-decisions")
+      .sort({ reportCount: -1, updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ModerationCase.countDocuments(filter),
+  ]);
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.paginated(
+      await attachTargets(cases),
+      { page, limit, total },
+      "Moderation queue fetched successfully"
+    )
+  );
+});
+
+const getModerationCase = asyncHandler(async (req, res) => {
+  const moderationCase = await findCaseOrThrow(req.params.caseId);
+  if (!canDecide(req.user, moderationCase)) {
+    throw ApiError.forbidden("You cannot review this case");
+  }
+
+  const [withTarget] = await attachTargets([
+    moderationCase.toObject({ flattenMaps: true }),
+  ]);
+  // Reporters are only shown to moderators
+  const reports = hasPermission(req.user, PERMISSIONS.REVIEW_REPORTS)
+    ? await Report.find({ case: moderationCase._id })
+        .select("reporter reason details createdAt")
+        .populate("reporter", "username avatar")
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .lean()
+    : [];
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      { ...withTarget, reports },
+      "Moderation case fetched successfully"
+    )
+  );
+});
+
+const decide = (status) =>
+  asyncHandler(async (req, res) => {
+    const validatedData = decisionSchema.safeParse(req.body ?? {});
+    if (!validatedData.success) {
+      throw toValidationError(validatedData.error);
+    }
+    const { reason } = validatedData.data;
+    // The author may later ask why their content was removed
+    if (status === "rejected" && !reason) {
+      throw ApiError.badRequest("A reason is required to reject");
+    }
+
+    const moderationCase = await findCaseOrThrow(req.params.caseId);
+    if (!canDecide(req.user, moderationCase)) {
+      throw ApiError.forbidden("You cannot decide on this case");
+    }
+
+    const decided = await decideCase(moderationCase, req.user, status, reason);
+
+    return ApiResponse.sendResponse(
+      res,
+      ApiResponse.ok(
+        decided.toObject({ flattenMaps: true }),
+        status === "approved" ? "Item approved" : "Item rejected"
+      )
+    );
+  });
+
+const approveCase = decide("approved");
+const rejectCase = decide("rejected");
+
+export {
+  approveCase,
+  getModerationCase,
+  getModerationQueue,
+  rejectCase,
+  reportContent,
+};
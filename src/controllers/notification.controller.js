@@ -0,0 +1,186 @@
+import { isValidObjectId } from "mongoose";
+import { z } from "zod";
+import {
+  NOTIFICATION_TYPES,
+  Notification,
+} from "../models/notification.models.js";
+import { User } from "../models/user.models.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import {
+  describeNotification,
+  publishUnreadCount,
+} from "../utils/notifications.js";
+
+const listQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+  unread: z.enum(["true", "false"]).optional(),
+  type: z.enum(NOTIFICATION_TYPES).optional(),
+});
+
+const preferencesSchema = z
+  .object(
+    Object.fromEntries(
+      NOTIFICATION_TYPES.map((type) => [type, z.boolean().optional()])
+    )
+  )
+  .strict();
+
+const parse = (schema, data) => {
+  const result = schema.safeParse(data ?? {});
+  if (!result.success) {
+    throw ApiError.badRequest(
+      result.error.errors[0]?.message || "Invalid input data"
+    );
+  }
+  return result.data;
+};
+
+const getNotifications = asyncHandler(async (req, res) => {
+  const { page, limit, unread, type } = parse(listQuerySchema, req.query);
+  const userId = req.user._id;
+
+  const filter = { recipient: userId };
+  if (unread === "true") filter.read = false;
+  if (type) filter.type = type;
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort({ lastEventAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select("-groupKey -__v")
+      .populate("actors", "username fullname avatar")
+      .lean(),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ recipient: userId, read: false }),
+  ]);
+
+  const items = notifications.map((notification) => ({
+    ...notification,
+    message: describeNotification(notification),
+  }));
+
+  const response = ApiResponse.paginated(
+    items,
+    { page, limit, total },
+    "Notifications fetched successfully"
+  );
+  response.data.unreadCount = unreadCount;
+
+  return ApiResponse.sendResponse(res, response);
+});
+
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await Notification.countDocuments({
+    recipient: req.user._id,
+    read: false,
+  });
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok({ unreadCount }, "Unread count fetched successfully")
+  );
+});
+
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const { notificationId } = req.params;
+  if (!isValidObjectId(notificationId)) {
+    throw ApiError.badRequest("Invalid notification ID");
+  }
+
+  // Someone else's notification is reported as missing
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, recipient: req.user._id },
+    [
+      {
+        $set: {
+          read: true,
+          readAt: { $ifNull: ["$readAt", "$$NOW"] },
+        },
+      },
+    ],
+    { new: true }
+  )
+    .select("-groupKey -__v")
+    .lean();
+
+  if (!notification) throw ApiError.notFound("Notification not found");
+  publishUnreadCount(req.user._id);
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(notification, "Notification marked as read")
+  );
+});
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const { modifiedCount } = await Notification.updateMany(
+    { recipient: req.user._id, read: false },
+    { $set: { read: true, readAt: new Date() } }
+  );
+  publishUnreadCount(req.user._id);
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      { updated: modifiedCount },
+      "All notifications marked as read"
+    )
+  );
+});
+
+const getNotificationPreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .select("notificationPreferences")
+    .lean();
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      user?.notificationPreferences ?? {},
+      "Notification preferences fetched successfully"
+    )
+  );
+});
+
+const updateNotificationPreferences = asyncHandler(async (req, res) => {
+  const preferences = parse(preferencesSchema, req.body);
+
+  const update = {};
+  for (const [type, enabled] of Object.entries(preferences)) {
+    if (enabled !== undefined) {
+      update[`notificationPreferences.${type}`] = enabled;
+    }
+  }
+  if (Object.keys(update).length === 0) {
+    throw ApiError.badRequest("No preferences provided");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: update },
+    { new: true }
+  )
+    .select("notificationPreferences")
+    .lean();
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      user.notificationPreferences,
+      "Notification preferences updated successfully"
+    )
+  );
+});
+
+export {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+};
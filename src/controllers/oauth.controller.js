@@ -0,0 +1,198 @@
+import { sendEmail } from "../jobs/email.job.js";
+import { OAuthState } from "../models/oauthState.models.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { getAppUrl } from "../utils/mail/templates.js";
+import { resolveOAuthUser } from "../utils/oauth/accounts.js";
+import {
+  createPkcePair,
+  createRandomToken,
+  getOAuthProvider,
+  getOAuthProviders,
+  getOAuthRedirectUri,
+} from "../utils/oauth/index.js";
+import {
+  generateAccessAndRefreshToken,
+  TWO_FACTOR_CHALLENGE_COOKIE,
+  twoFactorChallengeCookieOptions,
+} from "./user.controller.js";
+
+const OAUTH_STATE_TTL = 10 * 60 * 1000;
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60 * 1000; // lifetime of the token
+const STATE_COOKIE = "oauthState";
+
+// "lax" so the cookie comes back on the provider's redirect, which is a
+// cross-site navigation
+const stateCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "lax",
+  path: "/api/v1/auth/oauth",
+};
+
+const authCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "strict",
+  maxAge: 24 * 60 * 60 * 1000,
+};
+
+// Only paths on the frontend, so the flow cannot be used as an open redirect
+const sanitizeReturnTo = (value) =>
+  typeof value === "string" &&
+  value.startsWith("/") &&
+  !value.startsWith("//") &&
+  !value.includes("\\")
+    ? value.slice(0, 500)
+    : "/";
+
+const toAppUrl = (path, params) => {
+  const query = params ? `?${new URLSearchParams(params)}` : "";
+  return `${getAppUrl()}${path}${query}`;
+};
+
+const requireProvider = (name) => {
+  const provider = getOAuthProvider(name);
+  if (!provider) {
+    throw ApiError.notFound("OAuth provider not found");
+  }
+  return provider;
+};
+
+const listOAuthProviders = asyncHandler(async (req, res) => {
+  const providers = [...getOAuthProviders().keys()].map((name) => ({
+    name,
+    authorizeUrl: `/api/v1/auth/oauth/${name}/authorize`,
+  }));
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(providers, "OAuth providers fetched successfully")
+  );
+});
+
+// Sends the browser to the provider's consent page
+const startOAuthLogin = asyncHandler(async (req, res) => {
+  const provider = requireProvider(req.params.provider);
+
+  const state = createRandomToken();
+  const nonce = createRandomToken();
+  const { verifier, challenge } = createPkcePair();
+
+  await OAuthState.create({
+    state,
+    provider: provider.name,
+    codeVerifier: verifier,
+    nonce,
+    returnTo: sanitizeReturnTo(req.query.returnTo),
+    expiresAt: new Date(Date.now() + OAUTH_STATE_TTL),
+  });
+
+  const authorizationUrl = await provider.getAuthorizationUrl({
+    state,
+    nonce,
+    codeChallenge: challenge,
+    redirectUri: getOAuthRedirectUri(provider.name),
+  });
+
+  res.cookie(STATE_COOKIE, state, {
+    ...stateCookieOptions,
+    maxAge: OAUTH_STATE_TTL,
+  });
+  return res.redirect(authorizationUrl);
+});
+
+// The provider redirects here. The browser is sent on to the frontend:
+// signed in, to the two-factor step, or to /login with an `oauthError`.
+const handleOAuthCallback = asyncHandler(async (req, res) => {
+  const provider = requireProvider(req.params.provider);
+  const { code, state, error } = req.query;
+
+  res.clearCookie(STATE_COOKIE, stateCookieOptions);
+  const fail = (reason) =>
+    res.redirect(toAppUrl("/login", { oauthError: reason }));
+
+  // The state must come back to the browser that started the login, so a
+  // victim cannot be made to finish a login with someone else's code
+  if (typeof state !== "string" || state !== req.cookies?.[STATE_COOKIE]) {
+    return fail("invalid_state");
+  }
+  const pending = await OAuthState.findOneAndDelete({
+    state,
+    provider: provider.name,
+    expiresAt: { $gt: new Date() },
+  }).lean();
+  if (!pending) return fail("invalid_state");
+
+  // The user declined on the consent page
+  if (error) return fail("access_denied");
+  if (typeof code !== "string" || !code) return fail("invalid_request");
+
+  let profile;
+  try {
+    profile = await provider.fetchProfile({
+      code,
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce,
+      redirectUri: getOAuthRedirectUri(provider.name),
+    });
+  } catch (providerError) {
+    console.error("OAuth login failed at the provider:", {
+      provider: provider.name,
+      error: providerError.message,
+    });
+    return fail("provider_error");
+  }
+
+  const result = await resolveOAuthUser(provider.name, profile);
+  if (result.error) return fail(result.error);
+
+  const { user, created, linked } = result;
+  if (user.getRestrictionMessage()) return fail("account_restricted");
+
+  if (created) {
+    sendEmail({
+      to: user.email,
+      template: "welcome",
+      data: { username: user.username },
+      user: user._id,
+    }).catch((emailError) =>
+      console.error("Failed to queue welcome email:", {
+        userId: user._id,
+        error: emailError.message,
+      })
+    );
+  }
+
+  console.info("User signed in with OAuth:", {
+    userId: user._id,
+    provider: provider.name,
+    created: Boolean(created),
+    linked: Boolean(linked),
+    ip: req.ip,
+    userAgent: req.headers["user-agent"],
+    timestamp: new Date().toISOString(),
+  });
+
+  // Same rule as the password login: tokens only after the second factor
+  if (user.twoFactor?.enabled) {
+    res.cookie(
+      TWO_FACTOR_CHALLENGE_COOKIE,
+      user.generateTwoFactorChallengeToken(),
+      { ...twoFactorChallengeCookieOptions, maxAge: TWO_FACTOR_CHALLENGE_TTL }
+    );
+    return res.redirect(toAppUrl("/login/2fa"));
+  }
+
+  const { accessToken, refreshToken } = await generateAccessAndRefreshToken(
+    user,
+    req
+  );
+  res.cookie("accessToken", accessToken, authCookieOptions);
+  res.cookie("refreshToken", refreshToken, authCookieOptions);
+
+  return res.redirect(toAppUrl(pending.returnTo));
+});
+
+export { handleOAuthCallback, listOAuthProviders, startOAuthLogin };
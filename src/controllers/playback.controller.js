@@ -0,0 +1,285 @@
+import { isValidObjectId } from "mongoose";
+import { z } from "zod";
+import {
+  PlaybackSession,
+  RETENTION_BUCKETS,
+} from "../models/playbackSession.models.js";
+import { User } from "../models/user.models.js";
+import { Video } from "../models/video.models.js";
+import { ViewRecord } from "../models/viewRecord.models.js";
+import { ApiError, ValidationError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { getViewerKey } from "../utils/viewerKey.js";
+
+const HEARTBEAT_INTERVAL = 15; // seconds, suggested to clients
+const MAX_HEARTBEAT_GAP = 60; // seconds credited for a single heartbeat
+const VIEW_THRESHOLD = 30; // seconds watched before a view counts
+const VIEW_DEDUPE_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+const WATCH_HISTORY_LIMIT = 200;
+
+const startSessionSchema = z.object({
+  videoId: z.string().refine(isValidObjectId, "Invalid video ID"),
+});
+
+const progressSchema = z.object({
+  position: z.coerce.number().min(0, "Position cannot be negative"),
+});
+
+const parseBody = (schema, body) => {
+  const result = schema.safeParse(body ?? {});
+  if (!result.success) {
+    throw new ValidationError(
+      "Validation failed",
+      result.error.issues.map((issue) => ({
+        field: issue.path.join("."),
+        message: issue.message,
+      }))
+    );
+  }
+  return result.data;
+};
+
+// Short videos count as viewed after half their length
+const getViewThreshold = (duration) => {
+  return duration > 0
+    ? Math.min(VIEW_THRESHOLD, duration * 0.5)
+    : VIEW_THRESHOLD;
+};
+
+const getBucket = (position, duration) => {
+  return Math.min(
+    RETENTION_BUCKETS - 1,
+    Math.floor((position / duration) * RETENTION_BUCKETS)
+  );
+};
+
+// Credits the smaller of wall-clock time and playhead movement, so pauses,
+// seeks and high playback rates never inflate watch time
+const measureProgress = (session, position, duration, now) => {
+  const elapsed = Math.max(0, (now - session.lastHeartbeatAt) / 1000);
+  const moved = position - session.position;
+  const watchedSeconds =
+    moved > 0 ? Math.min(moved, elapsed, MAX_HEARTBEAT_GAP) : 0;
+
+  const buckets = [];
+  if (duration > 0 && watchedSeconds > 0) {
+    // A large jump is a seek; only the landing point was watched
+    const from =
+      moved <= elapsed * 2 + 1 ? getBucket(session.position, duration) : null;
+    const to = getBucket(position, duration);
+    for (let bucket = from ?? to; bucket <= to; bucket++) {
+      buckets.push(bucket);
+    }
+  }
+
+  return { watchedSeconds, buckets };
+};
+
+const addToWatchHistory = async (userId, videoId) => {
+  await User.updateOne({ _id: userId }, { $pull: { watchHistory: videoId } });
+  await User.updateOne(
+    { _id: userId },
+    {
+      $push: {
+        watchHistory: {
+          $each: [videoId],
+          $position: 0,
+          $slice: WATCH_HISTORY_LIMIT,
+        },
+      },
+    }
+  );
+};
+
+// Takes the viewer's view slot for the video unless a view was counted for
+// the same key within the window. Atomic: concurrent callers either match the
+// one stale record or collide on the unique index.
+const claimView = async (session, now) => {
+  try {
+    await ViewRecord.findOneAndUpdate(
+      {
+        video: session.video,
+        viewerKey: session.viewerKey,
+        countedAt: { $lt: new Date(now.getTime() - VIEW_DEDUPE_WINDOW) },
+      },
+      { $set: { countedAt: now } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const countViewIfEligible = async (session, threshold) => {
+  if (
+    session.countedAsView ||
+    session.deduplicated ||
+    session.watchedSeconds < threshold
+  ) {
+    return session;
+  }
+
+  // Conditional update so concurrent heartbeats count the view only once
+  const now = new Date();
+  const counted = await PlaybackSession.findOneAndUpdate(
+    { _id: session._id, countedAsView: false, deduplicated: false },
+    { $set: { countedAsView: true, countedAt: now } },
+    { new: true }
+  );
+  if (!counted) return session;
+
+  if (!(await claimView(session, now))) {
+    return PlaybackSession.findByIdAndUpdate(
+      session._id,
+      {
+        $set: { countedAsView: false, deduplicated: true },
+        $unset: { countedAt: 1 },
+      },
+      { new: true }
+    );
+  }
+
+  await Video.updateOne({ _id: session.video }, { $inc: { views: 1 } });
+  if (session.viewer) {
+    await addToWatchHistory(session.viewer, session.video);
+  }
+
+  return counted;
+};
+
+const findViewerSession = async (req) => {
+  const { sessionId } = req.params;
+
+  if (!isValidObjectId(sessionId)) {
+    throw ApiError.badRequest("Invalid session ID");
+  }
+
+  const session = await PlaybackSession.findById(sessionId);
+
+  // Signed-in sessions can only be reported by the same user
+  if (
+    !session ||
+    (session.viewer && session.viewer.toString() !== req.user?._id?.toString())
+  ) {
+    throw ApiError.notFound("Playback session not found");
+  }
+
+  return session;
+};
+
+const recordProgress = async (session, position, extraUpdate = {}) => {
+  const video = await Video.findById(session.video).select("duration").lean();
+  const duration = video?.duration || 0;
+  const now = new Date();
+  const clampedPosition =
+    duration > 0 ? Math.min(position, duration) : position;
+  const { watchedSeconds, buckets } = measureProgress(
+    session,
+    clampedPosition,
+    duration,
+    now
+  );
+
+  const updated = await PlaybackSession.findByIdAndUpdate(
+    session._id,
+    {
+      $set: {
+        position: clampedPosition,
+        lastHeartbeatAt: now,
+        ...extraUpdate,
+      },
+      $inc: { watchedSeconds },
+      $addToSet: { watchedBuckets: { $each: buckets } },
+    },
+    { new: true }
+  );
+
+  return countViewIfEligible(updated, getViewThreshold(duration));
+};
+
+const toSessionResponse = (session) => ({
+  sessionId: session._id,
+  status: session.status,
+  position: session.position,
+  watchedSeconds: Math.round(session.watchedSeconds * 10) / 10,
+  viewCounted: session.countedAsView,
+});
+
+export const startPlaybackSession = asyncHandler(async (req, res) => {
+  const { videoId } = parseBody(startSessionSchema, req.body);
+
+  const video = await Video.findById(videoId);
+
+  if (!video || !video.isViewableBy(req.user?._id)) {
+    throw ApiError.notFound("Video not found");
+  }
+
+  const session = await PlaybackSession.create({
+    video: video._id,
+    viewer: req.user?._id,
+    viewerKey: getViewerKey(req),
+  });
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.created(
+      {
+        ...toSessionResponse(session),
+        heartbeatInterval: HEARTBEAT_INTERVAL,
+        viewThreshold: getViewThreshold(video.duration),
+      },
+      "Playback session started"
+    )
+  );
+});
+
+export const recordHeartbeat = asyncHandler(async (req, res) => {
+  const { position } = parseBody(progressSchema, req.body);
+  const session = await findViewerSession(req);
+
+  if (session.status === "ended") {
+    throw ApiError.conflict("Playback session has already ended");
+  }
+
+  const updated = await recordProgress(session, position);
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(toSessionResponse(updated), "Heartbeat recorded")
+  );
+});
+
+export const endPlaybackSession = asyncHandler(async (req, res) => {
+  const session = await findViewerSession(req);
+
+  if (session.status === "ended") {
+    return ApiResponse.sendResponse(
+      res,
+      ApiResponse.ok(toSessionResponse(session), "Playback session ended")
+    );
+  }
+
+  // Players often end sessions with sendBeacon, which cannot send JSON, so
+  // the final position is optional
+  const ended = { status: "ended", endedAt: new Date() };
+  const updated =
+    req.body?.position !== undefined
+      ? await recordProgress(
+          session,
+          parseBody(progressSchema, req.body).position,
+          ended
+        )
+      : await PlaybackSession.findByIdAndUpdate(
+          session._id,
+          { $set: ended },
+          { new: true }
+        );
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(toSessionResponse(updated), "Playback session ended")
+  );
+});
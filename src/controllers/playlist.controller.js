@@ -63,16 +63,19 @@ const checkPlaylistOwnership = async (playlistId, userId) => {
   return playlist;
 };
 
-const verifyVideoExists = async (videoId) => {
-  const video = await Video.findById(videoId).select("_id isPublished").lean();
+// Owners may add their own private videos; other viewers of the playlist
+// will not see them
+const verifyVideoExists = async (videoId, userId) => {
+  const video = await Video.findOne({
+    _id: videoId,
+    ...Video.viewableFilter(userId),
+  })
+    .select("_id visibility")
+    .lean();
   if (!video) {
     throw ApiError.notFound("Video not found");
   }
 
-  if (!video.isPublished) {
-    throw ApiError.badRequest("Cannot add unpublished video to playlist");
-  }
-
   return video;
 };
 
@@ -197,7 +200,7 @@ const getPlaylistById = asyncHandler(async (req, res) => {
 
   const videos = await Video.find({
     _id: { $in: paginatedVideoIds },
-    isPublished: true,
+    ...Video.viewableFilter(req.user?._id),
   })
     .select("title description thumbnail duration views createdAt owner")
     .populate("owner", "username avatar")
@@ -242,7 +245,7 @@ const addVideoToPlaylist = asyncHandler(async (req, res) => {
 
   const playlist = await checkPlaylistOwnership(playlistId, req.user._id);
 
-  await verifyVideoExists(videoId);
+  await verifyVideoExists(videoId, req.user._id);
 
   if (playlist.videos.some((id) => id.toString() === videoId)) {
     throw ApiError.conflict("Video already exists in the playlist");
@@ -0,0 +1,108 @@
+import { isValidObjectId } from "mongoose";
+import { z } from "zod";
+import { ApiError, ValidationError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import {
+  DURATION_BUCKETS,
+  SEARCH_TYPES,
+  UPLOAD_DATE_WINDOWS,
+  decodeCursor,
+  search as runSearch,
+} from "../utils/search.js";
+import {
+  getSearcherKey,
+  getSuggestions,
+  recordSearchQuery,
+} from "../utils/suggestions.js";
+
+const searchQuerySchema = z.object({
+  q: z
+    .string()
+    .trim()
+    .min(1, "Search query is required")
+    .max(100, "Search query too long (max 100 characters)"),
+  // Comma-separated subset of SEARCH_TYPES; all types when omitted
+  type: z
+    .string()
+    .optional()
+    .transform((value) =>
+      value ? value.split(",").map((type) => type.trim()) : SEARCH_TYPES
+    )
+    .refine(
+      (types) => types.every((type) => SEARCH_TYPES.includes(type)),
+      `Type must be one of: ${SEARCH_TYPES.join(", ")}`
+    ),
+  duration: z.enum(Object.keys(DURATION_BUCKETS)).optional(),
+  uploadDate: z.enum(Object.keys(UPLOAD_DATE_WINDOWS)).optional(),
+  channel: z.string().refine(isValidObjectId, "Invalid channel ID").optional(),
+  cursor: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+});
+
+const suggestQuerySchema = z.object({
+  q: z
+    .string()
+    .max(100, "Search query too long (max 100 characters)")
+    .default(""),
+  limit: z.coerce.number().int().min(1).max(15).default(8),
+});
+
+const parseQuery = (schema, query) => {
+  const result = schema.safeParse(query);
+  if (!result.success) {
+    throw new ValidationError(
+      "Validation failed",
+      result.error.issues.map((issue) => ({
+        field: issue.path.join("."),
+        message: issue.message,
+      }))
+    );
+  }
+  return result.data;
+};
+
+export const search = asyncHandler(async (req, res) => {
+  const { q, type, cursor, ...filters } = parseQuery(
+    searchQuerySchema,
+    req.query
+  );
+
+  const decodedCursor = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !decodedCursor) {
+    throw ApiError.badRequest("Invalid cursor");
+  }
+
+  const results = await runSearch({
+    query: q,
+    types: type,
+    cursor: decodedCursor,
+    ...filters,
+  });
+
+  // Only first pages count, so paging through results is one search
+  if (!cursor) {
+    recordSearchQuery(q, getSearcherKey(req)).catch((error) =>
+      console.error("Failed to record search query:", error.message)
+    );
+  }
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(results, "Search results fetched successfully")
+  );
+});
+
+export const suggest = asyncHandler(async (req, res) => {
+  const { q, limit } = parseQuery(suggestQuerySchema, req.query);
+
+  const suggestions = await getSuggestions(q, limit);
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      { query: q, suggestions },
+      "Suggestions fetched successfully"
+    )
+  );
+});
@@ -1,9 +1,16 @@
-import { isValidObjectId } from "mongoose";
-import { Subscription } from "../models/subscription.models.js";
+import mongoose, { isValidObjectId } from "mongoose";
+import {
+  NOTIFICATION_LEVELS,
+  Subscription,
+} from "../models/subscription.models.js";
+import { Tweet } from "../models/tweet.models.js";
 import { User } from "../models/user.models.js";
+import { Video } from "../models/video.models.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import asyncHandler from "../utils/asyncHandler.js";
+import { dispatchNotification } from "../utils/notifications.js";
+import { hasUserStreams, publishToUser } from "../utils/realtime.js";
 
 const validateObjectId = (id, fieldName = "ID") => {
   if (!id || !isValidObjectId(id)) {
@@ -47,6 +54,20 @@ const checkUserExists = async (userId) => {
   return user;
 };
 
+// Live updates for the channel's dashboard and the subscriber's other tabs
+const publishSubscriptionChange = async (channelId, subscriberId, action) => {
+  publishToUser(subscriberId, "subscription.status", {
+    channelId,
+    isSubscribed: action === "subscribed",
+  });
+
+  if (!hasUserStreams(channelId)) return;
+  const subscribersCount = await Subscription.countDocuments({
+    channel: channelId,
+  });
+  publishToUser(channelId, "channel.subscribers", { subscribersCount });
+};
+
 const toggleSubscription = asyncHandler(async (req, res) => {
   const startTime = Date.now();
 
@@ -95,9 +116,21 @@ const toggleSubscription = asyncHandler(async (req, res) => {
         subscribedAt: newSubscription.createdAt,
       };
 
+      dispatchNotification({
+        recipient: channel._id,
+        type: "subscriber",
+        actor: subscriberId,
+        target: { kind: "user", id: subscriberId },
+        groupKey: "subscriber",
+      });
+
       action = "subscribed";
     }
 
+    publishSubscriptionChange(channelId, subscriberId, action).catch((error) =>
+      console.error("Failed to publish subscription change:", error.message)
+    );
+
     const executionTime = Date.now() - startTime;
 
     console.log(
@@ -214,7 +247,7 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
     const [subscriptions, total] = await Promise.all([
       Subscription.find({ subscriber: subscriberId })
         .populate("channel", "_id fullName avatar username")
-        .select("channel createdAt")
+        .select("channel notificationLevel createdAt")
         .sort({ [sortBy]: sortDirection })
         .skip(offset)
         .limit(limit)
@@ -225,6 +258,7 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
     const formattedSubscriptions = subscriptions.map((sub) => ({
       _id: sub._id,
       channel: sub.channel,
+      notificationLevel: sub.notificationLevel,
       subscribedAt: sub.createdAt,
     }));
 
@@ -309,9 +343,183 @@ const getSubscriptionStatus = asyncHandler(async (req, res) => {
   }
 });
 
+const FEED_TYPES = ["all", "videos", "tweets"];
+
+// Cursors are the (publishedAt, _id) of the last item; videos and tweets
+// share the ordering, so one cursor pages through the merged feed
+const encodeFeedCursor = ({ publishedAt, _id }) => {
+  return Buffer.from(
+    JSON.stringify([new Date(publishedAt).getTime(), _id.toString()])
+  ).toString("base64url");
+};
+
+const decodeFeedCursor = (cursor) => {
+  try {
+    const [time, id] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (!Number.isFinite(time) || !isValidObjectId(id)) return null;
+    return {
+      publishedAt: new Date(time),
+      _id: new mongoose.Types.ObjectId(id),
+    };
+  } catch {
+    return null;
+  }
+};
+
+const ownerLookup = [
+  {
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [{ $project: { username: 1, fullname: 1, avatar: 1 } }],
+    },
+  },
+  { $unwind: "$owner" },
+];
+
+const feedPage = (model, match, publishedAt, cursor, limit, project) => {
+  return model.aggregate([
+    { $match: match },
+    { $addFields: { publishedAt } },
+    ...(cursor
+      ? [
+          {
+            $match: {
+              $or: [
+                { publishedAt: { $lt: cursor.publishedAt } },
+                { publishedAt: cursor.publishedAt, _id: { $lt: cursor._id } },
+              ],
+            },
+          },
+        ]
+      : []),
+    { $sort: { publishedAt: -1, _id: -1 } },
+    { $limit: limit },
+    ...ownerLookup,
+    { $project: { ...project, owner: 1, publishedAt: 1 } },
+  ]);
+};
+
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+  const subscriberId = req.user?._id;
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+  const type = req.query.type || "all";
+
+  if (!FEED_TYPES.includes(type)) {
+    throw ApiError.badRequest(`Type must be one of: ${FEED_TYPES.join(", ")}`);
+  }
+
+  const cursor = req.query.cursor ? decodeFeedCursor(req.query.cursor) : null;
+  if (req.query.cursor && !cursor) {
+    throw ApiError.badRequest("Invalid cursor");
+  }
+
+  const subscriptions = await Subscription.find({ subscriber: subscriberId })
+    .select("channel")
+    .lean();
+  const channelIds = subscriptions.map((sub) => sub.channel);
+
+  // One extra item per source tells whether another page exists
+  const [videos, tweets] =
+    channelIds.length === 0
+      ? [[], []]
+      : await Promise.all([
+          type === "tweets"
+            ? []
+            : feedPage(
+                Video,
+                { ...Video.listedFilter(), owner: { $in: channelIds } },
+                // Scheduled videos appear when they went public
+                { $ifNull: ["$publishAt", "$createdAt"] },
+                cursor,
+                limit + 1,
+                {
+                  title: 1,
+                  description: 1,
+                  thumbnail: 1,
+                  duration: 1,
+                  views: 1,
+                }
+              ),
+          type === "videos"
+            ? []
+            : feedPage(
+                Tweet,
+                { owner: { $in: channelIds } },
+                "$createdAt",
+                cursor,
+                limit + 1,
+                { content: 1 }
+              ),
+        ]);
+
+  const items = [
+    ...videos.map((video) => ({ type: "video", ...video })),
+    ...tweets.map((tweet) => ({ type: "tweet", ...tweet })),
+  ].sort(
+    (a, b) =>
+      b.publishedAt - a.publishedAt ||
+      b._id.toString().localeCompare(a._id.toString())
+  );
+
+  const page = items.slice(0, limit);
+  const nextCursor =
+    items.length > limit ? encodeFeedCursor(page[page.length - 1]) : null;
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      { items: page, nextCursor },
+      "Subscription feed fetched successfully"
+    )
+  );
+});
+
+const updateNotificationLevel = asyncHandler(async (req, res) => {
+  const channelId = validateObjectId(req.params.channelId, "Channel ID");
+  const { notificationLevel } = req.body ?? {};
+
+  if (!NOTIFICATION_LEVELS.includes(notificationLevel)) {
+    throw ApiError.badRequest(
+      `Notification level must be one of: ${NOTIFICATION_LEVELS.join(", ")}`
+    );
+  }
+
+  const subscription = await Subscription.findOneAndUpdate(
+    { channel: channelId, subscriber: req.user._id },
+    { $set: { notificationLevel } },
+    { new: true }
+  )
+    .select("channel notificationLevel createdAt")
+    .lean();
+
+  if (!subscription) {
+    throw ApiError.notFound("You are not subscribed to this channel");
+  }
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      {
+        _id: subscription._id,
+        channel: subscription.channel,
+        notificationLevel: subscription.notificationLevel,
+        subscribedAt: subscription.createdAt,
+      },
+      "Notification preference updated"
+    )
+  );
+});
+
 export {
   toggleSubscription,
   getUserChannelSubscribers,
   getSubscribedChannels,
   getSubscriptionStatus,
+  getSubscriptionFeed,
+  updateNotificationLevel,
 };
@@ -4,6 +4,7 @@ import { User } from "../models/user.models.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import  asyncHandler  from "../utils/asyncHandler.js";
+import { dispatchMentions } from "../utils/notifications.js";
 
 const PAGINATION_CONSTANTS = {
   DEFAULT_PAGE: 1,
@@ -182,6 +183,12 @@ const createTweet = asyncHandler(async (req, res) => {
       throw ApiError.internalServerError("Failed to create tweet");
     }
 
+    dispatchMentions({
+      text: content,
+      actor: owner._id,
+      target: { kind: "tweet", id: tweet._id },
+    });
+
     const populatedTweet = await Tweet.findById(tweet._id)
       .populate("owner", "username avatar fullName")
       .select("-__v")
@@ -0,0 +1,180 @@
+import { z } from "zod";
+import { User } from "../models/user.models.js";
+import ApiError, { AuthenticationError } from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import {
+  createRecoveryCodes,
+  createTotpSecret,
+  matchEncryptedTotp,
+  verifySecondFactor,
+} from "../utils/twoFactor.js";
+
+const confirmSchema = z.object({
+  code: z.string().trim().min(1, "Authentication code is required"),
+});
+
+// Turning two-factor off or replacing recovery codes needs the password and
+// a current code, so a stolen access token alone cannot do it
+const reauthSchema = z.object({
+  password: z.string().min(1, "Password is required"),
+  code: z.string().trim().min(1, "Authentication code is required"),
+});
+
+const parseBody = (schema, body) => {
+  const result = schema.safeParse(body ?? {});
+  if (!result.success) {
+    throw ApiError.badRequest(result.error.issues[0].message);
+  }
+  return result.data;
+};
+
+const reauthenticate = async (userId, { password, code }) => {
+  const user = await User.findById(userId);
+  if (!user?.twoFactor?.enabled) {
+    throw ApiError.badRequest("Two-factor authentication is not enabled");
+  }
+  if (!(await user.isPasswordCorrect(password))) {
+    throw new AuthenticationError("Password is incorrect");
+  }
+  if (!(await verifySecondFactor(user._id, code))) {
+    throw new AuthenticationError("Invalid two-factor authentication code");
+  }
+  return user;
+};
+
+// Starts enrollment. Calling it again replaces a secret that was never
+// confirmed.
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  if (req.user.twoFactor?.enabled) {
+    throw ApiError.conflict("Two-factor authentication is already enabled");
+  }
+
+  const { secret, encrypted, otpauthUrl } = createTotpSecret({
+    accountName: req.user.email,
+    issuer: process.env.APP_NAME || "DevTube",
+  });
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { "twoFactor.pendingSecret": encrypted } }
+  );
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      { secret, otpauthUrl },
+      "Scan the QR code with your authenticator app, then confirm a code"
+    )
+  );
+});
+
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = parseBody(confirmSchema, req.body);
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.pendingSecret"
+  );
+  if (user.twoFactor?.enabled) {
+    throw ApiError.conflict("Two-factor authentication is already enabled");
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw ApiError.badRequest("Start two-factor setup first");
+  }
+
+  const step = matchEncryptedTotp(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw ApiError.badRequest("Invalid authentication code");
+  }
+
+  const { codes, hashes } = createRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id, "twoFactor.enabled": { $ne: true } },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.enabledAt": new Date(),
+        "twoFactor.secret": user.twoFactor.pendingSecret,
+        "twoFactor.recoveryCodes": hashes,
+        "twoFactor.lastUsedStep": step,
+      },
+      $unset: { "twoFactor.pendingSecret": 1 },
+    }
+  );
+
+  console.info("Two-factor authentication enabled:", {
+    userId: user._id,
+    ip: req.ip,
+    timestamp: new Date().toISOString(),
+  });
+
+  // Recovery codes are shown only here; only their hashes are kept
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      { recoveryCodes: codes },
+      "Two-factor authentication enabled. Store your recovery codes somewhere safe."
+    )
+  );
+});
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await reauthenticate(
+    req.user._id,
+    parseBody(reauthSchema, req.body)
+  );
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.enabledAt": 1,
+        "twoFactor.secret": 1,
+        "twoFactor.pendingSecret": 1,
+        "twoFactor.recoveryCodes": 1,
+        "twoFactor.lastUsedStep": 1,
+      },
+    }
+  );
+
+  console.info("Two-factor authentication disabled:", {
+    userId: user._id,
+    ip: req.ip,
+    timestamp: new Date().toISOString(),
+  });
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(null, "Two-factor authentication disabled")
+  );
+});
+
+// Replaces all recovery codes, used or not
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await reauthenticate(
+    req.user._id,
+    parseBody(reauthSchema, req.body)
+  );
+
+  const { codes, hashes } = createRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.recoveryCodes": hashes } }
+  );
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      { recoveryCodes: codes },
+      "New recovery codes generated. Previous codes no longer work."
+    )
+  );
+});
+
+export {
+  disableTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  setupTwoFactor,
+};
@@ -0,0 +1,353 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { isValidObjectId } from "mongoose";
+import { z } from "zod";
+import { UploadSession } from "../models/uploadSession.models.js";
+import { ApiError, ValidationError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import {
+  UPLOAD_SESSION_TTL,
+  UPLOAD_TEMP_DIR,
+  assembleChunks,
+  removeSessionFiles,
+  writeChunk,
+} from "../utils/uploadSessionStore.js";
+
+const MIN_CHUNK_SIZE = 1024 * 1024; // 1MB
+export const MAX_CHUNK_SIZE = 10 * 1024 * 1024; // 10MB
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_FILE_SIZE = 5 * 1024 * 1024 * 1024; // 5GB
+const COMPLETED_SESSION_RETENTION = 60 * 60 * 1000; // 1 hour
+
+const ALLOWED_VIDEO_TYPES = [
+  "video/mp4",
+  "video/webm",
+  "video/quicktime",
+  "video/x-matroska",
+];
+
+const SHA256_HEX = /^[a-f0-9]{64}$/i;
+
+const createSessionSchema = z.object({
+  fileName: z
+    .string()
+    .trim()
+    .min(1, "File name is required")
+    .max(255, "File name must be less than 255 characters"),
+  fileSize: z.coerce
+    .number()
+    .int()
+    .min(1, "File size must be positive")
+    .max(MAX_FILE_SIZE, "File size must be less than 5GB"),
+  mimeType: z.enum(ALLOWED_VIDEO_TYPES, {
+    message: "Only MP4, WebM, MOV and MKV videos are allowed",
+  }),
+  chunkSize: z.coerce
+    .number()
+    .int()
+    .min(MIN_CHUNK_SIZE, "Chunk size must be at least 1MB")
+    .max(MAX_CHUNK_SIZE, "Chunk size must be at most 10MB")
+    .default(DEFAULT_CHUNK_SIZE),
+  checksum: z
+    .string()
+    .regex(SHA256_HEX, "Checksum must be a SHA-256 hex digest")
+    .optional(),
+});
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash("sha256");
+  for await (const data of fs.createReadStream(filePath)) {
+    hash.update(data);
+  }
+  return hash.digest("hex");
+};
+
+const formatSession = (session) => {
+  const receivedChunks = session.receivedChunks
+    .map((chunk) => chunk.index)
+    .sort((a, b) => a - b);
+
+  return {
+    _id: session._id,
+    fileName: session.fileName,
+    mimeType: session.mimeType,
+    fileSize: session.fileSize,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    receivedChunks,
+    missingChunks: session.getMissingChunks(),
+    uploadedBytes: session.receivedChunks.reduce(
+      (sum, chunk) => sum + chunk.size,
+      0
+    ),
+    status: session.status,
+    expiresAt: session.expiresAt,
+    createdAt: session.createdAt,
+  };
+};
+
+const getOwnedSession = async (sessionId, userId) => {
+  if (!isValidObjectId(sessionId)) {
+    throw ApiError.badRequest("Invalid upload session ID");
+  }
+
+  const session = await UploadSession.findById(sessionId);
+
+  if (!session || session.isExpired()) {
+    throw ApiError.notFound("Upload session not found or expired");
+  }
+
+  if (session.owner.toString() !== userId.toString()) {
+    throw ApiError.forbidden("You do not have access to this upload session");
+  }
+
+  return session;
+};
+
+const createUploadSession = asyncHandler(async (req, res) => {
+  const validatedData = createSessionSchema.safeParse(req.body);
+
+  if (!validatedData.success) {
+    const validationErrors = validatedData.error.issues.map((issue) => ({
+      field: issue.path.join("."),
+      message: issue.message,
+    }));
+    throw new ValidationError(
+      "Validation failed for upload session.",
+      validationErrors
+    );
+  }
+
+  const { fileName, fileSize, mimeType, chunkSize, checksum } =
+    validatedData.data;
+
+  const session = await UploadSession.create({
+    owner: req.user._id,
+    fileName,
+    fileSize,
+    mimeType,
+    chunkSize,
+    totalChunks: Math.ceil(fileSize / chunkSize),
+    checksum,
+    expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL),
+  });
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.created(
+      formatSession(session),
+      "Upload session created successfully"
+    )
+  );
+});
+
+const uploadChunk = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+  const index = Number(req.params.chunkIndex);
+
+  const session = await getOwnedSession(sessionId, req.user._id);
+
+  if (session.status !== "active") {
+    throw ApiError.conflict(`Upload session is already ${session.status}`);
+  }
+
+  if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+    throw ApiError.badRequest(
+      `Chunk index must be between 0 and ${session.totalChunks - 1}`
+    );
+  }
+
+  const chunk = req.body;
+  if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+    throw ApiError.badRequest(
+      "Chunk body is required (Content-Type: application/octet-stream)"
+    );
+  }
+
+  const expectedSize = session.getExpectedChunkSize(index);
+  if (chunk.length !== expectedSize) {
+    throw new ValidationError("Chunk size mismatch", [
+      {
+        field: "body",
+        message: `Chunk ${index} must be ${expectedSize} bytes, received ${chunk.length}`,
+      },
+    ]);
+  }
+
+  const declaredChecksum = req.header("X-Chunk-Checksum")?.toLowerCase();
+  if (!declaredChecksum || !SHA256_HEX.test(declaredChecksum)) {
+    throw ApiError.badRequest(
+      "X-Chunk-Checksum header with a SHA-256 hex digest is required"
+    );
+  }
+
+  const checksum = sha256(chunk);
+  if (checksum !== declaredChecksum) {
+    throw new ValidationError("Chunk checksum mismatch", [
+      {
+        field: "X-Chunk-Checksum",
+        message: "Chunk data does not match the provided checksum",
+      },
+    ]);
+  }
+
+  await writeChunk(session._id, index, chunk);
+
+  const receivedChunk = { index, size: chunk.length, checksum };
+  const expiresAt = new Date(Date.now() + UPLOAD_SESSION_TTL);
+
+  // Re-sending a chunk replaces the earlier record instead of duplicating it
+  const replaced = await UploadSession.updateOne(
+    { _id: session._id, "receivedChunks.index": index },
+    { $set: { "receivedChunks.$": receivedChunk, expiresAt } }
+  );
+  if (replaced.matchedCount === 0) {
+    await UploadSession.updateOne(
+      { _id: session._id, "receivedChunks.index": { $ne: index } },
+      { $push: { receivedChunks: receivedChunk }, $set: { expiresAt } }
+    );
+  }
+
+  const updatedSession = await UploadSession.findById(session._id);
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      formatSession(updatedSession),
+      `Chunk ${index} uploaded successfully`
+    )
+  );
+});
+
+const getUploadSession = asyncHandler(async (req, res) => {
+  const session = await getOwnedSession(req.params.sessionId, req.user._id);
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      formatSession(session),
+      "Upload session fetched successfully"
+    )
+  );
+});
+
+const cancelUploadSession = asyncHandler(async (req, res) => {
+  const session = await getOwnedSession(req.params.sessionId, req.user._id);
+
+  if (session.status === "assembling") {
+    throw ApiError.conflict("Upload session is being finalized");
+  }
+
+  await removeSessionFiles(session._id);
+  await session.deleteOne();
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok({ sessionId: session._id }, "Upload session cancelled")
+  );
+});
+
+// Assembles the uploaded chunks and exposes the result as req.files.videoFile
+// so the regular publishVideo handler can take over.
+const completeUploadSession = asyncHandler(async (req, res, next) => {
+  const session = await getOwnedSession(req.params.sessionId, req.user._id);
+
+  const missingChunks = session.getMissingChunks();
+  if (missingChunks.length > 0) {
+    throw new ValidationError("Upload is incomplete", [
+      {
+        field: "chunks",
+        message: `Missing chunks: ${missingChunks.slice(0, 20).join(", ")}${missingChunks.length > 20 ? ", ..." : ""}`,
+      },
+    ]);
+  }
+
+  // Claim the session atomically so concurrent finalize calls cannot both publish
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: "active" },
+    { $set: { status: "assembling" } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw ApiError.conflict(`Upload session is already ${session.status}`);
+  }
+
+  const extension = path.extname(session.fileName).toLowerCase();
+  const assembledPath = path.join(
+    UPLOAD_TEMP_DIR,
+    `${req.user.username}-${session._id}${extension}`
+  );
+
+  try {
+    await fs.promises.mkdir(UPLOAD_TEMP_DIR, { recursive: true });
+    await assembleChunks(session, assembledPath);
+
+    if (
+      session.checksum &&
+      (await hashFile(assembledPath)) !== session.checksum
+    ) {
+      throw new ValidationError("File checksum mismatch", [
+        {
+          field: "checksum",
+          message: "Assembled file does not match the session checksum",
+        },
+      ]);
+    }
+  } catch (error) {
+    await fs.promises.rm(assembledPath, { force: true });
+    await UploadSession.updateOne(
+      { _id: session._id },
+      { $set: { status: "active" } }
+    );
+    throw error;
+  }
+
+  // "close" also fires when the client disconnects before the response is
+  // sent, which "finish" does not; the session is then reopened for a retry
+  res.once("close", () => {
+    const succeeded = res.writableFinished && res.statusCode < 400;
+    const update = succeeded
+      ? {
+          status: "completed",
+          completedAt: new Date(),
+          expiresAt: new Date(Date.now() + COMPLETED_SESSION_RETENTION),
+        }
+      : { status: "active" };
+
+    UploadSession.updateOne({ _id: session._id }, { $set: update })
+      .then(() => succeeded && removeSessionFiles(session._id))
+      .catch((error) =>
+        console.error("Failed to update upload session:", error.message)
+      );
+
+    // publishVideo normally consumes the file; clean up if it never got that far
+    fs.promises.rm(assembledPath, { force: true }).catch(() => {});
+  });
+
+  req.files = {
+    ...req.files,
+    videoFile: [
+      {
+        fieldname: "videoFile",
+        originalname: session.fileName,
+        mimetype: session.mimeType,
+        size: session.fileSize,
+        path: assembledPath,
+      },
+    ],
+  };
+
+  next();
+});
+
+export {
+  cancelUploadSession,
+  completeUploadSession,
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+};
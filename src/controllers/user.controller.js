@@ -1,16 +1,34 @@
 import fs from "fs/promises";
-import jwt from "jsonwebtoken";
+import { isValidObjectId } from "mongoose";
 import { z } from "zod";
 import { DEFAULT_AVATAR_URL, DEFAULT_COVER_URL } from "../constants.js";
-import { User } from "../models/user.models.js";
+import { sendEmail } from "../jobs/email.job.js";
+import { Email } from "../models/email.models.js";
+import {
+  PASSWORD_RESET_TTL,
+  User,
+  hashPasswordResetToken,
+} from "../models/user.models.js";
 import ApiError, {
   AuthenticationError,
+  AuthorizationError,
   DatabaseError,
   ValidationError,
 } from "../utils/ApiError.js";
 import ApiResponse, { SuccessResponse } from "../utils/ApiResponse.js";
 import asyncHandler from "../utils/asyncHandler.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { getAppUrl } from "../utils/mail/templates.js";
+import { closeUserStreams } from "../utils/realtime.js";
+import { verifyScopedToken } from "../utils/scopedTokens.js";
+import {
+  createSession,
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions,
+  rotateSession,
+} from "../utils/sessions.js";
+import { uploadToStorage } from "../utils/storage/index.js";
+import { verifySecondFactor } from "../utils/twoFactor.js";
 
 const userSchema = z.object({
   fullname: z
@@ -76,6 +94,25 @@ const updateDetailsSchema = z.object({
     .optional(),
 });
 
+// OAuth logins hand the challenge over in this cookie, since a token in the
+// redirect URL would end up in browser history, proxy logs and Referer headers
+const TWO_FACTOR_CHALLENGE_COOKIE = "twoFactorChallenge";
+const twoFactorChallengeCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "strict",
+  path: "/api/v1/users/login/2fa",
+};
+
+const twoFactorLoginSchema = z.object({
+  challengeToken: z.string().trim().min(1, "Challenge token is required"),
+  code: z.string().trim().min(1, "Authentication code is required"),
+});
+
+const verifyEmailSchema = z.object({
+  token: z.string().trim().min(1, "Verification token is required"),
+});
+
 const changePasswordSchema = z.object({
   oldPassword: z.string().min(1, "Old password is required"),
   newPassword: z
@@ -88,6 +125,19 @@ const changePasswordSchema = z.object({
     ),
 });
 
+const forgotPasswordSchema = z.object({
+  email: z
+    .string()
+    .trim()
+    .toLowerCase()
+    .email("Please provide a valid email address"),
+});
+
+const resetPasswordSchema = z.object({
+  token: z.string().trim().min(1, "Reset token is required"),
+  newPassword: changePasswordSchema.shape.newPassword,
+});
+
 const ALLOWED_IMAGE_TYPES = [
   "image/jpeg",
   "image/png",
@@ -130,6 +180,11 @@ const safeDeleteFile = async (filePath) => {
   }
 };
 
+const UPLOAD_FOLDERS = {
+  avatar: "avatars",
+  coverImage: "cover-images",
+};
+
 const handleFileUpload = async (files, fieldName, defaultUrl = null) => {
   const file = files?.[fieldName]?.[0];
 
@@ -142,7 +197,10 @@ const handleFileUpload = async (files, fieldName, defaultUrl = null) => {
   try {
     validateFile(file, fieldName);
 
-    const uploadPromise = uploadOnCloudinary(file.path);
+    const uploadPromise = uploadToStorage(file.path, {
+      folder: UPLOAD_FOLDERS[fieldName],
+      contentType: file.mimetype,
+    });
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => reject(new Error("Upload timeout")), UPLOAD_TIMEOUT);
     });
@@ -150,7 +208,7 @@ const handleFileUpload = async (files, fieldName, defaultUrl = null) => {
     uploadResult = await Promise.race([uploadPromise, timeoutPromise]);
 
     if (!uploadResult || !uploadResult.secure_url) {
-      throw new Error("Invalid upload response from Cloudinary");
+      throw new Error("Invalid upload response from storage");
     }
 
     await safeDeleteFile(file.path);
@@ -219,13 +277,10 @@ const cleanupUploadedFiles = async (files) => {
   await Promise.allSettled(cleanupPromises);
 };
 
-const generateAccessAndRefreshToken = async (user) => {
+// Each login starts a new session, so other devices stay signed in
+const generateAccessAndRefreshToken = async (user, req) => {
   try {
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
-
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+    const { accessToken, refreshToken } = await createSession(user, req);
     return { accessToken, refreshToken };
   } catch (error) {
     console.error("Error generating tokens:", error);
@@ -236,6 +291,24 @@ const generateAccessAndRefreshToken = async (user) => {
   }
 };
 
+const VERIFICATION_RESEND_COOLDOWN = 60 * 1000;
+const VERIFICATION_DAILY_LIMIT = 5;
+
+const sendVerificationEmail = (user) => {
+  const token = user.generateEmailVerificationToken();
+  return sendEmail({
+    to: user.email,
+    template: "verifyEmail",
+    data: {
+      username: user.username,
+      url: `${getAppUrl()}/verify-email?token=${encodeURIComponent(token)}`,
+    },
+    user: user._id,
+  });
+};
+
+const PASSWORD_RESET_COOLDOWN = 60 * 1000;
+
 const refreshAccessToken = asyncHandler(async (req, res) => {
   const incomingRefreshToken =
     req.cookies?.refreshToken || req.body?.refreshToken;
@@ -244,25 +317,11 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     throw new AuthenticationError("Refresh token is required"); // FIX: Use AuthenticationError
   }
 
-  let user;
-
-  try {
-    const decodedToken = jwt.verify(
-      incomingRefreshToken,
-      process.env.REFRESH_TOKEN_SECRET
-    );
-
-    user = await User.findById(decodedToken?._id);
-
-    if (!user || incomingRefreshToken !== user.refreshToken) {
-      throw new AuthenticationError("Invalid or expired refresh token");
-    }
-  } catch (error) {
-    throw new AuthenticationError("Invalid or expired refresh token");
-  }
-
-  const { accessToken, refreshToken } =
-    await generateAccessAndRefreshToken(user); // FIX: Get both tokens
+  // Every refresh rotates the token; reusing an old one ends the session
+  const { user, sessionId, accessToken, refreshToken } = await rotateSession(
+    incomingRefreshToken,
+    req
+  );
 
   const option = {
     httpOnly: true,
@@ -276,6 +335,7 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
 
   console.info("Access token refreshed:", {
     userId: user._id,
+    sessionId,
     email: user.email,
     ip: req.ip,
     userAgent: req.headers["user-agent"],
@@ -384,32 +444,28 @@ const registerUser = asyncHandler(async (req, res) => {
     timestamp: new Date().toISOString(),
   });
 
+  // Registration succeeds even if the email cannot be queued; the user can
+  // ask for a new link
+  sendVerificationEmail(dbUserRegisterResponse).catch((error) =>
+    console.error("Failed to queue verification email:", {
+      userId: createdUser._id,
+      error: error.message,
+    })
+  );
+
   return ApiResponse.sendResponse(
     res,
     ApiResponse.created(createdUser, "User registered successfully.")
   );
 });
 
-const loginUser = asyncHandler(async (req, res) => {
-  const validatedData = loginSchema.safeParse(req.body);
-
-  if (!validatedData.success) {
-    const validationErrors = validatedData.error.issues.map((issue) => ({
-      field: issue.path.join("."),
-      message: issue.message,
-    }));
-    throw new ValidationError("Validation failed", validationErrors);
-  }
-
-  const { email, password } = validatedData.data;
-
-  const user = await User.findOne({ email });
-  if (!user || !(await user.isPasswordCorrect(password))) {
-    throw new AuthenticationError("Invalid email or password");
-  }
-
-  const { accessToken, refreshToken } =
-    await generateAccessAndRefreshToken(user);
+// Starts a session and responds with the tokens; the last step of both the
+// password and the two-factor login
+const sendLoginResponse = async (req, res, user, { twoFactorMethod } = {}) => {
+  const { accessToken, refreshToken } = await generateAccessAndRefreshToken(
+    user,
+    req
+  );
 
   const loggedInUser = await User.findById(user._id)
     .select("-password -refreshToken")
@@ -442,6 +498,7 @@ const loginUser = asyncHandler(async (req, res) => {
     email: loggedInUser.email,
     ip: req.ip,
     userAgent: req.headers["user-agent"],
+    ...(twoFactorMethod && { twoFactorMethod }),
     timestamp: new Date().toISOString(),
   });
 
@@ -453,20 +510,88 @@ const loginUser = asyncHandler(async (req, res) => {
       "User logged in successfully."
     )
   );
+};
+
+const loginUser = asyncHandler(async (req, res) => {
+  const validatedData = loginSchema.safeParse(req.body);
+
+  if (!validatedData.success) {
+    const validationErrors = validatedData.error.issues.map((issue) => ({
+      field: issue.path.join("."),
+      message: issue.message,
+    }));
+    throw new ValidationError("Validation failed", validationErrors);
+  }
+
+  const { email, password } = validatedData.data;
+
+  const user = await User.findOne({ email });
+  if (!user || !(await user.isPasswordCorrect(password))) {
+    throw new AuthenticationError("Invalid email or password");
+  }
+
+  // Checked before the second factor so no challenge is handed out
+  const restriction = user.getRestrictionMessage();
+  if (restriction) {
+    throw new AuthorizationError(restriction);
+  }
+
+  // With two-factor enabled the password alone only earns a short-lived
+  // challenge, exchanged for tokens by verifyTwoFactorLogin
+  if (user.twoFactor?.enabled) {
+    return ApiResponse.sendResponse(
+      res,
+      ApiResponse.ok(
+        {
+          twoFactorRequired: true,
+          challengeToken: user.generateTwoFactorChallengeToken(),
+        },
+        "Two-factor authentication code required."
+      )
+    );
+  }
+
+  return sendLoginResponse(req, res, user);
+});
+
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const validatedData = twoFactorLoginSchema.safeParse({
+    ...req.body,
+    challengeToken:
+      req.body?.challengeToken ?? req.cookies?.[TWO_FACTOR_CHALLENGE_COOKIE],
+  });
+  if (!validatedData.success) {
+    const validationErrors = validatedData.error.issues.map((issue) => ({
+      field: issue.path.join("."),
+      message: issue.message,
+    }));
+    throw new ValidationError("Validation failed", validationErrors);
+  }
+
+  const { challengeToken, code } = validatedData.data;
+
+  const payload = verifyScopedToken("two-factor-login", challengeToken);
+  const user = payload && (await User.findById(payload._id));
+  if (!user?.twoFactor?.enabled) {
+    throw new AuthenticationError("Login challenge is invalid or has expired");
+  }
+
+  const twoFactorMethod = await verifySecondFactor(user._id, code);
+  if (!twoFactorMethod) {
+    throw new AuthenticationError("Invalid two-factor authentication code");
+  }
+
+  res.clearCookie(TWO_FACTOR_CHALLENGE_COOKIE, twoFactorChallengeCookieOptions);
+  return sendLoginResponse(req, res, user, { twoFactorMethod });
 });
 
 const logoutUser = asyncHandler(async (req, res) => {
-  await User.findByIdAndUpdate(
-    req.user._id,
-    {
-      $unset: {
-        refreshToken: 1,
-      },
-    },
-    {
-      new: true,
-    }
-  );
+  // Only this device is signed out; its live event streams close with it
+  if (req.sessionId) {
+    await revokeSession(req.user._id, req.sessionId, "logout");
+  } else {
+    closeUserStreams(req.user._id, "logout");
+  }
 
   const cookieOptions = {
     // FIX: Enhanced cookie security
@@ -525,6 +650,11 @@ const changePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save({ validateBeforeSave: false });
 
+  // Other devices have to log in with the new password
+  await revokeUserSessions(user._id, "password_changed", {
+    except: req.sessionId,
+  });
+
   console.info("Password changed successfully:", {
     // FIX: Added logging
     userId: user._id,
@@ -582,11 +712,28 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
     }
   }
 
+  const emailChanged = Boolean(email) && email !== user.email;
+
   if (fullname) user.fullname = fullname;
   if (email) user.email = email;
 
+  // A new address has to be verified again
+  if (emailChanged) {
+    user.isEmailVerified = false;
+    user.emailVerifiedAt = undefined;
+  }
+
   await user.save({ validateBeforeSave: false });
 
+  if (emailChanged) {
+    sendVerificationEmail(user).catch((error) =>
+      console.error("Failed to queue verification email:", {
+        userId: user._id,
+        error: error.message,
+      })
+    );
+  }
+
   const updatedUser = await User.findById(user._id)
     .select("-password -refreshToken")
     .lean();
@@ -856,11 +1003,291 @@ const getUserWatchHistory = asyncHandler(async (req, res) => {
   );
 });
 
+const verifyEmail = asyncHandler(async (req, res) => {
+  const validatedData = verifyEmailSchema.safeParse(req.body ?? {});
+  if (!validatedData.success) {
+    throw ApiError.badRequest(validatedData.error.issues[0].message);
+  }
+
+  const payload = verifyScopedToken(
+    "email-verification",
+    validatedData.data.token
+  );
+  if (!payload) {
+    throw ApiError.badRequest("Verification link is invalid or has expired");
+  }
+
+  const user = await User.findById(payload._id);
+  // Links sent to a previous address stop working once the email changes
+  if (!user || user.email !== payload.email) {
+    throw ApiError.badRequest("Verification link is invalid or has expired");
+  }
+
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    sendEmail({
+      to: user.email,
+      template: "welcome",
+      data: { username: user.username },
+      user: user._id,
+    }).catch((error) =>
+      console.error("Failed to queue welcome email:", {
+        userId: user._id,
+        error: error.message,
+      })
+    );
+
+    console.info("Email verified:", {
+      userId: user._id,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      {
+        email: user.email,
+        isEmailVerified: true,
+        emailVerifiedAt: user.emailVerifiedAt,
+      },
+      "Email verified successfully"
+    )
+  );
+});
+
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    throw ApiError.notFound("User not found");
+  }
+
+  if (user.isEmailVerified) {
+    throw ApiError.conflict("Email is already verified");
+  }
+
+  // The outbox doubles as the send history
+  const [lastSent, sentToday] = await Promise.all([
+    Email.findOne({ user: user._id, template: "verifyEmail" })
+      .sort({ createdAt: -1 })
+      .select("createdAt")
+      .lean(),
+    Email.countDocuments({
+      user: user._id,
+      template: "verifyEmail",
+      createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+    }),
+  ]);
+
+  if (
+    lastSent &&
+    Date.now() - lastSent.createdAt.getTime() < VERIFICATION_RESEND_COOLDOWN
+  ) {
+    throw ApiError.tooManyRequests(
+      "Please wait a minute before requesting another email"
+    );
+  }
+  if (sentToday >= VERIFICATION_DAILY_LIMIT) {
+    throw ApiError.tooManyRequests(
+      "Too many verification emails today, please try again tomorrow"
+    );
+  }
+
+  await sendVerificationEmail(user);
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok({ email: user.email }, "Verification email sent")
+  );
+});
+
+const forgotPassword = asyncHandler(async (req, res) => {
+  const validatedData = forgotPasswordSchema.safeParse(req.body ?? {});
+  if (!validatedData.success) {
+    throw ApiError.badRequest(validatedData.error.issues[0].message);
+  }
+
+  const user = await User.findOne({ email: validatedData.data.email });
+
+  // A token issued moments ago is kept, so one address cannot be flooded
+  const issuedAt = user?.passwordResetExpiresAt
+    ? user.passwordResetExpiresAt.getTime() - PASSWORD_RESET_TTL
+    : 0;
+
+  if (user && Date.now() - issuedAt >= PASSWORD_RESET_COOLDOWN) {
+    const token = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    sendEmail({
+      to: user.email,
+      template: "passwordReset",
+      data: {
+        username: user.username,
+        url: `${getAppUrl()}/reset-password?token=${encodeURIComponent(token)}`,
+      },
+      user: user._id,
+    }).catch((error) =>
+      console.error("Failed to queue password reset email:", {
+        userId: user._id,
+        error: error.message,
+      })
+    );
+  }
+
+  // Same answer whether or not the account exists
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      null,
+      "If an account exists for this email, a reset link has been sent"
+    )
+  );
+});
+
+const resetPassword = asyncHandler(async (req, res) => {
+  const validatedData = resetPasswordSchema.safeParse(req.body ?? {});
+  if (!validatedData.success) {
+    const validationErrors = validatedData.error.issues.map((issue) => ({
+      field: issue.path.join("."),
+      message: issue.message,
+    }));
+    throw new ValidationError("Validation failed", validationErrors);
+  }
+
+  const { token, newPassword } = validatedData.data;
+
+  // Claiming the token clears it in the same write, so it works only once
+  const user = await User.findOneAndUpdate(
+    {
+      passwordResetTokenHash: hashPasswordResetToken(token),
+      passwordResetExpiresAt: { $gt: new Date() },
+    },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } },
+    { new: true }
+  );
+  if (!user) {
+    throw ApiError.badRequest("Reset link is invalid or has expired");
+  }
+
+  user.password = newPassword;
+  // The link could only be opened from the inbox
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save({ validateBeforeSave: false });
+
+  // Every signed-in device has to log in again
+  await revokeUserSessions(user._id, "password_reset");
+  closeUserStreams(user._id, "password_reset");
+
+  sendEmail({
+    to: user.email,
+    template: "passwordChanged",
+    data: { username: user.username },
+    user: user._id,
+  }).catch((error) =>
+    console.error("Failed to queue password changed email:", {
+      userId: user._id,
+      error: error.message,
+    })
+  );
+
+  console.info("Password reset successfully:", {
+    userId: user._id,
+    ip: req.ip,
+    timestamp: new Date().toISOString(),
+  });
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(null, "Password has been reset. Please log in again.")
+  );
+});
+
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listActiveSessions(req.user._id);
+  const currentSessionId = req.sessionId?.toString();
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === currentSessionId,
+      })),
+      "Active sessions fetched successfully"
+    )
+  );
+});
+
+const deleteSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+  if (!isValidObjectId(sessionId)) {
+    throw ApiError.badRequest("Invalid session ID");
+  }
+
+  const revoked = await revokeSession(req.user._id, sessionId, "revoked");
+  if (!revoked) {
+    throw ApiError.notFound("Session not found");
+  }
+
+  // Ending the current session signs this device out as well
+  if (sessionId === req.sessionId) {
+    const cookieOptions = {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "strict",
+    };
+    res
+      .clearCookie("accessToken", cookieOptions)
+      .clearCookie("refreshToken", cookieOptions);
+  }
+
+  console.info("Session revoked:", {
+    userId: req.user._id,
+    sessionId,
+    ip: req.ip,
+    timestamp: new Date().toISOString(),
+  });
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok({ sessionId }, "Session revoked successfully")
+  );
+});
+
+// "Sign out everywhere else": the session making the request stays active
+const deleteOtherSessions = asyncHandler(async (req, res) => {
+  const revokedCount = await revokeUserSessions(req.user._id, "revoked", {
+    except: req.sessionId,
+  });
+
+  console.info("Other sessions revoked:", {
+    userId: req.user._id,
+    revokedCount,
+    ip: req.ip,
+    timestamp: new Date().toISOString(),
+  });
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok({ revokedCount }, "Other sessions revoked successfully")
+  );
+});
+
 export {
   changePassword,
   cleanupUploadedFiles,
+  deleteOtherSessions,
+  deleteSession,
+  forgotPassword,
   generateAccessAndRefreshToken,
   getCurrentUser,
+  getSessions,
   getUserChannelProfile,
   getUserWatchHistory,
   handleFileUpload,
@@ -868,7 +1295,13 @@ export {
   logoutUser,
   refreshAccessToken,
   registerUser,
+  resendVerificationEmail,
+  resetPassword,
+  TWO_FACTOR_CHALLENGE_COOKIE,
+  twoFactorChallengeCookieOptions,
   updateAccountDetails,
   updateUserAvatar,
   updateUserCoverImage,
+  verifyEmail,
+  verifyTwoFactorLogin,
 };
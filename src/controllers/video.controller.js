@@ -1,18 +1,41 @@
-import mongoose from "mongoose";
-import {Video} from "../models/video.models.js";
+import mongoose, { isValidObjectId } from "mongoose";
+import { enqueueMediaDeletion } from "../jobs/media.job.js";
+import { enqueueUploadNotifications } from "../jobs/notification.job.js";
+import { enqueueVideoProcessing } from "../jobs/video.job.js";
+import {
+  clearVideoCache,
+  clearVideoListCache,
+} from "../middlewares/cache.middleware.js";
+import { SHARE_PLATFORMS, Share } from "../models/share.models.js";
+import { User } from "../models/user.models.js";
+import {
+  VIDEO_CATEGORIES,
+  VIDEO_VISIBILITIES,
+  Video,
+} from "../models/video.models.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import asyncHandler from "../utils/asyncHandler.js";
+import { removeVideo } from "../utils/contentRemoval.js";
+import { findRelatedVideos } from "../utils/relatedVideos.js";
+import { canManage, PERMISSIONS } from "../utils/permissions.js";
+import { uploadToStorage } from "../utils/storage/index.js";
+import { getLatestTrendingSnapshot } from "../utils/trending.js";
 import {
-  deleteFromCloudinary,
-  uploadOnCloudinary,
-} from "../utils/cloudinary.js";
+  getSearcherKey,
+  recordSearchQuery,
+  removeVideoSuggestions,
+} from "../utils/suggestions.js";
+import { getViewerKey } from "../utils/viewerKey.js";
 
-const uploadFunction = async (file) => {
+const uploadFunction = async (file, folder) => {
   if (!file) throw ApiError.badRequest("File is required for upload");
-  const uploadResponse = await uploadOnCloudinary(file.path);
+  const uploadResponse = await uploadToStorage(file.path, {
+    folder,
+    contentType: file.mimetype,
+  });
   if (!uploadResponse)
-    throw ApiError.internal("Failed to upload file to Cloudinary");
+    throw ApiError.internal("Failed to upload file to storage");
   return {
     publicId: uploadResponse.public_id,
     url: uploadResponse.secure_url,
@@ -47,12 +70,17 @@ export const getAllVideos = asyncHandler(async (req, res) => {
     throw ApiError.badRequest("Search query too long (max 100 characters)");
   }
 
-  const matchQuery = { isPublished: true };
+  // Creators browsing their own channel also see unlisted, private and
+  // scheduled uploads; responses are cached per viewer
+  const isOwnChannel = userId && userId === req.user?._id?.toString();
+  const matchQuery = isOwnChannel ? {} : Video.listedFilter();
   if (query) {
-    matchQuery.$or = [
-      { title: { $regex: query, $options: "i" } },
-      { description: { $regex: query, $options: "i" } },
-    ];
+    matchQuery.$text = { $search: query };
+    if (page === 1) {
+      recordSearchQuery(query, getSearcherKey(req)).catch((error) =>
+        console.error("Failed to record search query:", error.message)
+      );
+    }
   }
   if (userId) {
     matchQuery.owner = new mongoose.Types.ObjectId(userId);
@@ -80,7 +108,9 @@ export const getAllVideos = asyncHandler(async (req, res) => {
         description: 1,
         views: 1,
         duration: 1,
-        isPublished: 1,
+        streaming: 1,
+        visibility: 1,
+        publishAt: 1,
         createdAt: 1,
         updatedAt: 1,
         owner: "$ownerDetails",
@@ -113,7 +143,7 @@ export const getAllVideos = asyncHandler(async (req, res) => {
 });
 
 export const getAllPublishedVideos = asyncHandler(async (req, res) => {
-  const videos = await Video.find({ isPublished: true })
+  const videos = await Video.find(Video.listedFilter())
     .populate("owner", "_id name")
     .sort({ createdAt: -1 });
 
@@ -123,39 +153,97 @@ export const getAllPublishedVideos = asyncHandler(async (req, res) => {
   );
 });
 
+const MAX_SCHEDULE_AHEAD = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+// A publishAt timestamp implies "scheduled"; "scheduled" without one is
+// rejected. Returns the fields to store on the video.
+const resolveVisibility = ({ visibility, publishAt }, fallback) => {
+  if (publishAt !== undefined && publishAt !== null && publishAt !== "") {
+    const date = new Date(publishAt);
+
+    if (Number.isNaN(date.getTime())) {
+      throw ApiError.badRequest("publishAt must be a valid ISO 8601 date");
+    }
+    if (date.getTime() <= Date.now()) {
+      throw ApiError.badRequest("publishAt must be in the future");
+    }
+    if (date.getTime() - Date.now() > MAX_SCHEDULE_AHEAD) {
+      throw ApiError.badRequest(
+        "Videos can be scheduled at most one year ahead"
+      );
+    }
+    if (visibility && visibility !== "scheduled") {
+      throw ApiError.badRequest(
+        "publishAt can only be combined with scheduled visibility"
+      );
+    }
+
+    return { visibility: "scheduled", publishAt: date };
+  }
+
+  const resolved = visibility || fallback;
+
+  if (resolved === "scheduled") {
+    throw ApiError.badRequest("Scheduled videos require a publishAt date");
+  }
+  if (!VIDEO_VISIBILITIES.includes(resolved)) {
+    throw ApiError.badRequest(
+      `Visibility must be one of: ${VIDEO_VISIBILITIES.join(", ")}`
+    );
+  }
+
+  return { visibility: resolved, publishAt: undefined };
+};
+
 export const publishVideo = asyncHandler(async (req, res) => {
-  const { title, description, tags, duration } = req.body;
+  const { title, description, tags, category } = req.body;
+  const { visibility, publishAt } = resolveVisibility(req.body, "public");
   const userId = req.user?._id;
 
-  if (!title || !description || !duration) {
-    throw ApiError.badRequest("Title, description, and duration are required");
+  if (!title || !description) {
+    throw ApiError.badRequest("Title and description are required");
   }
 
-  if (!req.files?.videoFile || !req.files?.thumbnail) {
-    throw ApiError.badRequest("Video file and thumbnail are required");
+  if (!req.files?.videoFile) {
+    throw ApiError.badRequest("Video file is required");
   }
 
+  const thumbnailFile = req.files.thumbnail?.[0];
+
   const [videoUpload, thumbnailUpload] = await Promise.all([
-    uploadFunction(req.files.videoFile[0]),
-    uploadFunction(req.files.thumbnail[0]),
+    uploadFunction(req.files.videoFile[0], "videos"),
+    thumbnailFile ? uploadFunction(thumbnailFile, "thumbnails") : null,
   ]);
 
+  // Duration, resolution, HLS renditions and, when no thumbnail was uploaded,
+  // thumbnail candidates are filled in by the processing pipeline; the video
+  // is not listed until processing is ready
   const createdVideo = await Video.create({
     title,
     description,
-    duration,
     tags,
+    category: category || undefined,
+    visibility,
+    publishAt,
     owner: userId,
     videoFile: {
       url: videoUpload.url,
       public_id: videoUpload.publicId,
     },
-    thumbnail: {
-      url: thumbnailUpload.url,
-      public_id: thumbnailUpload.publicId,
+    ...(thumbnailUpload && {
+      thumbnail: {
+        url: thumbnailUpload.url,
+        public_id: thumbnailUpload.publicId,
+      },
+    }),
+    processing: {
+      status: "queued",
     },
   });
 
+  await enqueueVideoProcessing(createdVideo._id);
+  await User.promoteToCreator(userId);
+
   return ApiResponse.sendResponse(
     res,
     ApiResponse.created(
@@ -178,12 +266,16 @@ export const getVideoById = asyncHandler(async (req, res) => {
 
   const video = await Video.findById(id).populate("owner", "_id name");
 
-  if (!video) {
+  // Private videos are reported as missing rather than forbidden so their
+  // existence is not revealed
+  if (!video || !video.isViewableBy(req.user?._id)) {
     throw new ApiError(404, "Video not found.");
   }
 
-  video.views++;
-  await video.save();
+  // Only public and unlisted responses are the same for every viewer
+  if (!video.isReady() || !["public", "unlisted"].includes(video.visibility)) {
+    res.locals.skipCache = true;
+  }
 
   return ApiResponse.sendResponse(
     res,
@@ -191,55 +283,141 @@ export const getVideoById = asyncHandler(async (req, res) => {
   );
 });
 
-export const likeVideo = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const userId = req.user?._id;
+// Serves the latest snapshot computed by the trending job
+export const getTrendingVideos = asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+  const tag = req.query.tag?.trim().toLowerCase();
+  const category = req.query.category?.trim();
 
-  const video = await Video.findById(id);
-
-  if (!video) {
-    throw new ApiError(404, "Video not found.");
+  if (category && !VIDEO_CATEGORIES.includes(category)) {
+    throw ApiError.badRequest(
+      `Category must be one of: ${VIDEO_CATEGORIES.join(", ")}`
+    );
   }
 
-  const alreadyLiked = video.likes.includes(userId);
+  const snapshot = await getLatestTrendingSnapshot();
+  const entries = (snapshot?.videos || []).filter(
+    (entry) =>
+      (!tag || entry.tags.some((entryTag) => entryTag.toLowerCase() === tag)) &&
+      (!category || entry.category === category)
+  );
 
-  if (alreadyLiked) {
-    video.likes.pull(userId);
-  } else {
-    video.likes.push(userId);
+  // Videos hidden since the snapshot was taken are skipped
+  const videos = await Video.find({
+    ...Video.listedFilter(),
+    _id: { $in: entries.map((entry) => entry.video) },
+  })
+    .select("-thumbnailCandidates -previews")
+    .populate("owner", "username fullname avatar")
+    .lean();
+  const byId = new Map(videos.map((video) => [video._id.toString(), video]));
+
+  const trending = [];
+  for (const entry of entries) {
+    const video = byId.get(entry.video.toString());
+    if (!video) continue;
+    trending.push({
+      ...video,
+      trending: {
+        rank: trending.length + 1,
+        score: entry.score,
+        views: entry.views,
+        likes: entry.likes,
+        comments: entry.comments,
+        shares: entry.shares,
+      },
+    });
+    if (trending.length >= limit) break;
   }
 
-  await video.save();
-
   return ApiResponse.sendResponse(
     res,
     ApiResponse.ok(
-      { likesCount: video.likes.length },
-      alreadyLiked ? "Like removed." : "Video liked."
+      { computedAt: snapshot?.computedAt ?? null, videos: trending },
+      "Trending videos fetched successfully"
     )
   );
 });
 
-export const incrementViews = asyncHandler(async (req, res) => {
+const SHARE_DEDUPE_WINDOW = 60 * 60 * 1000; // 1 hour
+
+export const shareVideo = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const platform = req.body?.platform || "link";
 
   if (!mongoose.isValidObjectId(id)) {
     throw ApiError.badRequest("Invalid video ID provided");
   }
+  if (!SHARE_PLATFORMS.includes(platform)) {
+    throw ApiError.badRequest(
+      `Platform must be one of: ${SHARE_PLATFORMS.join(", ")}`
+    );
+  }
+
+  const video = await Video.findById(id).select("owner visibility processing");
+
+  if (!video || !video.isViewableBy(req.user?._id)) {
+    throw ApiError.notFound("Video not found");
+  }
 
-  const video = await Video.findByIdAndUpdate(
-    id,
-    { $inc: { views: 1 } },
-    { new: true }
+  // Repeated clicks on a share button only count once per hour
+  const viewerKey = getViewerKey(req);
+  const recentShare = await Share.exists({
+    video: video._id,
+    viewerKey,
+    createdAt: { $gte: new Date(Date.now() - SHARE_DEDUPE_WINDOW) },
+  });
+
+  if (!recentShare) {
+    await Share.create({
+      video: video._id,
+      sharedBy: req.user?._id,
+      viewerKey,
+      platform,
+    });
+  }
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok({ counted: !recentShare }, "Share recorded")
   );
+});
 
-  if (!video) {
-    throw new ApiError(404, "Video not found.");
+const RECENT_HISTORY_SIZE = 50; // watched videos left out of "up next"
+
+export const getRelatedVideos = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 12), 30);
+
+  if (!mongoose.isValidObjectId(id)) {
+    throw ApiError.badRequest("Invalid video ID provided");
+  }
+
+  const video = await Video.findById(id).select(
+    "owner tags visibility processing"
+  );
+
+  if (!video || !video.isViewableBy(req.user?._id)) {
+    throw ApiError.notFound("Video not found");
+  }
+
+  const recentHistory = (req.user?.watchHistory || []).slice(
+    0,
+    RECENT_HISTORY_SIZE
+  );
+  const videos = await findRelatedVideos(video, {
+    limit,
+    excludeIds: recentHistory,
+  });
+
+  // Same reasoning as getVideoById: owner-only sources are not shared
+  if (!video.isReady() || !["public", "unlisted"].includes(video.visibility)) {
+    res.locals.skipCache = true;
   }
 
   return ApiResponse.sendResponse(
     res,
-    ApiResponse.ok({ views: video.views }, "View count incremented")
+    ApiResponse.list(videos, "Related videos fetched successfully")
   );
 });
 
@@ -254,16 +432,11 @@ export const deleteVideo = asyncHandler(async (req, res) => {
 
   if (!video) throw ApiError.notFound("Video not found");
 
-  if (video.owner.toString() !== req.user._id.toString()) {
+  if (!canManage(req.user, video.owner, PERMISSIONS.MODERATE_VIDEOS)) {
     throw ApiError.forbidden("Not your video");
   }
 
-  await Promise.all([
-    deleteFromCloudinary(video.videoFile.public_id),
-    deleteFromCloudinary(video.thumbnail.public_id),
-  ]);
-
-  await video.deleteOne();
+  await removeVideo(video);
 
   return ApiResponse.sendResponse(
     res,
@@ -273,26 +446,39 @@ export const deleteVideo = asyncHandler(async (req, res) => {
 
 export const updateVideo = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { title, description } = req.body;
+  const { title, description, category } = req.body;
 
   if (!mongoose.isValidObjectId(id)) {
     throw ApiError.badRequest("Invalid video ID");
   }
 
+  if (category && !VIDEO_CATEGORIES.includes(category)) {
+    throw ApiError.badRequest(
+      `Category must be one of: ${VIDEO_CATEGORIES.join(", ")}`
+    );
+  }
+
   const video = await Video.findById(id);
 
   if (!video) throw ApiError.notFound("Video not found");
 
-  if (video.owner.toString() !== req.user._id.toString()) {
+  if (!canManage(req.user, video.owner, PERMISSIONS.MODERATE_VIDEOS)) {
     throw ApiError.forbidden("Not your video");
   }
 
   if (title) video.title = title;
   if (description) video.description = description;
+  if (category) video.category = category;
+
+  // The update route uses upload.single("thumbnail"), which sets req.file
+  const thumbnailFile = req.file || req.files?.thumbnail?.[0];
 
-  if (req.files?.thumbnail) {
-    await deleteFromCloudinary(video.thumbnail.public_id);
-    const newThumb = await uploadFunction(req.files.thumbnail[0]);
+  if (thumbnailFile) {
+    const newThumb = await uploadFunction(thumbnailFile, "thumbnails");
+    // Extracted candidates stay selectable, so only custom uploads are removed
+    if (!video.isThumbnailCandidate(video.thumbnail?.public_id)) {
+      await enqueueMediaDeletion([{ publicId: video.thumbnail?.public_id }]);
+    }
     video.thumbnail = {
       url: newThumb.url,
       public_id: newThumb.publicId,
@@ -300,6 +486,7 @@ export const updateVideo = asyncHandler(async (req, res) => {
   }
 
   await video.save();
+  clearVideoCache(video._id);
 
   return ApiResponse.sendResponse(
     res,
@@ -307,29 +494,197 @@ export const updateVideo = asyncHandler(async (req, res) => {
   );
 });
 
+const changeVisibility = async (
+  res,
+  video,
+  user,
+  { visibility, publishAt }
+) => {
+  // Moderators can take someone else's video private, never publish it
+  if (!video.isOwnedBy(user._id) && visibility !== "private") {
+    throw ApiError.forbidden("Only the owner can make this video visible");
+  }
+  if (video.takedown?.at && visibility !== "private") {
+    throw ApiError.forbidden(
+      "This video was unpublished by an administrator and must stay private"
+    );
+  }
+
+  // Leaving the scheduled state drops the pending release time
+  if (publishAt || video.visibility === "scheduled") {
+    video.publishAt = publishAt;
+  }
+  video.visibility = visibility;
+  await video.save();
+  clearVideoCache(video._id);
+  clearVideoListCache();
+  if (visibility !== "public") removeVideoSuggestions(video._id);
+  // A video is only announced to subscribers the first time it goes public
+  if (visibility === "public" && !video.subscribersNotifiedAt) {
+    await enqueueUploadNotifications(video._id);
+  }
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      video.toObject(),
+      visibility === "scheduled"
+        ? `Video scheduled for ${publishAt.toISOString()}`
+        : `Video is now ${visibility}`
+    )
+  );
+};
+
+export const updateVideoVisibility = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { visibility, publishAt } = resolveVisibility(req.body ?? {});
+
+  if (!mongoose.isValidObjectId(id)) {
+    throw ApiError.badRequest("Invalid video ID");
+  }
+
+  const video = await Video.findById(id);
+
+  if (!video) throw ApiError.notFound("Video not found");
+
+  if (!canManage(req.user, video.owner, PERMISSIONS.MODERATE_VIDEOS)) {
+    throw ApiError.forbidden("Not your video");
+  }
+
+  return changeVisibility(res, video, req.user, { visibility, publishAt });
+});
+
+// Deprecated: kept for clients built against the isPublished flag. Public
+// videos become private, anything else becomes public.
 export const togglePublishStatus = asyncHandler(async (req, res) => {
+  const video = req.video;
+  const visibility = video.visibility === "public" ? "private" : "public";
+
+  res.set("Deprecation", "true");
+  return changeVisibility(res, video, req.user, {
+    visibility,
+    publishAt: undefined,
+  });
+});
+
+export const getVideoProcessingStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   if (!mongoose.isValidObjectId(id)) {
     throw ApiError.badRequest("Invalid video ID");
   }
 
+  const video = await Video.findById(id)
+    .select(
+      "owner duration processing metadata streaming thumbnail thumbnailCandidates previews"
+    )
+    .lean();
+
+  if (!video) throw ApiError.notFound("Video not found");
+
+  if (!canManage(req.user, video.owner, PERMISSIONS.MODERATE_VIDEOS)) {
+    throw ApiError.forbidden("Not your video");
+  }
+
+  // Progress changes constantly and is private to the owner
+  res.locals.skipCache = true;
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.ok(
+      {
+        videoId: video._id,
+        status: video.processing?.status || "ready",
+        progress: video.processing?.progress ?? 100,
+        error: video.processing?.error || null,
+        duration: video.duration,
+        metadata: video.metadata || null,
+        streaming: video.streaming || null,
+        thumbnail: video.thumbnail || null,
+        thumbnailCandidates: video.thumbnailCandidates || [],
+        previews: video.previews || null,
+      },
+      "Video processing status fetched successfully"
+    )
+  );
+});
+
+export const retryVideoProcessing = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    throw ApiError.badRequest("Invalid video ID");
+  }
+
+  const video = await Video.findById(id);
+
+  if (!video) throw ApiError.notFound("Video not found");
+
+  if (!canManage(req.user, video.owner, PERMISSIONS.MODERATE_VIDEOS)) {
+    throw ApiError.forbidden("Not your video");
+  }
+
+  if (video.processing?.status !== "failed") {
+    throw ApiError.conflict("Only failed videos can be reprocessed");
+  }
+
+  video.processing.status = "queued";
+  video.processing.progress = 0;
+  await video.save();
+
+  await enqueueVideoProcessing(video._id);
+
+  return ApiResponse.sendResponse(
+    res,
+    ApiResponse.accepted(
+      { videoId: video._id, status: "queued" },
+      "Video queued for processing"
+    )
+  );
+});
+
+export const selectThumbnail = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const candidateIndex = parseInt(req.body?.candidateIndex);
+
+  if (!mongoose.isValidObjectId(id)) {
+    throw ApiError.badRequest("Invalid video ID");
+  }
+
   const video = await Video.findById(id);
 
   if (!video) throw ApiError.notFound("Video not found");
 
-  if (video.owner.toString() !== req.user._id.toString()) {
+  if (!canManage(req.user, video.owner, PERMISSIONS.MODERATE_VIDEOS)) {
     throw ApiError.forbidden("Not your video");
   }
 
-  video.isPublished = !video.isPublished;
+  const candidate = video.thumbnailCandidates[candidateIndex];
+
+  if (!candidate) {
+    throw ApiError.badRequest(
+      video.thumbnailCandidates.length > 0
+        ? `candidateIndex must be between 0 and ${video.thumbnailCandidates.length - 1}`
+        : "This video has no thumbnail candidates"
+    );
+  }
+
+  // A previously uploaded custom thumbnail is replaced for good
+  if (!video.isThumbnailCandidate(video.thumbnail?.public_id)) {
+    await enqueueMediaDeletion([{ publicId: video.thumbnail?.public_id }]);
+  }
+
+  video.thumbnail = {
+    url: candidate.url,
+    public_id: candidate.public_id,
+  };
   await video.save();
 
   return ApiResponse.sendResponse(
     res,
     ApiResponse.ok(
-      video.toObject(),
-      `Video is now ${video.isPublished ? "published" : "unpublished"}`
+      { videoId: video._id, thumbnail: video.thumbnail },
+      "Thumbnail updated successfully"
     )
   );
 });
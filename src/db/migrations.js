@@ -0,0 +1,179 @@
+import { Like } from "../models/like.models.js";
+import { Subscription } from "../models/subscription.models.js";
+import { User } from "../models/user.models.js";
+import { Video } from "../models/video.models.js";
+
+// Idempotent data migrations, run once per startup before the server accepts
+// requests. Each one only touches documents still in the old shape.
+
+// isPublished (boolean) -> visibility. The field was never in the schema, so
+// most videos do not have it stored; those were live and stay public. Only an
+// explicit isPublished: false (toggled off) makes a video private.
+const migrateVideoVisibility = async () => {
+  const unpublished = await Video.updateMany(
+    { visibility: { $exists: false }, isPublished: false },
+    { $set: { visibility: "private" }, $unset: { isPublished: 1 } },
+    { strict: false }
+  );
+  const published = await Video.updateMany(
+    { visibility: { $exists: false } },
+    { $set: { visibility: "public" }, $unset: { isPublished: 1 } },
+    { strict: false }
+  );
+  return published.modifiedCount + unpublished.modifiedCount;
+};
+
+const backfillVideoLikeCounts = async () => {
+  if (!(await Video.exists({ likesCount: { $exists: false } }))) return 0;
+
+  const counts = await Like.aggregate([
+    { $match: { video: { $exists: true, $ne: null } } },
+    { $group: { _id: "$video", count: { $sum: 1 } } },
+  ]);
+
+  if (counts.length > 0) {
+    await Video.bulkWrite(
+      counts.map(({ _id, count }) => ({
+        updateOne: {
+          filter: { _id, likesCount: { $exists: false } },
+          update: { $set: { likesCount: count } },
+        },
+      }))
+    );
+  }
+
+  const { modifiedCount } = await Video.updateMany(
+    { likesCount: { $exists: false } },
+    { $set: { likesCount: 0 } }
+  );
+  return counts.length + modifiedCount;
+};
+
+// Durations used to be strings typed in by the uploader: seconds ("95",
+// "95.5") or a clock ("1:35", "01:02:03"). Anything unreadable becomes 0,
+// which the processing pipeline treats as unknown.
+export const parseLegacyDuration = (value) => {
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (/^\d+(:[0-5]?\d){1,2}(\.\d+)?$/.test(text)) {
+    return text
+      .split(":")
+      .reduce((seconds, part) => seconds * 60 + Number(part), 0);
+  }
+  return 0;
+};
+
+const migrateVideoDurations = async () => {
+  const videos = await Video.find({ duration: { $type: "string" } })
+    .select("duration")
+    .lean();
+  if (videos.length === 0) return 0;
+
+  const { modifiedCount } = await Video.bulkWrite(
+    videos.map(({ _id, duration }) => ({
+      updateOne: {
+        filter: { _id, duration: { $type: "string" } },
+        update: { $set: { duration: parseLegacyDuration(duration) } },
+      },
+    }))
+  );
+  return modifiedCount;
+};
+
+// Subscriptions created before notification levels existed
+const backfillNotificationLevels = async () => {
+  const { modifiedCount } = await Subscription.updateMany(
+    { notificationLevel: { $exists: false } },
+    { $set: { notificationLevel: "personalized" } }
+  );
+  return modifiedCount;
+};
+
+// Accounts created before email verification start out unverified and can
+// request a link
+const backfillEmailVerification = async () => {
+  const { modifiedCount } = await User.updateMany(
+    { isEmailVerified: { $exists: false } },
+    { $set: { isEmailVerified: false } }
+  );
+  return modifiedCount;
+};
+
+// The single refresh token per user was replaced by sessions; tokens issued
+// before that can no longer be refreshed, so the field is only cleaned up
+const dropLegacyRefreshTokens = async () => {
+  const { modifiedCount } = await User.updateMany(
+    { refreshToken: { $exists: true } },
+    { $unset: { refreshToken: 1 } },
+    // The field is no longer in the schema
+    { strict: false }
+  );
+  return modifiedCount;
+};
+
+// Accounts created before roles: channel owners become creators, everyone
+// else a plain user. Accounts listed in ADMIN_EMAILS are made admins on every
+// start, which is how the first admin is set up; removing an address does not
+// demote the account. The address has to be verified, otherwise anyone could
+// register it before its owner and be promoted.
+const backfillUserRoles = async () => {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  let updated = 0;
+  if (adminEmails.length > 0) {
+    const { modifiedCount } = await User.updateMany(
+      {
+        email: { $in: adminEmails },
+        isEmailVerified: true,
+        role: { $ne: "admin" },
+      },
+      { $set: { role: "admin" } }
+    );
+    updated += modifiedCount;
+  }
+
+  if (!(await User.exists({ role: { $exists: false } }))) return updated;
+
+  const owners = await Video.distinct("owner");
+  const creators = await User.updateMany(
+    { _id: { $in: owners }, role: { $exists: false } },
+    { $set: { role: "creator" } }
+  );
+  const users = await User.updateMany(
+    { role: { $exists: false } },
+    { $set: { role: "user" } }
+  );
+  return updated + creators.modifiedCount + users.modifiedCount;
+};
+
+// Lets the admin console filter older accounts by status
+const backfillAccountStatus = async () => {
+  const { modifiedCount } = await User.updateMany(
+    { accountStatus: { $exists: false } },
+    { $set: { accountStatus: "active" } }
+  );
+  return modifiedCount;
+};
+
+const MIGRATIONS = {
+  videoVisibility: migrateVideoVisibility,
+  videoLikeCounts: backfillVideoLikeCounts,
+  videoDurations: migrateVideoDurations,
+  subscriptionNotificationLevels: backfillNotificationLevels,
+  userEmailVerification: backfillEmailVerification,
+  userLegacyRefreshTokens: dropLegacyRefreshTokens,
+  userRoles: backfillUserRoles,
+  userAccountStatus: backfillAccountStatus,
+};
+
+export const runMigrations = async () => {
+  for (const [name, migrate] of Object.entries(MIGRATIONS)) {
+    const updated = await migrate();
+    if (updated > 0) {
+      console.info(`Migration ${name} updated ${updated} document(s)`);
+    }
+  }
+};
@@ -1,6 +1,10 @@
 import dotenv from "dotenv";
 import { app } from "./app.js";
 import connectDB from "./db/index.js";
+import { runMigrations } from "./db/migrations.js";
+import { registerJobHandlers, scheduleRecurringJobs } from "./jobs/index.js";
+import { startJobQueue } from "./utils/jobQueue.js";
+import { startSuggestionIndex } from "./utils/suggestions.js";
 
 dotenv.config({
   path: "./.env",
@@ -8,11 +12,19 @@ dotenv.config({
 
 const PORT = process.env.PORT || 8000;
 
+registerJobHandlers();
+
 connectDB()
+  .then(runMigrations)
   .then(() => {
     app.listen(PORT, () => {
       console.log(`DevTube-Backend-Server started on port: ${PORT}`);
     });
+    startJobQueue();
+    startSuggestionIndex();
+    scheduleRecurringJobs().catch((error) =>
+      console.error("Failed to schedule recurring jobs:", error.message)
+    );
   })
   .catch((error) => {
     console.log("Connection to MongoDB Failed ", error);
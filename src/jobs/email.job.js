@@ -0,0 +1,26 @@
+import { enqueueJob } from "../utils/jobQueue.js";
+import { createOutboxEmail, deliverEmail } from "../utils/mail/index.js";
+
+export const EMAIL_SEND_JOB = "email.send";
+
+export const runEmailDelivery = async ({ emailId }, job) => {
+  const result = await deliverEmail(emailId, {
+    finalAttempt: job.attempts >= job.maxAttempts,
+  });
+  return { emailId, messageId: result?.messageId };
+};
+
+/**
+ * Records an email in the outbox and queues its delivery. Resolves with the
+ * outbox document once it is safely stored, without waiting for the send.
+ */
+export const sendEmail = async ({ to, template, data, user }) => {
+  const email = await createOutboxEmail({ to, template, data, user });
+  const id = email._id.toString();
+  await enqueueJob(
+    EMAIL_SEND_JOB,
+    { emailId: id },
+    { uniqueKey: `${EMAIL_SEND_JOB}:${id}` }
+  );
+  return email;
+};
@@ -0,0 +1,76 @@
+import { registerJobHandler, scheduleRecurringJob } from "../utils/jobQueue.js";
+import { EMAIL_SEND_JOB, runEmailDelivery } from "./email.job.js";
+import { MEDIA_DELETE_JOB, deleteMedia } from "./media.job.js";
+import {
+  UPLOAD_NOTIFY_JOB,
+  runUploadNotifications,
+} from "./notification.job.js";
+import {
+  TRENDING_INTERVAL,
+  TRENDING_JOB,
+  runTrendingComputation,
+} from "./trending.job.js";
+import {
+  UPLOAD_CLEANUP_INTERVAL,
+  UPLOAD_CLEANUP_JOB,
+  runUploadCleanup,
+} from "./upload.job.js";
+import {
+  VIDEO_PROCESS_JOB,
+  VIDEO_PUBLISH_INTERVAL,
+  VIDEO_PUBLISH_JOB,
+  publishScheduledVideos,
+  runVideoProcessing,
+} from "./video.job.js";
+
+export const registerJobHandlers = () => {
+  registerJobHandler(MEDIA_DELETE_JOB, deleteMedia, {
+    concurrency: 4,
+    maxAttempts: 8,
+  });
+
+  registerJobHandler(VIDEO_PROCESS_JOB, runVideoProcessing, {
+    concurrency: Math.max(
+      1,
+      parseInt(process.env.VIDEO_PROCESSING_CONCURRENCY) || 1
+    ),
+    maxAttempts: 3,
+    backoff: 60 * 1000,
+    // Transcoding long uploads can legitimately hold a job for a long time
+    lockTimeout: 2 * 60 * 60 * 1000,
+  });
+
+  registerJobHandler(UPLOAD_CLEANUP_JOB, runUploadCleanup, { maxAttempts: 3 });
+
+  registerJobHandler(VIDEO_PUBLISH_JOB, publishScheduledVideos, {
+    maxAttempts: 3,
+    backoff: 10 * 1000,
+  });
+
+  registerJobHandler(TRENDING_JOB, runTrendingComputation, {
+    maxAttempts: 3,
+    backoff: 60 * 1000,
+  });
+
+  // Retries back off from 1 minute, doubling, so a short SMTP outage does
+  // not lose mail
+  registerJobHandler(EMAIL_SEND_JOB, runEmailDelivery, {
+    concurrency: 4,
+    maxAttempts: 6,
+    backoff: 60 * 1000,
+  });
+
+  registerJobHandler(UPLOAD_NOTIFY_JOB, runUploadNotifications, {
+    concurrency: 2,
+    maxAttempts: 5,
+    backoff: 30 * 1000,
+  });
+};
+
+export const scheduleRecurringJobs = () => {
+  return Promise.all([
+    scheduleRecurringJob(UPLOAD_CLEANUP_JOB, UPLOAD_CLEANUP_INTERVAL),
+    scheduleRecurringJob(VIDEO_PUBLISH_JOB, VIDEO_PUBLISH_INTERVAL),
+    scheduleRecurringJob(TRENDING_JOB, TRENDING_INTERVAL),
+  ]);
+};
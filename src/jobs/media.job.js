@@ -0,0 +1,31 @@
+import { enqueueJob } from "../utils/jobQueue.js";
+import {
+  deleteDirectoryFromStorage,
+  deleteFromStorage,
+} from "../utils/storage/index.js";
+
+export const MEDIA_DELETE_JOB = "media.delete";
+
+// Payload is either { publicId, resourceType } for a single asset or
+// { prefix } for a directory such as an HLS rendition tree
+export const deleteMedia = async ({ publicId, resourceType, prefix }) => {
+  const result = prefix
+    ? await deleteDirectoryFromStorage(prefix)
+    : await deleteFromStorage(publicId, { resourceType });
+
+  // Drivers swallow storage errors and resolve with null; throwing lets the
+  // queue retry instead of silently leaking the asset
+  if (!result) {
+    throw new Error(`Failed to delete ${prefix || publicId} from storage`);
+  }
+
+  return { deleted: prefix || publicId };
+};
+
+export const enqueueMediaDeletion = (assets) => {
+  return Promise.all(
+    assets
+      .filter((asset) => asset?.publicId || asset?.prefix)
+      .map((asset) => enqueueJob(MEDIA_DELETE_JOB, asset))
+  );
+};
@@ -0,0 +1,20 @@
+import { enqueueJob } from "../utils/jobQueue.js";
+import { notifySubscribersOfUpload } from "../utils/notifications.js";
+
+export const UPLOAD_NOTIFY_JOB = "notifications.upload";
+
+export const runUploadNotifications = async ({ videoId }) => {
+  const { notified } = await notifySubscribersOfUpload(videoId);
+  return { videoId, notified };
+};
+
+// Fan-out can reach every subscriber of a channel, so it runs off the
+// request path; keyed by video so it is queued at most once at a time
+export const enqueueUploadNotifications = (videoId) => {
+  const id = videoId.toString();
+  return enqueueJob(
+    UPLOAD_NOTIFY_JOB,
+    { videoId: id },
+    { uniqueKey: `${UPLOAD_NOTIFY_JOB}:${id}` }
+  );
+};
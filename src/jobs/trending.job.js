@@ -0,0 +1,9 @@
+import { computeTrendingSnapshot } from "../utils/trending.js";
+
+export const TRENDING_JOB = "videos.computeTrending";
+export const TRENDING_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+export const runTrendingComputation = async () => {
+  const snapshot = await computeTrendingSnapshot();
+  return { snapshotId: snapshot._id, videos: snapshot.videos.length };
+};
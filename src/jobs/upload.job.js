@@ -0,0 +1,12 @@
+import { cleanupExpiredUploadSessions } from "../utils/uploadSessionStore.js";
+
+export const UPLOAD_CLEANUP_JOB = "uploads.cleanup";
+export const UPLOAD_CLEANUP_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+export const runUploadCleanup = async () => {
+  const result = await cleanupExpiredUploadSessions();
+  if (result.removedSessions || result.orphanedDirs) {
+    console.info("Upload sessions cleaned up:", result);
+  }
+  return result;
+};
@@ -0,0 +1,65 @@
+import {
+  clearVideoCache,
+  clearVideoListCache,
+} from "../middlewares/cache.middleware.js";
+import { Video } from "../models/video.models.js";
+import { enqueueJob } from "../utils/jobQueue.js";
+import { processVideo } from "../utils/videoProcessing.js";
+import { enqueueUploadNotifications } from "./notification.job.js";
+
+export const VIDEO_PROCESS_JOB = "video.process";
+
+export const runVideoProcessing = async ({ videoId }, job) => {
+  await processVideo(videoId, {
+    finalAttempt: job.attempts >= job.maxAttempts,
+  });
+  return { videoId };
+};
+
+// Keyed by video so a double-submitted retry cannot transcode twice
+export const enqueueVideoProcessing = (videoId) => {
+  const id = videoId.toString();
+  return enqueueJob(
+    VIDEO_PROCESS_JOB,
+    { videoId: id },
+    { uniqueKey: `${VIDEO_PROCESS_JOB}:${id}` }
+  );
+};
+
+export const VIDEO_PUBLISH_JOB = "videos.publishScheduled";
+export const VIDEO_PUBLISH_INTERVAL = 60 * 1000; // 1 minute
+
+// Flips scheduled videos whose publishAt has passed to public
+export const publishScheduledVideos = async () => {
+  const dueVideos = await Video.find({
+    visibility: "scheduled",
+    publishAt: { $lte: new Date() },
+  })
+    .select("_id")
+    .lean();
+
+  if (dueVideos.length === 0) return { published: 0 };
+
+  const videoIds = dueVideos.map((video) => video._id);
+
+  // Re-checks the schedule in case the owner changed it in the meantime
+  const { modifiedCount } = await Video.updateMany(
+    {
+      _id: { $in: videoIds },
+      visibility: "scheduled",
+      publishAt: { $lte: new Date() },
+    },
+    { $set: { visibility: "public" } }
+  );
+
+  videoIds.forEach((videoId) => clearVideoCache(videoId));
+  clearVideoListCache();
+
+  // Videos that are still processing are announced once they are ready
+  await Promise.all(
+    videoIds.map((videoId) => enqueueUploadNotifications(videoId))
+  );
+
+  console.info("Scheduled videos published:", { count: modifiedCount });
+  return { published: modifiedCount };
+};
@@ -2,6 +2,13 @@ import jwt from "jsonwebtoken";
 import { User } from "../models/user.models.js";
 import ApiError, { AuthorizationError } from "../utils/ApiError.js";
 import asyncHandler from "../utils/asyncHandler.js";
+import { hasPermission } from "../utils/permissions.js";
+import { isSessionActive } from "../utils/sessions.js";
+
+// Access tokens of a revoked session stop working right away, not only once
+// they expire. Tokens without a session id predate sessions.
+const isTokenSessionActive = (decodedToken) =>
+  !decodedToken?.sid || isSessionActive(decodedToken.sid);
 
 export const verifyJWT = asyncHandler(async (req, _, next) => {
   const token =
@@ -13,16 +20,86 @@ export const verifyJWT = asyncHandler(async (req, _, next) => {
   try {
     const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
 
-    const user = await User.findById(decodedToken?._id).select(
-      "-password -refreshToken"
-    );
+    const [user, sessionActive] = await Promise.all([
+      User.findById(decodedToken?._id).select("-password -refreshToken"),
+      isTokenSessionActive(decodedToken),
+    ]);
     if (!user) {
       throw new AuthorizationError("User not found or unauthorized");
     }
+    if (!sessionActive) {
+      throw new AuthorizationError("Session has ended, please log in again");
+    }
+    const restriction = user.getRestrictionMessage();
+    if (restriction) {
+      throw new AuthorizationError(restriction);
+    }
 
     req.user = user;
+    req.sessionId = decodedToken.sid;
     next();
   } catch (error) {
     throw new AuthorizationError(error?.message || "Invalid or expired token");
   }
 });
+
+// Attaches req.user when a valid token is present but lets anonymous requests
+// through, for routes that behave differently for signed-in viewers
+export const optionalJWT = asyncHandler(async (req, _, next) => {
+  const token =
+    req.cookies?.accessToken ||
+    req.header("Authorization")?.replace("Bearer ", "");
+  if (!token) return next();
+
+  try {
+    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+    const [user, sessionActive] = await Promise.all([
+      User.findById(decodedToken?._id).select("-password -refreshToken"),
+      isTokenSessionActive(decodedToken),
+    ]);
+    if (user && sessionActive && !user.getRestrictionMessage()) {
+      req.user = user;
+      req.sessionId = decodedToken.sid;
+    }
+  } catch {
+    // An expired or invalid token is treated as an anonymous request
+  }
+
+  next();
+});
+
+// Actions unverified accounts can be barred from, chosen with
+// EMAIL_VERIFICATION_REQUIRED_FOR (comma separated, or "all")
+export const VERIFICATION_GATED_ACTIONS = ["upload", "tweet", "comment"];
+
+const isVerificationRequired = (action) => {
+  const required = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+  return required.includes("all") || required.includes(action);
+};
+
+// Must run after verifyJWT
+export const requireVerifiedEmail = (action) => (req, _, next) => {
+  if (req.user?.isEmailVerified || !isVerificationRequired(action)) {
+    return next();
+  }
+  throw ApiError.forbidden(
+    "Please verify your email address before continuing"
+  );
+};
+
+// Allows the request when the user's role grants any of the permissions.
+// The role is read from the loaded user rather than the token's `role` claim,
+// so role changes apply right away. Must run after verifyJWT.
+export const authorize =
+  (...permissions) =>
+  (req, _, next) => {
+    if (permissions.some((permission) => hasPermission(req.user, permission))) {
+      return next();
+    }
+    throw new AuthorizationError(
+      "You do not have permission to perform this action"
+    );
+  };
@@ -1,3 +1,4 @@
+import jwt from "jsonwebtoken";
 import NodeCache from "node-cache";
 
 // Initialize cache with default TTL of 5 minutes and check period of 10 minutes
@@ -7,8 +8,26 @@ const cache = new NodeCache({
   useClones: false,
 });
 
+// Cache middleware runs before route-level auth, so the viewer is resolved
+// from the token here. Keying by viewer keeps owner-only responses (private
+// and scheduled videos, dashboards) from being served to anyone else.
+const getViewerId = (req) => {
+  const token =
+    req.cookies?.accessToken ||
+    req.header("Authorization")?.replace("Bearer ", "");
+  if (!token) return "anonymous";
+
+  try {
+    return (
+      jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)?._id || "anonymous"
+    );
+  } catch {
+    return "anonymous";
+  }
+};
+
 const getCacheKey = (req) => {
-  return `${req.originalUrl || req.url}${JSON.stringify(req.query)}`;
+  return `${getViewerId(req)}:${req.originalUrl || req.url}${JSON.stringify(req.query)}`;
 };
 
 export const cacheMiddleware = (duration = 300) => {
@@ -30,8 +49,9 @@ export const cacheMiddleware = (duration = 300) => {
     const originalJson = res.json.bind(res);
 
     // Override send
+    // Handlers can opt out per response with res.locals.skipCache = true
     res.send = function (body) {
-      if (res.statusCode === 200) {
+      if (res.statusCode === 200 && !res.locals.skipCache) {
         cache.set(key, body, duration);
       }
       originalSend(body);
@@ -39,7 +59,7 @@ export const cacheMiddleware = (duration = 300) => {
 
     // Override json
     res.json = function (body) {
-      if (res.statusCode === 200) {
+      if (res.statusCode === 200 && !res.locals.skipCache) {
         cache.set(key, body, duration);
       }
       originalJson(body);
@@ -81,12 +101,19 @@ export const clearVideoCache = (videoId) => {
   cache.del(videoRelatedKeys);
 };
 
+// Listings change whenever a video becomes public or is hidden again
+export const clearVideoListCache = () => {
+  const keys = cache.keys();
+  cache.del(keys.filter((key) => key.includes("/api/v1/videos")));
+};
+
 export default {
   cache,
   cacheMiddleware,
   CACHE_DURATIONS,
   clearUserCache,
   clearVideoCache,
+  clearVideoListCache,
   cacheVideo,
   cacheChannelStats,
   cachePublicProfile,
@@ -30,6 +30,20 @@ export const authLimiter = rateLimiter({
   message: "Too many login attempts, please try again after an hour",
 });
 
+// Forgot/reset password requests send email and guard account takeover
+export const passwordResetLimiter = rateLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10,
+  message: "Too many password reset attempts, please try again later",
+});
+
+// Social logins: starting a login and the provider's callback each count
+export const oauthLimiter = rateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: "Too many sign-in attempts, please try again later",
+});
+
 // Limiter for API routes
 export const apiLimiter = rateLimiter();
 
@@ -40,4 +54,31 @@ export const uploadLimiter = rateLimiter({
   message: "Upload limit reached, please try again later",
 });
 
+// Chunked uploads send many small requests per video
+export const chunkUploadLimiter = rateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 2000, // ~10GB of 5MB chunks
+  message: "Chunk upload limit reached, please try again later",
+});
+
+// Players send a heartbeat every few seconds while a video plays
+export const playbackLimiter = rateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 600,
+  message: "Too many playback events, please try again later",
+});
+
+// Search boxes request completions while the user types
+export const suggestLimiter = rateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 1000,
+  message: "Too many suggestion requests, please try again later",
+});
+
+export const reportLimiter = rateLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 30,
+  message: "Too many reports, please try again later",
+});
+
 export default rateLimiter;
@@ -1,5 +1,6 @@
 import { body, param, query, validationResult } from "express-validator";
 import mongoose from "mongoose";
+import { VIDEO_CATEGORIES } from "../models/video.models.js";
 import { ApiError } from "../utils/ApiError.js";
 
 // MongoDB ObjectId validation
@@ -49,6 +50,10 @@ export const validateVideo = [
     .trim()
     .isLength({ min: 10, max: 1000 })
     .withMessage("Description must be between 10-1000 characters"),
+  body("category")
+    .optional({ values: "falsy" })
+    .isIn(VIDEO_CATEGORIES)
+    .withMessage(`Category must be one of: ${VIDEO_CATEGORIES.join(", ")}`),
 
   (req, _, next) => {
     const errors = validationResult(req);
@@ -2,9 +2,11 @@ import { isValidObjectId } from "mongoose";
 import { Video } from "../models/video.models.js";
 import { ApiError } from "../utils/ApiError.js";
 import  asyncHandler  from "../utils/asyncHandler.js";
+import { canManage, PERMISSIONS } from "../utils/permissions.js";
 
 export const checkVideoOwnership = asyncHandler(async (req, res, next) => {
-  const { videoId } = req.params;
+  // Routes name the parameter either videoId or id
+  const videoId = req.params.videoId ?? req.params.id;
 
   if (!videoId || !isValidObjectId(videoId)) {
     throw ApiError.badRequest("Invalid video ID provided");
@@ -16,7 +18,8 @@ export const checkVideoOwnership = asyncHandler(async (req, res, next) => {
     throw ApiError.notFound("Video not found");
   }
 
-  if (video.owner._id.toString() !== req.user._id.toString()) {
+  // Moderators may act on any video
+  if (!canManage(req.user, video.owner?._id, PERMISSIONS.MODERATE_VIDEOS)) {
     throw ApiError.forbidden("You do not have permission to access this video");
   }
 
@@ -99,12 +99,38 @@ commentSchema.methods.markAsEdited = function () {
   return this.save();
 };
 
-commentSchema.methods.flag = function () {
-  this.flagCount += 1;
-  if (this.flagCount >= 5) {
-    this.moderationStatus = "flagged";
-  }
-  return this.save();
+const FLAG_THRESHOLD = 5; // reports that hide a comment until it is reviewed
+
+// Counts a report against the comment. Both steps are single atomic updates,
+// so concurrent reports neither lose increments nor miss the threshold.
+// Resolves with true when this report hid the comment.
+commentSchema.statics.flag = async function (commentId) {
+  const comment = await this.findOneAndUpdate(
+    { _id: commentId },
+    { $inc: { flagCount: 1 } },
+    { new: true }
+  )
+    .select("flagCount")
+    .lean();
+  if (!comment || comment.flagCount < FLAG_THRESHOLD) return false;
+
+  // Only approved comments are hidden; held or rejected ones keep their status
+  const { modifiedCount } = await this.updateOne(
+    { _id: commentId, moderationStatus: { $in: ["approved", null] } },
+    { $set: { moderationStatus: "flagged" } }
+  );
+  return modifiedCount > 0;
+};
+
+// Held, flagged and rejected comments are only shown to their author.
+// Comments from before moderation have no status and count as approved.
+commentSchema.statics.visibleFilter = function (viewerId) {
+  const approved = { moderationStatus: { $in: ["approved", null] } };
+  return viewerId
+    ? {
+        $or: [approved, { owner: new mongoose.Types.ObjectId(viewerId) }],
+      }
+    : approved;
 };
 
 commentSchema.statics.findActiveComments = function (filter = {}) {
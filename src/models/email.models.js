@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+// queued -> sending -> sent
+//                   -> queued (retry) -> ... -> failed
+export const EMAIL_STATUSES = ["queued", "sending", "sent", "failed"];
+
+// Every email the app sends is recorded here before delivery, which makes
+// sending retryable and leaves an audit trail
+const emailSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: [true, "Recipient is required"],
+      lowercase: true,
+      trim: true,
+    },
+    from: {
+      type: String,
+      required: [true, "Sender is required"],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    template: {
+      type: String,
+      required: [true, "Template is required"],
+    },
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+    },
+    // Bodies can carry one-time links, so they are dropped once delivered
+    html: {
+      type: String,
+    },
+    text: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: EMAIL_STATUSES,
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+    },
+    transport: {
+      type: String,
+    },
+    messageId: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+emailSchema.index({ status: 1, createdAt: -1 });
+emailSchema.index({ to: 1, createdAt: -1 });
+emailSchema.index({ user: 1, template: 1, createdAt: -1 });
+emailSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+export const Email = mongoose.model("Email", emailSchema);
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// An account at an external OAuth / OpenID Connect provider linked to a user
+const identitySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+    provider: {
+      type: String,
+      required: [true, "Provider is required"],
+    },
+    // The provider's stable user id ("sub"); emails can change
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    lastLoginAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+identitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+
+export const Identity = mongoose.model("Identity", identitySchema);
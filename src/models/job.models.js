@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+// pending -> running -> completed
+//                    -> pending (retry with backoff) -> ... -> dead
+export const JOB_STATUSES = [
+  "pending",
+  "running",
+  "completed",
+  "dead",
+  "cancelled",
+];
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: [true, "Job type is required"],
+      trim: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: [1, "A job needs at least one attempt"],
+    },
+    // Earliest time the job may run; used for delays, backoff and schedules
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Recurring jobs are rescheduled this many ms after each run
+    repeatEvery: {
+      type: Number,
+    },
+    // Only one pending or running job may hold a key; it is cleared once the
+    // job finishes so the same work can be queued again
+    uniqueKey: {
+      type: String,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lockedBy: {
+      type: String,
+    },
+    lastError: {
+      type: String,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ type: 1, status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+// Finished jobs are kept for a week for inspection through the admin API
+jobSchema.index(
+  { completedAt: 1 },
+  {
+    expireAfterSeconds: 7 * 24 * 60 * 60,
+    partialFilterExpression: { status: "completed" },
+  }
+);
+
+export const Job = mongoose.model("Job", jobSchema);
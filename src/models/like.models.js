@@ -19,4 +19,8 @@ const likeSchema = new mongoose.Schema({
     }
 },{timestamps : true});
 
+// Co-like lookups for related videos
+likeSchema.index({ video : 1, createdAt : -1 });
+likeSchema.index({ likedBy : 1, video : 1 });
+
 export const Like = mongoose.model("Like", likeSchema);
\ No newline at end of file
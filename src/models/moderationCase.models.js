@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+import { REPORT_TARGET_TYPES } from "./report.models.js";
+
+// "pending": held for review by the creator or a moderator
+// "flagged": reported by users
+// "approved" / "rejected": decided
+export const MODERATION_STATUSES = [
+  "pending",
+  "flagged",
+  "approved",
+  "rejected",
+];
+export const OPEN_MODERATION_STATUSES = ["pending", "flagged"];
+
+const decisionSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["approved", "rejected"],
+      required: true,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxLength: 500,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// The moderation queue entry for one comment, video or tweet
+const moderationCaseSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: REPORT_TARGET_TYPES,
+      required: [true, "Target type is required"],
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Target is required"],
+    },
+    // Who posted the item
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Whose channel it appears on: the video owner for comments
+    channel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    status: {
+      type: String,
+      enum: MODERATION_STATUSES,
+      required: true,
+    },
+    reportCount: {
+      type: Number,
+      default: 0,
+    },
+    // Number of reports per reason code
+    reasons: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    lastReportedAt: {
+      type: Date,
+    },
+    heldBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    heldAt: {
+      type: Date,
+    },
+    // Every decision, oldest first; an item can be reported again after
+    // being approved
+    decisions: {
+      type: [decisionSchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+moderationCaseSchema.index({ targetType: 1, target: 1 }, { unique: true });
+moderationCaseSchema.index({ status: 1, reportCount: -1, updatedAt: -1 });
+moderationCaseSchema.index({ channel: 1, status: 1, updatedAt: -1 });
+
+export const ModerationCase = mongoose.model(
+  "ModerationCase",
+  moderationCaseSchema
+);
@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+export const NOTIFICATION_TYPES = [
+  "upload", // a subscribed channel published a video
+  "reply", // someone replied to the recipient's comment
+  "like", // someone liked the recipient's video, comment or tweet
+  "subscriber", // someone subscribed to the recipient's channel
+  "mention", // someone mentioned @recipient in a comment or tweet
+];
+
+export const NOTIFICATION_TARGETS = ["video", "comment", "tweet", "user"];
+
+// Most recent actors kept on a grouped notification, for avatars and names
+export const MAX_NOTIFICATION_ACTORS = 5;
+
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Recipient is required"],
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: [true, "Notification type is required"],
+    },
+    // Newest first, capped at MAX_NOTIFICATION_ACTORS
+    actors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Total number of events folded into this notification
+    actorCount: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    target: {
+      kind: {
+        type: String,
+        enum: NOTIFICATION_TARGETS,
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+    },
+    // Video the target belongs to, so clients can link comments and likes
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+    },
+    // Short text captured when the event happened (video title, comment
+    // excerpt), so listing notifications needs no extra lookups
+    preview: {
+      type: String,
+      maxlength: 200,
+    },
+    // Unread notifications with the same key are merged, e.g. all likes on
+    // one video; unset for types that are never grouped
+    groupKey: {
+      type: String,
+    },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+    },
+    lastEventAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ recipient: 1, lastEventAt: -1 });
+notificationSchema.index({ recipient: 1, read: 1, lastEventAt: -1 });
+notificationSchema.index(
+  { recipient: 1, groupKey: 1 },
+  { partialFilterExpression: { read: false } }
+);
+notificationSchema.index(
+  { lastEventAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+export const Notification = mongoose.model("Notification", notificationSchema);
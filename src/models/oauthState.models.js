@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// A login started with a provider and not finished yet. Consumed by the
+// callback, so each one can be used once.
+const oauthStateSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    // Frontend path to open after a successful login
+    returnTo: {
+      type: String,
+      default: "/",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const OAuthState = mongoose.model("OAuthState", oauthStateSchema);
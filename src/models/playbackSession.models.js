@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+
+// The video timeline is split into this many buckets for retention curves
+export const RETENTION_BUCKETS = 20;
+
+const playbackSessionSchema = new mongoose.Schema(
+  {
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+      required: [true, "Video reference is required"],
+    },
+    viewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // "user:<id>" for signed-in viewers, "anon:<hash>" otherwise; views are
+    // deduplicated per key
+    viewerKey: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "ended"],
+      default: "active",
+    },
+    position: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Seconds actually played, excluding pauses and seeks
+    watchedSeconds: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    watchedBuckets: {
+      type: [Number],
+      default: [],
+    },
+    countedAsView: {
+      type: Boolean,
+      default: false,
+    },
+    countedAt: {
+      type: Date,
+    },
+    // Passed the threshold but the viewer already had a view counted recently
+    deduplicated: {
+      type: Boolean,
+      default: false,
+    },
+    lastHeartbeatAt: {
+      type: Date,
+      default: Date.now,
+    },
+    endedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+playbackSessionSchema.index({ video: 1, viewerKey: 1, countedAt: -1 });
+playbackSessionSchema.index({ video: 1, createdAt: -1 });
+// Raw sessions are only needed for recent analytics
+playbackSessionSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+export const PlaybackSession = mongoose.model(
+  "PlaybackSession",
+  playbackSessionSchema
+);
@@ -24,4 +24,9 @@ const playlistSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-export const Playlist = mongoose.model("Playlist", playlistSchema);
\ No newline at end of file
+playlistSchema.index(
+  { name: "text", description: "text" },
+  { name: "playlist_text", weights: { name: 5, description: 1 } }
+);
+
+export const Playlist = mongoose.model("Playlist", playlistSchema);
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+export const REPORT_TARGET_TYPES = ["comment", "video", "tweet"];
+
+export const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "hate_speech",
+  "violence",
+  "sexual_content",
+  "misinformation",
+  "copyright",
+  "other",
+];
+
+// One user's report of one item. Reports of the same item are gathered in a
+// moderation case, which is what moderators decide on.
+const reportSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: REPORT_TARGET_TYPES,
+      required: [true, "Target type is required"],
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Target is required"],
+    },
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Reporter is required"],
+    },
+    reason: {
+      type: String,
+      enum: {
+        values: REPORT_REASONS,
+        message: `Reason must be one of: ${REPORT_REASONS.join(", ")}`,
+      },
+      required: [true, "Reason is required"],
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxLength: [500, "Details cannot exceed 500 characters"],
+    },
+    case: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ModerationCase",
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+reportSchema.index({ targetType: 1, target: 1, reporter: 1 }, { unique: true });
+
+export const Report = mongoose.model("Report", reportSchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// Search volume per normalized query, bucketed by hour so trending searches
+// can be computed over a rolling window
+const searchQuerySchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  bucket: {
+    type: Date,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // Hashed viewer keys; a query only trends once several people searched it
+  searchers: {
+    type: [String],
+    default: [],
+  },
+});
+
+searchQuerySchema.index({ query: 1, bucket: 1 }, { unique: true });
+// Also serves the trending window query
+searchQuerySchema.index(
+  { bucket: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+);
+
+export const SearchQuery = mongoose.model("SearchQuery", searchQuerySchema);
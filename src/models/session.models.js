@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+export const SESSION_REVOKE_REASONS = [
+  "logout",
+  "revoked", // ended by the user from the session list
+  "reuse_detected", // a rotated refresh token was presented again
+  "password_changed",
+  "password_reset",
+  "account_restricted", // the account was suspended or banned
+];
+
+// One signed-in device. Each session is a refresh-token family: every
+// refresh rotates the token, and only the newest one is accepted.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    // SHA-256 of the current refresh token; the token itself is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // The token replaced by the last rotation, so a concurrent refresh from
+    // the same device is not mistaken for reuse
+    previousTokenHash: {
+      type: String,
+    },
+    rotatedAt: {
+      type: Date,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 512,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Expiry of the current refresh token
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: SESSION_REVOKE_REASONS,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+export const SHARE_PLATFORMS = [
+  "link",
+  "embed",
+  "email",
+  "facebook",
+  "x",
+  "whatsapp",
+  "reddit",
+  "other",
+];
+
+const shareSchema = new mongoose.Schema(
+  {
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+      required: [true, "Video reference is required"],
+    },
+    sharedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Same keys as playback sessions; repeated shares are deduplicated per key
+    viewerKey: {
+      type: String,
+      required: true,
+    },
+    platform: {
+      type: String,
+      enum: {
+        values: SHARE_PLATFORMS,
+        message: `Platform must be one of: ${SHARE_PLATFORMS.join(", ")}`,
+      },
+      default: "link",
+    },
+  },
+  { timestamps: true }
+);
+
+shareSchema.index({ video: 1, viewerKey: 1, createdAt: -1 });
+shareSchema.index({ createdAt: -1 });
+
+export const Share = mongoose.model("Share", shareSchema);
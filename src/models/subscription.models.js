@@ -1,5 +1,9 @@
 import mongoose from "mongoose";
 
+// all: every upload and post; personalized: only what the subscriber is
+// likely to care about; none: feed only, no notifications
+export const NOTIFICATION_LEVELS = ["all", "personalized", "none"];
+
 const subscriptionSchema = new mongoose.Schema({
     subscriber : {
         type : mongoose.Schema.Types.ObjectId,
@@ -8,7 +12,15 @@ const subscriptionSchema = new mongoose.Schema({
     channel : {
         type : mongoose.Schema.Types.ObjectId,
         ref : "User"
+    },
+    notificationLevel : {
+        type : String,
+        enum : NOTIFICATION_LEVELS,
+        default : "personalized"
     }
 },{timestamps : true});
 
+subscriptionSchema.index({ subscriber : 1, channel : 1 });
+subscriptionSchema.index({ channel : 1, notificationLevel : 1 });
+
 export const Subscription = mongoose.model("Subscription", subscriptionSchema);
\ No newline at end of file
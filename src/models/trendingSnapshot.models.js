@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+const windowCountsSchema = new mongoose.Schema(
+  {
+    day: { type: Number, default: 0 },
+    week: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const trendingEntrySchema = new mongoose.Schema(
+  {
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    score: {
+      type: Number,
+      required: true,
+    },
+    // Copied from the video so snapshots can be filtered without a lookup
+    tags: {
+      type: [String],
+      default: [],
+    },
+    category: {
+      type: String,
+    },
+    views: windowCountsSchema,
+    likes: windowCountsSchema,
+    comments: windowCountsSchema,
+    shares: windowCountsSchema,
+  },
+  { _id: false }
+);
+
+// A ranked list of trending videos as of computedAt; the newest snapshot is
+// served and older ones are kept briefly for comparison
+const trendingSnapshotSchema = new mongoose.Schema({
+  computedAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  halfLifeHours: {
+    type: Number,
+    required: true,
+  },
+  windowDays: {
+    type: Number,
+    required: true,
+  },
+  videos: {
+    type: [trendingEntrySchema],
+    default: [],
+  },
+});
+
+// Also serves the latest-snapshot lookup
+trendingSnapshotSchema.index(
+  { computedAt: 1 },
+  { expireAfterSeconds: 2 * 24 * 60 * 60 }
+);
+
+export const TrendingSnapshot = mongoose.model(
+  "TrendingSnapshot",
+  trendingSnapshotSchema
+);
@@ -11,4 +11,6 @@ const tweetSchema = new mongoose.Schema({
     }
 },{timestamps : true});
 
+tweetSchema.index({ content : "text" }, { name : "tweet_text" });
+
 export const Tweet = mongoose.model("Tweet", tweetSchema);
\ No newline at end of file
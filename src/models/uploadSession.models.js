@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+
+const receivedChunkSchema = new mongoose.Schema(
+  {
+    index: {
+      type: Number,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    checksum: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Owner reference is required"],
+      index: true,
+    },
+    fileName: {
+      type: String,
+      required: [true, "File name is required"],
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      required: [true, "MIME type is required"],
+    },
+    fileSize: {
+      type: Number,
+      required: [true, "File size is required"],
+      min: [1, "File size must be positive"],
+    },
+    chunkSize: {
+      type: Number,
+      required: true,
+    },
+    totalChunks: {
+      type: Number,
+      required: true,
+    },
+    checksum: {
+      type: String,
+      lowercase: true,
+    },
+    receivedChunks: {
+      type: [receivedChunkSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["active", "assembling", "completed"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+uploadSessionSchema.methods.getMissingChunks = function () {
+  const received = new Set(this.receivedChunks.map((chunk) => chunk.index));
+  const missing = [];
+  for (let index = 0; index < this.totalChunks; index++) {
+    if (!received.has(index)) missing.push(index);
+  }
+  return missing;
+};
+
+uploadSessionSchema.methods.getExpectedChunkSize = function (index) {
+  if (index < this.totalChunks - 1) return this.chunkSize;
+  return this.fileSize - this.chunkSize * (this.totalChunks - 1);
+};
+
+uploadSessionSchema.methods.isExpired = function () {
+  return this.expiresAt.getTime() <= Date.now();
+};
+
+export const UploadSession = mongoose.model(
+  "UploadSession",
+  uploadSessionSchema
+);
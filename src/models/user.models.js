@@ -1,6 +1,11 @@
 import bcrypt from "bcrypt";
+import crypto from "node:crypto";
 import jwt from "jsonwebtoken";
 import mongoose from "mongoose";
+import { USER_ROLES } from "../utils/permissions.js";
+import { signScopedToken } from "../utils/scopedTokens.js";
+
+export const ACCOUNT_STATUSES = ["active", "suspended", "banned"];
 
 const userSchema = new mongoose.Schema(
   {
@@ -39,17 +44,78 @@ const userSchema = new mongoose.Schema(
         ref: "Video",
       },
     ],
+    // Unset for accounts created through a social login, until the user
+    // chooses one with the password reset flow
     password: {
       type: String,
-      required: [true, "password is required"],
     },
-    refreshToken: {
+    // Decides what the account may do beyond its own content; see
+    // utils/permissions.js
+    role: {
+      type: String,
+      enum: USER_ROLES,
+      default: "user",
+      index: true,
+    },
+    // Suspended and banned accounts cannot sign in or use their tokens
+    accountStatus: {
+      type: String,
+      enum: ACCOUNT_STATUSES,
+      default: "active",
+      index: true,
+    },
+    // Who restricted the account and why; cleared on reinstatement
+    restriction: {
+      reason: { type: String, trim: true, maxLength: 500 },
+      // Suspensions without an end date last until reinstated
+      until: { type: Date },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      at: { type: Date },
+    },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    // Only a SHA-256 hash of the emailed reset token is stored; cleared as
+    // soon as the token is used
+    passwordResetTokenHash: {
       type: String,
     },
+    passwordResetExpiresAt: {
+      type: Date,
+    },
+    // TOTP two-factor authentication. The secret is stored encrypted and
+    // recovery codes hashed; none of it is selected by default.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      // Set by setup, becomes `secret` once a code from the app is confirmed
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: { type: [String], default: undefined, select: false },
+      // Time step of the last accepted code, so a code works only once
+      lastUsedStep: { type: Number, select: false },
+    },
+    // In-app notifications the user wants, per notification type
+    notificationPreferences: {
+      upload: { type: Boolean, default: true },
+      reply: { type: Boolean, default: true },
+      like: { type: Boolean, default: true },
+      subscriber: { type: Boolean, default: true },
+      mention: { type: Boolean, default: true },
+    },
   },
   { timestamps: true }
 );
 
+userSchema.index({ username: "text", fullname: "text" }, { name: "user_text" });
+// Co-watch lookups for related videos
+userSchema.index({ watchHistory: 1 });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
     return next();
@@ -59,15 +125,19 @@ userSchema.pre("save", async function (next) {
 });
 
 userSchema.methods.isPasswordCorrect = async function (password) {
+  if (!this.password) return false;
   return await bcrypt.compare(password, this.password);
 };
 
-userSchema.methods.generateAccessToken = function () {
+// Tokens issued for a session carry its id as `sid`
+userSchema.methods.generateAccessToken = function (sessionId) {
   const accessToken = jwt.sign(
     {
       _id: this._id,
       username: this.username,
       email: this.email,
+      role: this.role,
+      ...(sessionId && { sid: sessionId }),
     },
     process.env.ACCESS_TOKEN_SECRET,
     {
@@ -77,17 +147,88 @@ userSchema.methods.generateAccessToken = function () {
   return accessToken;
 };
 
-userSchema.methods.generateRefreshToken = function () {
+// The random jwtid makes every rotated token unique, even within a second
+userSchema.methods.generateRefreshToken = function (sessionId) {
   const refreshToken = jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
       expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+      jwtid: crypto.randomUUID(),
     }
   );
   return refreshToken;
 };
 
+// Bound to the current address, so changing the email invalidates older links
+userSchema.methods.generateEmailVerificationToken = function () {
+  return signScopedToken(
+    "email-verification",
+    { _id: this._id, email: this.email },
+    "24h"
+  );
+};
+
+// Proves the password was checked; exchanged for tokens together with a
+// second-factor code
+userSchema.methods.generateTwoFactorChallengeToken = function () {
+  return signScopedToken("two-factor-login", { _id: this._id }, "5m");
+};
+
+// Null for accounts in good standing. Bans are permanent, while a suspension
+// with an end date lapses on its own.
+userSchema.methods.getRestrictionMessage = function () {
+  if (this.accountStatus === "banned") {
+    return "This account has been banned";
+  }
+  if (this.accountStatus !== "suspended") return null;
+
+  const until = this.restriction?.until;
+  if (!until) return "This account has been suspended";
+  return until > new Date()
+    ? `This account is suspended until ${until.toISOString()}`
+    : null;
+};
+
+// Accounts for which getRestrictionMessage is not null; their channels and
+// content are hidden from search and suggestions
+userSchema.statics.restrictedFilter = function () {
+  return {
+    $or: [
+      { accountStatus: "banned" },
+      {
+        accountStatus: "suspended",
+        $or: [
+          { "restriction.until": null },
+          { "restriction.until": { $gt: new Date() } },
+        ],
+      },
+    ],
+  };
+};
+
+// Uploading the first video makes a user a creator; higher roles are kept
+userSchema.statics.promoteToCreator = function (userId) {
+  return this.updateOne(
+    { _id: userId, role: { $in: ["user", null] } },
+    { $set: { role: "creator" } }
+  );
+};
+
+export const PASSWORD_RESET_TTL = 30 * 60 * 1000; // 30 minutes
+
+export const hashPasswordResetToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Replaces any earlier reset token; the plain token is only ever emailed
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString("base64url");
+  this.passwordResetTokenHash = hashPasswordResetToken(token);
+  this.passwordResetExpiresAt = new Date(Date.now() + PASSWORD_RESET_TTL);
+  return token;
+};
+
 export const User = mongoose.model("User", userSchema);
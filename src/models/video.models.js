@@ -1,5 +1,82 @@
 import mongoose from "mongoose";
 
+export const PROCESSING_STATUSES = ["queued", "processing", "ready", "failed"];
+
+// public: listed everywhere; unlisted: anyone with the link; private and
+// scheduled: owner only
+export const VIDEO_VISIBILITIES = [
+  "public",
+  "unlisted",
+  "private",
+  "scheduled",
+];
+const SHAREABLE_VISIBILITIES = ["public", "unlisted"];
+
+export const VIDEO_CATEGORIES = [
+  "education",
+  "entertainment",
+  "gaming",
+  "music",
+  "news",
+  "science-technology",
+  "sports",
+  "how-to",
+  "travel",
+  "comedy",
+  "people-blogs",
+  "other",
+];
+
+const renditionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    width: Number,
+    height: Number,
+    bandwidth: Number,
+    url: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const storedFileSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    public_id: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const thumbnailCandidateSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    public_id: {
+      type: String,
+      required: true,
+    },
+    // Seconds into the video the frame was taken from
+    timestamp: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
 const videoSchema = new mongoose.Schema(
   {
     title: {
@@ -11,14 +88,58 @@ const videoSchema = new mongoose.Schema(
       type: String,
       required: [true, "Description is required"],
     },
+    // Seconds, probed from the upload by the processing pipeline
     duration: {
-      type: String,
-      required: [true, "Duration is required"],
+      type: Number,
+      default: 0,
+      min: [0, "Duration cannot be negative"],
     },
     tags: {
       type: [String],
       default: [],
     },
+    category: {
+      type: String,
+      enum: {
+        values: VIDEO_CATEGORIES,
+        message: `Category must be one of: ${VIDEO_CATEGORIES.join(", ")}`,
+      },
+    },
+    // Only incremented by playback sessions that pass the watch threshold
+    views: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Kept in sync with the likes collection by the like controller
+    likesCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    visibility: {
+      type: String,
+      enum: {
+        values: VIDEO_VISIBILITIES,
+        message: `Visibility must be one of: ${VIDEO_VISIBILITIES.join(", ")}`,
+      },
+      default: "public",
+    },
+    // When a scheduled video goes public; kept afterwards as its release time
+    publishAt: {
+      type: Date,
+    },
+    // Set while the video is force-unpublished by an admin; the owner cannot
+    // make it visible again until the takedown is lifted
+    takedown: {
+      at: { type: Date },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      reason: { type: String, trim: true, maxLength: 500 },
+    },
+    // Set once subscribers have been told about the video going public
+    subscribersNotifiedAt: {
+      type: Date,
+    },
     videoFile: {
       url: {
         type: String,
@@ -29,14 +150,74 @@ const videoSchema = new mongoose.Schema(
         required: [true, "Video public_id is required"],
       },
     },
+    // Optional at upload time; the processing pipeline picks the first
+    // extracted candidate when the owner did not supply one
     thumbnail: {
       url: {
         type: String,
-        required: [true, "Thumbnail URL is required"],
       },
       public_id: {
         type: String,
-        required: [true, "Thumbnail public_id is required"],
+      },
+    },
+    thumbnailCandidates: {
+      type: [thumbnailCandidateSchema],
+      default: [],
+    },
+    // Sprite sheet plus WebVTT track for scrub-bar previews
+    previews: {
+      sprite: storedFileSchema,
+      vtt: storedFileSchema,
+      // Both files live under this prefix; unset on older videos
+      storagePrefix: String,
+      interval: Number,
+      columns: Number,
+      tileWidth: Number,
+      tileHeight: Number,
+    },
+    processing: {
+      status: {
+        type: String,
+        enum: PROCESSING_STATUSES,
+      },
+      progress: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100,
+      },
+      error: {
+        type: String,
+      },
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      startedAt: {
+        type: Date,
+      },
+      completedAt: {
+        type: Date,
+      },
+    },
+    metadata: {
+      width: Number,
+      height: Number,
+      videoCodec: String,
+      audioCodec: String,
+      bitrate: Number,
+      container: String,
+    },
+    streaming: {
+      masterPlaylistUrl: {
+        type: String,
+      },
+      storagePrefix: {
+        type: String,
+      },
+      renditions: {
+        type: [renditionSchema],
+        default: [],
       },
     },
     owner: {
@@ -48,4 +229,56 @@ const videoSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+videoSchema.index({ "processing.status": 1, createdAt: -1 });
+videoSchema.index({ visibility: 1, createdAt: -1 });
+videoSchema.index({ owner: 1, visibility: 1 });
+videoSchema.index({ visibility: 1, publishAt: 1 });
+videoSchema.index(
+  { title: "text", tags: "text", description: "text" },
+  { name: "video_text", weights: { title: 10, tags: 5, description: 1 } }
+);
+
+// No default status on purpose: videos created before the processing
+// pipeline have none and are treated as ready.
+videoSchema.statics.readyFilter = function () {
+  return {
+    "processing.status": { $nin: ["queued", "processing", "failed"] },
+  };
+};
+
+videoSchema.methods.isReady = function () {
+  return !this.processing?.status || this.processing.status === "ready";
+};
+
+// Videos that show up in listings, search and feeds
+videoSchema.statics.listedFilter = function () {
+  return { visibility: "public", ...this.readyFilter() };
+};
+
+// Videos a viewer may open directly: anything shared by link, plus all of
+// the viewer's own videos
+videoSchema.statics.viewableFilter = function (viewerId) {
+  const shared = {
+    visibility: { $in: SHAREABLE_VISIBILITIES },
+    ...this.readyFilter(),
+  };
+  return viewerId ? { $or: [{ owner: viewerId }, shared] } : shared;
+};
+
+videoSchema.methods.isOwnedBy = function (userId) {
+  const ownerId = this.owner?._id ?? this.owner;
+  return Boolean(userId) && ownerId?.toString() === userId.toString();
+};
+
+videoSchema.methods.isViewableBy = function (viewerId) {
+  if (this.isOwnedBy(viewerId)) return true;
+  return this.isReady() && SHAREABLE_VISIBILITIES.includes(this.visibility);
+};
+
+videoSchema.methods.isThumbnailCandidate = function (publicId) {
+  return this.thumbnailCandidates.some(
+    (candidate) => candidate.public_id === publicId
+  );
+};
+
 export const Video = mongoose.model("Video", videoSchema);
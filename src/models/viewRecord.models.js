@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// The last counted view per video and viewer key. The unique index lets
+// concurrent playback sessions race on a single document, so only one of
+// them can count a view within the deduplication window.
+const viewRecordSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    required: [true, "Video reference is required"],
+  },
+  viewerKey: {
+    type: String,
+    required: true,
+  },
+  countedAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+viewRecordSchema.index({ video: 1, viewerKey: 1 }, { unique: true });
+// Records older than the 24 hour window no longer block a view
+viewRecordSchema.index({ countedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export const ViewRecord = mongoose.model("ViewRecord", viewRecordSchema);
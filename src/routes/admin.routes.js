@@ -0,0 +1,59 @@
+import { Router } from "express";
+import {
+  banUser,
+  cancelPendingJob,
+  deleteUserContent,
+  getJob,
+  getPlatformStats,
+  getUser,
+  listEmails,
+  listJobs,
+  listRoles,
+  listUsers,
+  purgeVideo,
+  reinstateUser,
+  restoreVideo,
+  retryDeadJob,
+  suspendUser,
+  unpublishVideo,
+  updateUserRole,
+} from "../controllers/admin.controller.js";
+import { authorize, verifyJWT } from "../middlewares/auth.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+
+const adminRouter = Router();
+
+adminRouter.use(verifyJWT, authorize(PERMISSIONS.ADMIN_ACCESS));
+
+// Platform-wide statistics
+adminRouter.route("/stats").get(getPlatformStats);
+
+// Users
+adminRouter.route("/users").get(listUsers);
+adminRouter.route("/users/:userId").get(getUser);
+adminRouter.route("/users/:userId/suspend").post(suspendUser);
+adminRouter.route("/users/:userId/ban").post(banUser);
+adminRouter.route("/users/:userId/reinstate").post(reinstateUser);
+adminRouter.route("/users/:userId/content").delete(deleteUserContent);
+
+// Videos
+adminRouter.route("/videos/:videoId").delete(purgeVideo);
+adminRouter.route("/videos/:videoId/unpublish").post(unpublishVideo);
+adminRouter.route("/videos/:videoId/restore").post(restoreVideo);
+
+// Background job queue
+adminRouter.route("/jobs").get(listJobs);
+adminRouter.route("/jobs/:jobId").get(getJob);
+adminRouter.route("/jobs/:jobId/retry").post(retryDeadJob);
+adminRouter.route("/jobs/:jobId/cancel").post(cancelPendingJob);
+
+// Email outbox
+adminRouter.route("/emails").get(listEmails);
+
+// Roles and permissions
+adminRouter.route("/roles").get(listRoles);
+adminRouter
+  .route("/users/:userId/role")
+  .patch(authorize(PERMISSIONS.MANAGE_ROLES), updateUserRole);
+
+export default adminRouter;
@@ -6,17 +6,24 @@ import {
   updateComment,
   getCommentById,
   getCommentsByUser,
+  holdCommentForReview,
 } from "../controllers/comment.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
 
 const commentRouter = Router();
 
 commentRouter.use(verifyJWT);
 
 commentRouter.route("/:videoId").get(getVideoComments);
-commentRouter.route("/:videoId").post(addComment);
+commentRouter
+  .route("/:videoId")
+  .post(requireVerifiedEmail("comment"), addComment);
 commentRouter.route("/c/:commentId").patch(updateComment);
 commentRouter.route("/c/:commentId").delete(deleteComment);
+commentRouter.route("/c/:commentId/hold").post(holdCommentForReview);
 commentRouter.route("/comment/:commentId").get(getCommentById);
 commentRouter.route("/user/:userId").get(getCommentsByUser);
 
@@ -6,16 +6,19 @@ import {
   getDashboardSummary,
   getVideoAnalytics,
 } from "../controllers/dashboard.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { authorize, verifyJWT } from "../middlewares/auth.middleware.js";
 import {
   validate,
   validateObjectId,
   validatePagination,
 } from "../middlewares/validation.middleware.js";
+import { VIDEO_VISIBILITIES } from "../models/video.models.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 
 const dashboardRouter = Router();
 
-dashboardRouter.use(verifyJWT);
+// Users become creators with their first upload
+dashboardRouter.use(verifyJWT, authorize(PERMISSIONS.CHANNEL_ANALYTICS));
 
 dashboardRouter.route("/").get(getDashboardSummary);
 
@@ -37,16 +40,19 @@ dashboardRouter
   );
 
 // Channel videos with pagination and filters
-dashboardRouter
-  .route("/videos")
-  .get(
-    validate([
-      ...validatePagination,
-      query("isPublished").optional().isBoolean().toBoolean(),
-      query("searchQuery").optional().trim().isLength({ max: 100 }),
-    ]),
-    getChannelVideos
-  );
+dashboardRouter.route("/videos").get(
+  validate([
+    ...validatePagination,
+    query("visibility")
+      .optional()
+      .isIn(VIDEO_VISIBILITIES)
+      .withMessage(
+        `Visibility must be one of: ${VIDEO_VISIBILITIES.join(", ")}`
+      ),
+    query("searchQuery").optional().trim().isLength({ max: 100 }),
+  ]),
+  getChannelVideos
+);
 
 // Video analytics with ObjectId validation and date range
 dashboardRouter
@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { subscribeToEvents } from "../controllers/events.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const eventsRouter = Router();
+
+// Long-lived Server-Sent Events stream; see utils/realtime.js
+eventsRouter.route("/").get(verifyJWT, subscribeToEvents);
+
+export default eventsRouter;
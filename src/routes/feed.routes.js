@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { getFeed } from "../controllers/feed.controller.js";
+import { optionalJWT } from "../middlewares/auth.middleware.js";
+
+const feedRouter = Router();
+
+// Signed-out visitors get the trending feed
+feedRouter.route("/").get(optionalJWT, getFeed);
+
+export default feedRouter;
@@ -0,0 +1,24 @@
+import { Router } from "express";
+import {
+  approveCase,
+  getModerationCase,
+  getModerationQueue,
+  rejectCase,
+  reportContent,
+} from "../controllers/moderation.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const moderationRouter = Router();
+
+moderationRouter.use(verifyJWT);
+
+// Any signed-in user can report a comment, video or tweet
+moderationRouter.route("/reports").post(reportContent);
+
+// Moderators work the whole queue; creators the comments held on their videos
+moderationRouter.route("/queue").get(getModerationQueue);
+moderationRouter.route("/queue/:caseId").get(getModerationCase);
+moderationRouter.route("/queue/:caseId/approve").post(approveCase);
+moderationRouter.route("/queue/:caseId/reject").post(rejectCase);
+
+export default moderationRouter;
@@ -0,0 +1,25 @@
+import { Router } from "express";
+import {
+  getNotificationPreferences,
+  getNotifications,
+  getUnreadCount,
+  markAllNotificationsRead,
+  markNotificationRead,
+  updateNotificationPreferences,
+} from "../controllers/notification.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const notificationRouter = Router();
+notificationRouter.use(verifyJWT);
+
+notificationRouter.route("/").get(getNotifications);
+notificationRouter.route("/unread-count").get(getUnreadCount);
+notificationRouter.route("/read-all").patch(markAllNotificationsRead);
+notificationRouter
+  .route("/preferences")
+  .get(getNotificationPreferences)
+  .patch(updateNotificationPreferences);
+
+notificationRouter.route("/:notificationId/read").patch(markNotificationRead);
+
+export default notificationRouter;
@@ -0,0 +1,15 @@
+import { Router } from "express";
+import {
+  handleOAuthCallback,
+  listOAuthProviders,
+  startOAuthLogin,
+} from "../controllers/oauth.controller.js";
+
+const oauthRouter = Router();
+
+oauthRouter.route("/providers").get(listOAuthProviders);
+// Browser navigations, not XHR: both answer with redirects
+oauthRouter.route("/:provider/authorize").get(startOAuthLogin);
+oauthRouter.route("/:provider/callback").get(handleOAuthCallback);
+
+export default oauthRouter;
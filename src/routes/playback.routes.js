@@ -0,0 +1,19 @@
+import { Router } from "express";
+import {
+  endPlaybackSession,
+  recordHeartbeat,
+  startPlaybackSession,
+} from "../controllers/playback.controller.js";
+import { optionalJWT } from "../middlewares/auth.middleware.js";
+import { playbackLimiter } from "../middlewares/rateLimit.middleware.js";
+
+const playbackRouter = Router();
+
+// Anonymous viewers can report playback too
+playbackRouter.use(playbackLimiter, optionalJWT);
+
+playbackRouter.route("/sessions").post(startPlaybackSession);
+playbackRouter.route("/sessions/:sessionId/heartbeat").post(recordHeartbeat);
+playbackRouter.route("/sessions/:sessionId/end").post(endPlaybackSession);
+
+export default playbackRouter;
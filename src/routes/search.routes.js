@@ -0,0 +1,18 @@
+import { Router } from "express";
+import { search, suggest } from "../controllers/search.controller.js";
+import { optionalJWT } from "../middlewares/auth.middleware.js";
+import {
+  apiLimiter,
+  suggestLimiter,
+} from "../middlewares/rateLimit.middleware.js";
+
+const searchRouter = Router();
+
+// Search only returns publicly listed content; signing in is optional
+searchRouter.use(optionalJWT);
+
+searchRouter.route("/").get(apiLimiter, search);
+// Autocomplete fires on every keystroke, so it has its own limiter
+searchRouter.route("/suggest").get(suggestLimiter, suggest);
+
+export default searchRouter;
@@ -1,8 +1,10 @@
 import { Router } from "express";
 import {
   getSubscribedChannels,
+  getSubscriptionFeed,
   getUserChannelSubscribers,
   toggleSubscription,
+  updateNotificationLevel,
 } from "../controllers/subscription.controller.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
 
@@ -11,6 +13,11 @@ subscriptionRouter.use(verifyJWT);
 
 subscriptionRouter.route("/c/:channelId").get(getSubscribedChannels);
 subscriptionRouter.route("/c/:channelId").post(toggleSubscription);
+subscriptionRouter
+  .route("/c/:channelId/notifications")
+  .patch(updateNotificationLevel);
+
+subscriptionRouter.route("/feed").get(getSubscriptionFeed);
 
 subscriptionRouter.route("/u/:subscriberId").get(getUserChannelSubscribers);
 
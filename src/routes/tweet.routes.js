@@ -6,13 +6,16 @@ import {
   getUserTweets,
   updateTweet,
 } from "../controllers/tweet.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
 
 const router = Router();
 router.use(verifyJWT);
 
 router.route("/").get(getAllTweets);
-router.route("/user/create").post(createTweet);
+router.route("/user/create").post(requireVerifiedEmail("tweet"), createTweet);
 router.route("/user/:userId").get(getUserTweets);
 router.route("/:tweetId").patch(updateTweet);
 router.route("/:tweetId").delete(deleteTweet);
@@ -0,0 +1,64 @@
+import express, { Router } from "express";
+import {
+  MAX_CHUNK_SIZE,
+  cancelUploadSession,
+  completeUploadSession,
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+} from "../controllers/upload.controller.js";
+import { publishVideo } from "../controllers/video.controller.js";
+import {
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { upload } from "../middlewares/multer.middleware.js";
+import {
+  apiLimiter,
+  chunkUploadLimiter,
+  uploadLimiter,
+} from "../middlewares/rateLimit.middleware.js";
+import { validateVideo } from "../middlewares/validation.middleware.js";
+
+const uploadRouter = Router();
+
+uploadRouter.use(verifyJWT);
+
+// Everything except chunks counts towards the general API quota
+uploadRouter
+  .route("/")
+  .post(
+    apiLimiter,
+    uploadLimiter,
+    requireVerifiedEmail("upload"),
+    createUploadSession
+  );
+
+uploadRouter
+  .route("/:sessionId")
+  .get(apiLimiter, getUploadSession)
+  .delete(apiLimiter, cancelUploadSession);
+
+// Chunks have their own limiter; a multi-GB upload would otherwise exhaust
+// the general API quota
+uploadRouter
+  .route("/:sessionId/chunks/:chunkIndex")
+  .put(
+    chunkUploadLimiter,
+    express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }),
+    uploadChunk
+  );
+
+// Finalizing hands the assembled file to the regular publish flow
+uploadRouter
+  .route("/:sessionId/complete")
+  .post(
+    apiLimiter,
+    requireVerifiedEmail("upload"),
+    upload.fields([{ name: "thumbnail", maxCount: 1 }]),
+    validateVideo,
+    completeUploadSession,
+    publishVideo
+  );
+
+export default uploadRouter;
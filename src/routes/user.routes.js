@@ -1,17 +1,31 @@
 import { Router } from "express";
 import {
   changePassword,
+  deleteOtherSessions,
+  deleteSession,
+  forgotPassword,
   getCurrentUser,
+  getSessions,
   getUserChannelProfile,
   getUserWatchHistory,
   loginUser,
   logoutUser,
   refreshAccessToken,
   registerUser,
+  resendVerificationEmail,
+  resetPassword,
   updateAccountDetails,
   updateUserAvatar,
   updateUserCoverImage,
+  verifyEmail,
+  verifyTwoFactorLogin,
 } from "../controllers/user.controller.js";
+import {
+  disableTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  setupTwoFactor,
+} from "../controllers/twoFactor.controller.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
 import { upload } from "../middlewares/multer.middleware.js";
 
@@ -32,7 +46,11 @@ router.route("/register").post(
 );
 
 router.route("/login").post(loginUser);
+router.route("/login/2fa").post(verifyTwoFactorLogin);
 router.route("/refreshTokens").post(refreshAccessToken);
+router.route("/verify-email").post(verifyEmail);
+router.route("/password/forgot").post(forgotPassword);
+router.route("/password/reset").post(resetPassword);
 
 // secure routes
 router.route("/logout").post(verifyJWT, logoutUser);
@@ -41,6 +59,16 @@ router.route("/channel/:username").get(getUserChannelProfile);
 router.route("/watchHistory").get(verifyJWT, getUserWatchHistory);
 router.route("/updateAccount").patch(verifyJWT, updateAccountDetails);
 router.route("/changePassword").put(verifyJWT, changePassword);
+router.route("/verify-email/resend").post(verifyJWT, resendVerificationEmail);
+router
+  .route("/sessions")
+  .get(verifyJWT, getSessions)
+  .delete(verifyJWT, deleteOtherSessions);
+router.route("/sessions/:sessionId").delete(verifyJWT, deleteSession);
+router.route("/2fa/setup").post(verifyJWT, setupTwoFactor);
+router.route("/2fa/enable").post(verifyJWT, enableTwoFactor);
+router.route("/2fa/disable").post(verifyJWT, disableTwoFactor);
+router.route("/2fa/recovery-codes").post(verifyJWT, regenerateRecoveryCodes);
 router
   .route("/updateAvatar")
   .put(
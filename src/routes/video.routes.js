@@ -7,12 +7,23 @@ import {
   togglePublishStatus,
   updateVideo,
   getAllPublishedVideos,
+  getRelatedVideos,
+  getTrendingVideos,
+  shareVideo,
+  getVideoProcessingStatus,
+  retryVideoProcessing,
+  selectThumbnail,
+  updateVideoVisibility,
 } from "../controllers/video.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  optionalJWT,
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
 import { upload } from "../middlewares/multer.middleware.js";
 import {
+  validateObjectId,
   validateVideo,
-  validateVideoId,
 } from "../middlewares/validation.middleware.js";
 import { checkVideoOwnership } from "../middlewares/videoOwnership.middleware.js";
 
@@ -20,7 +31,12 @@ const videoRouter = Router();
 
 // Public routes
 videoRouter.get("/published", getAllPublishedVideos);
-videoRouter.get("/:id", getVideoById);
+// Registered before "/:id" so "trending" is not read as a video ID
+videoRouter.get("/trending", getTrendingVideos);
+// Owners can open their own private videos
+videoRouter.get("/:id", optionalJWT, getVideoById);
+videoRouter.get("/:id/related", optionalJWT, getRelatedVideos);
+videoRouter.post("/:id/share", optionalJWT, shareVideo);
 
 // Authenticated routes
 videoRouter.use(verifyJWT);
@@ -30,6 +46,7 @@ videoRouter.get("/", getAllVideos);
 
 videoRouter.post(
   "/",
+  requireVerifiedEmail("upload"),
   upload.fields([
     { name: "videoFile", maxCount: 1 },
     { name: "thumbnail", maxCount: 1 },
@@ -40,17 +57,23 @@ videoRouter.post(
 
 videoRouter.patch(
   "/update/:id",
-  validateVideoId,
+  validateObjectId("id"),
   checkVideoOwnership,
   upload.single("thumbnail"),
   updateVideo
 );
 
-videoRouter.delete("/delete/:id", validateVideoId, checkVideoOwnership, deleteVideo);
+videoRouter.delete("/delete/:id", validateObjectId("id"), checkVideoOwnership, deleteVideo);
+
+videoRouter.get("/processing/:id", getVideoProcessingStatus);
+videoRouter.post("/processing/:id/retry", retryVideoProcessing);
+videoRouter.patch("/thumbnail/:id", selectThumbnail);
 
+videoRouter.patch("/visibility/:id", updateVideoVisibility);
+// Deprecated in favour of PATCH /visibility/:id
 videoRouter.patch(
   "/toggle/publish/:id",
-  validateVideoId,
+  validateObjectId("id"),
   checkVideoOwnership,
   togglePublishStatus
 );
@@ -7,11 +7,12 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
-const uploadOnCloudinary = async (localFilePath) => {
+const uploadOnCloudinary = async (localFilePath, { folder } = {}) => {
   try {
     if (!localFilePath) return null;
     const uploadResponse = await cloudinary.uploader.upload(localFilePath, {
       resource_type: "auto",
+      ...(folder && { folder }),
     });
     fs.unlinkSync(localFilePath);
     return uploadResponse;
@@ -21,13 +22,15 @@ const uploadOnCloudinary = async (localFilePath) => {
   }
 };
 
-const deleteFromCloudinary = async (publicId) => {
+const deleteFromCloudinary = async (publicId, resourceType = "image") => {
   try {
-    const result = await cloudinary.uploader.destroy(publicId);
+    return await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+    });
   } catch (error) {
     console.log(`Error deleting from cloudinary : ${error}`);
     return null;
   }
-}
+};
 
 export { uploadOnCloudinary, deleteFromCloudinary };
@@ -0,0 +1,107 @@
+import { enqueueMediaDeletion } from "../jobs/media.job.js";
+import {
+  clearVideoCache,
+  clearVideoListCache,
+} from "../middlewares/cache.middleware.js";
+import { Comment } from "../models/comment.models.js";
+import { Like } from "../models/like.models.js";
+import { PlaybackSession } from "../models/playbackSession.models.js";
+import { Share } from "../models/share.models.js";
+import { Tweet } from "../models/tweet.models.js";
+import { Video } from "../models/video.models.js";
+import { clearRelatedVideosCache } from "./relatedVideos.js";
+import { removeVideoSuggestions } from "./suggestions.js";
+
+export const PURGEABLE_CONTENT = ["videos", "comments", "tweets"];
+
+// Deletes a video with its comments, likes and playback data. Storage
+// cleanup runs in the background and is retried on failure.
+export const removeVideo = async (video) => {
+  const thumbnailIds = new Set([
+    video.thumbnail?.public_id,
+    ...video.thumbnailCandidates.map((candidate) => candidate.public_id),
+  ]);
+
+  const commentIds = await Comment.find({ video: video._id }).distinct("_id");
+
+  await video.deleteOne();
+  await Promise.all([
+    PlaybackSession.deleteMany({ video: video._id }),
+    Share.deleteMany({ video: video._id }),
+    Comment.deleteMany({ video: video._id }),
+    Like.deleteMany({
+      $or: [{ video: video._id }, { comment: { $in: commentIds } }],
+    }),
+  ]);
+  clearVideoCache(video._id);
+  clearRelatedVideosCache(video._id);
+  removeVideoSuggestions(video._id);
+
+  await enqueueMediaDeletion([
+    { publicId: video.videoFile.public_id, resourceType: "video" },
+    ...[...thumbnailIds].map((publicId) => ({ publicId })),
+    ...(video.previews?.storagePrefix
+      ? [{ prefix: video.previews.storagePrefix }]
+      : [
+          { publicId: video.previews?.sprite?.public_id },
+          { publicId: video.previews?.vtt?.public_id, resourceType: "raw" },
+        ]),
+    { prefix: video.streaming?.storagePrefix },
+  ]);
+};
+
+// Makes the video private and keeps its owner from publishing it again until
+// the takedown is lifted
+export const takeDownVideo = async (video, { by, reason }) => {
+  // A pending release would otherwise be picked up by the scheduler
+  if (video.visibility === "scheduled") video.publishAt = undefined;
+  video.visibility = "private";
+  video.takedown = { at: new Date(), by, reason };
+  await video.save();
+
+  clearVideoCache(video._id);
+  clearVideoListCache();
+  removeVideoSuggestions(video._id);
+};
+
+export const removeTweet = async (tweet) => {
+  await Like.deleteMany({ tweet: tweet._id });
+  await tweet.deleteOne();
+};
+
+const purgers = {
+  videos: async (userId) => {
+    const videos = await Video.find({ owner: userId });
+    // One at a time to keep the load on storage and the queue predictable
+    for (const video of videos) {
+      await removeVideo(video);
+    }
+    return videos.length;
+  },
+  comments: async (userId) => {
+    const commentIds = await Comment.find({ owner: userId }).distinct("_id");
+    await Like.deleteMany({ comment: { $in: commentIds } });
+    const { deletedCount } = await Comment.deleteMany({
+      _id: { $in: commentIds },
+    });
+    return deletedCount;
+  },
+  tweets: async (userId) => {
+    const tweetIds = await Tweet.find({ owner: userId }).distinct("_id");
+    await Like.deleteMany({ tweet: { $in: tweetIds } });
+    const { deletedCount } = await Tweet.deleteMany({ _id: { $in: tweetIds } });
+    return deletedCount;
+  },
+};
+
+/**
+ * Deletes everything of the given types a user has posted, e.g. after a ban
+ * for spam. Resolves with the number of deleted items per type.
+ */
+export const purgeUserContent = async (userId, types = PURGEABLE_CONTENT) => {
+  const deleted = {};
+  for (const type of types) {
+    deleted[type] = await purgers[type](userId);
+  }
+  return deleted;
+};
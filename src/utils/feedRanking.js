@@ -0,0 +1,208 @@
+// Pure scoring for the home feed. Nothing here touches the database or the
+// clock, so rankings are reproducible given the same inputs and `now`.
+
+const HOUR = 60 * 60 * 1000;
+
+// Relative importance of each signal; every signal is normalized to [0, 1]
+export const FEED_WEIGHTS = {
+  subscription: 3,
+  channelAffinity: 1.5,
+  tagOverlap: 2,
+  freshness: 1.5,
+  popularity: 0.5,
+};
+
+export const FRESHNESS_HALF_LIFE = 72 * HOUR;
+export const MAX_PER_CHANNEL = 3; // before a channel's other videos sink
+export const PROFILE_TAG_LIMIT = 20;
+
+// Interactions weigh differently when building the interest profile
+const INTERACTION_WEIGHTS = {
+  like: 2,
+  watch: 1,
+};
+
+// Views at which popularity saturates (log scale)
+const POPULARITY_SATURATION = 1_000_000;
+
+const toKey = (id) => id?.toString();
+
+const normalizeTag = (tag) => tag.trim().toLowerCase();
+
+/**
+ * Condenses a user's activity into channel and tag affinities. Recent
+ * entries of the watch history count more than older ones.
+ */
+export const buildInterestProfile = ({
+  subscribedChannelIds = [],
+  likedVideos = [],
+  watchedVideos = [],
+}) => {
+  const channels = new Map();
+  const tags = new Map();
+
+  const addVideo = (video, weight) => {
+    const owner = toKey(video.owner?._id ?? video.owner);
+    if (owner) channels.set(owner, (channels.get(owner) || 0) + weight);
+    for (const tag of video.tags || []) {
+      const key = normalizeTag(tag);
+      if (key) tags.set(key, (tags.get(key) || 0) + weight);
+    }
+  };
+
+  for (const video of likedVideos) addVideo(video, INTERACTION_WEIGHTS.like);
+  // watchedVideos is most recent first
+  watchedVideos.forEach((video, index) => {
+    addVideo(video, INTERACTION_WEIGHTS.watch / (1 + index / 20));
+  });
+
+  const topTags = [...tags.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, PROFILE_TAG_LIMIT);
+
+  return {
+    subscriptions: new Set(subscribedChannelIds.map(toKey)),
+    channels,
+    maxChannelAffinity: Math.max(0, ...channels.values()),
+    tags: new Map(topTags),
+    maxTagWeight: topTags[0]?.[1] || 0,
+    watched: new Set(watchedVideos.map((video) => toKey(video._id))),
+  };
+};
+
+export const isEmptyProfile = (profile) => {
+  return (
+    profile.subscriptions.size === 0 &&
+    profile.channels.size === 0 &&
+    profile.tags.size === 0
+  );
+};
+
+export const getFreshness = (createdAt, now) => {
+  const age = Math.max(0, now - new Date(createdAt).getTime());
+  return 0.5 ** (age / FRESHNESS_HALF_LIFE);
+};
+
+export const getPopularity = (views = 0) => {
+  return Math.min(
+    1,
+    Math.log10(1 + Math.max(0, views)) / Math.log10(1 + POPULARITY_SATURATION)
+  );
+};
+
+const getTagOverlap = (video, profile) => {
+  if (!profile.maxTagWeight) return 0;
+
+  const seen = new Set();
+  let total = 0;
+  for (const tag of video.tags || []) {
+    const key = normalizeTag(tag);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    total += profile.tags.get(key) || 0;
+  }
+  // Matching the user's strongest interest alone scores fully
+  return Math.min(1, total / profile.maxTagWeight);
+};
+
+/**
+ * Scores one candidate video. Returns the blended score and the signals
+ * that contributed, which the API exposes as "reasons".
+ */
+export const scoreVideo = (
+  video,
+  profile,
+  { now, weights = FEED_WEIGHTS } = {}
+) => {
+  const owner = toKey(video.owner?._id ?? video.owner);
+  const signals = {
+    subscription: profile.subscriptions.has(owner) ? 1 : 0,
+    channelAffinity: profile.maxChannelAffinity
+      ? (profile.channels.get(owner) || 0) / profile.maxChannelAffinity
+      : 0,
+    tagOverlap: getTagOverlap(video, profile),
+    freshness: getFreshness(video.createdAt, now),
+    popularity: getPopularity(video.views),
+  };
+
+  let score = 0;
+  for (const [signal, value] of Object.entries(signals)) {
+    score += (weights[signal] || 0) * value;
+  }
+
+  const reasons = ["subscription", "channelAffinity", "tagOverlap"].filter(
+    (signal) => signals[signal] > 0
+  );
+
+  return { score, signals, reasons };
+};
+
+// Higher score first; ties resolved by id so the order never depends on
+// the order candidates were fetched in
+const compareRanked = (a, b) => {
+  return (
+    b.score - a.score || toKey(b.video._id).localeCompare(toKey(a.video._id))
+  );
+};
+
+// Limits how many videos one channel gets in the ranked list; overflow is
+// appended after everything else rather than dropped
+const diversify = (ranked, maxPerChannel) => {
+  const perChannel = new Map();
+  const head = [];
+  const overflow = [];
+
+  for (const entry of ranked) {
+    const owner = toKey(entry.video.owner?._id ?? entry.video.owner);
+    const count = perChannel.get(owner) || 0;
+    if (count < maxPerChannel) {
+      perChannel.set(owner, count + 1);
+      head.push(entry);
+    } else {
+      overflow.push(entry);
+    }
+  }
+
+  return [...head, ...overflow];
+};
+
+/**
+ * Ranks candidate videos for a profile. Videos the user has already watched
+ * are removed.
+ */
+export const rankVideos = (
+  candidates,
+  profile,
+  { now, weights = FEED_WEIGHTS, maxPerChannel = MAX_PER_CHANNEL } = {}
+) => {
+  const unique = new Map();
+  for (const video of candidates) {
+    const key = toKey(video._id);
+    if (!profile.watched.has(key)) unique.set(key, video);
+  }
+
+  const ranked = [...unique.values()]
+    .map((video) => ({
+      video,
+      ...scoreVideo(video, profile, { now, weights }),
+    }))
+    .sort(compareRanked);
+
+  return diversify(ranked, maxPerChannel);
+};
+
+/**
+ * Trending order used for anonymous and new users: engagement, damped by
+ * age so yesterday's hits give way to new uploads.
+ */
+export const rankTrending = (candidates, { now } = {}) => {
+  return candidates
+    .map((video) => {
+      const engagement = Math.log10(
+        1 + (video.views || 0) + 2 * (video.likesCount || 0)
+      );
+      const score = engagement * getFreshness(video.createdAt, now);
+      return { video, score, signals: {}, reasons: ["trending"] };
+    })
+    .sort(compareRanked);
+};
@@ -0,0 +1,237 @@
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const FFMPEG_PATH = () => process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE_PATH = () => process.env.FFPROBE_PATH || "ffprobe";
+
+export const HLS_RENDITIONS = [
+  { name: "240p", height: 240, videoBitrate: 400, audioBitrate: 64 },
+  { name: "480p", height: 480, videoBitrate: 1000, audioBitrate: 96 },
+  { name: "720p", height: 720, videoBitrate: 2800, audioBitrate: 128 },
+];
+
+const HLS_SEGMENT_SECONDS = 6;
+const THUMBNAIL_MAX_WIDTH = 1280;
+
+const runCommand = (command, args, { onStdout } = {}) => {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+
+    child.stdout.on("data", (data) => {
+      const text = data.toString();
+      if (onStdout) {
+        onStdout(text);
+      } else {
+        stdout += text;
+      }
+    });
+
+    child.stderr.on("data", (data) => {
+      // Keep only the tail; ffmpeg can be very chatty on long inputs
+      stderr = (stderr + data.toString()).slice(-4000);
+    });
+
+    child.on("error", (error) => {
+      reject(new Error(`Failed to start ${command}: ${error.message}`));
+    });
+
+    child.on("close", (code) => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(
+          new Error(`${command} exited with code ${code}: ${stderr.trim()}`)
+        );
+      }
+    });
+  });
+};
+
+export const probeVideo = async (filePath) => {
+  const output = await runCommand(FFPROBE_PATH(), [
+    "-v",
+    "error",
+    "-print_format",
+    "json",
+    "-show_format",
+    "-show_streams",
+    filePath,
+  ]);
+
+  const { format = {}, streams = [] } = JSON.parse(output);
+  const videoStream = streams.find((stream) => stream.codec_type === "video");
+  const audioStream = streams.find((stream) => stream.codec_type === "audio");
+
+  if (!videoStream) {
+    throw new Error("No video stream found in the uploaded file");
+  }
+
+  const duration = parseFloat(format.duration ?? videoStream.duration);
+
+  return {
+    duration: Number.isFinite(duration) ? Math.round(duration * 100) / 100 : 0,
+    width: videoStream.width,
+    height: videoStream.height,
+    videoCodec: videoStream.codec_name,
+    audioCodec: audioStream?.codec_name ?? null,
+    bitrate: parseInt(format.bit_rate) || null,
+    container: format.format_name,
+  };
+};
+
+// Renditions taller than the source would only upscale, so they are skipped.
+// The smallest rendition is always produced.
+export const selectRenditions = (sourceHeight) => {
+  const renditions = HLS_RENDITIONS.filter(
+    (rendition) => rendition.height <= sourceHeight
+  );
+  return renditions.length > 0 ? renditions : [HLS_RENDITIONS[0]];
+};
+
+const scaledWidth = (probe, height) => {
+  const width = Math.round((probe.width / probe.height) * height);
+  return width % 2 === 0 ? width : width + 1;
+};
+
+const parseProgressSeconds = (text) => {
+  const matches = [...text.matchAll(/out_time_(?:us|ms)=(\d+)/g)];
+  if (matches.length === 0) return null;
+  return parseInt(matches[matches.length - 1][1]) / 1_000_000;
+};
+
+// Writes <outputDir>/<rendition>/index.m3u8 plus segments for every rendition
+// and a master.m3u8 that references them with relative paths.
+export const transcodeToHls = async (
+  inputPath,
+  outputDir,
+  probe,
+  { onProgress } = {}
+) => {
+  const renditions = selectRenditions(probe.height);
+  const produced = [];
+
+  for (const [position, rendition] of renditions.entries()) {
+    const renditionDir = path.join(outputDir, rendition.name);
+    await fs.mkdir(renditionDir, { recursive: true });
+
+    const width = scaledWidth(probe, rendition.height);
+
+    await runCommand(
+      FFMPEG_PATH(),
+      [
+        "-y",
+        "-i",
+        inputPath,
+        "-map",
+        "0:v:0",
+        "-map",
+        "0:a:0?",
+        "-vf",
+        `scale=${width}:${rendition.height}`,
+        "-c:v",
+        "libx264",
+        "-preset",
+        "veryfast",
+        "-profile:v",
+        "main",
+        "-b:v",
+        `${rendition.videoBitrate}k`,
+        "-maxrate",
+        `${Math.round(rendition.videoBitrate * 1.07)}k`,
+        "-bufsize",
+        `${rendition.videoBitrate * 2}k`,
+        "-c:a",
+        "aac",
+        "-b:a",
+        `${rendition.audioBitrate}k`,
+        "-ac",
+        "2",
+        "-hls_time",
+        `${HLS_SEGMENT_SECONDS}`,
+        "-hls_playlist_type",
+        "vod",
+        "-hls_segment_filename",
+        path.join(renditionDir, "segment_%04d.ts"),
+        "-progress",
+        "pipe:1",
+        "-nostats",
+        path.join(renditionDir, "index.m3u8"),
+      ],
+      {
+        onStdout: (text) => {
+          const seconds = parseProgressSeconds(text);
+          if (onProgress && seconds !== null && probe.duration > 0) {
+            const fraction = Math.min(seconds / probe.duration, 1);
+            onProgress((position + fraction) / renditions.length);
+          }
+        },
+      }
+    );
+
+    produced.push({
+      name: rendition.name,
+      width,
+      height: rendition.height,
+      bandwidth: (rendition.videoBitrate + rendition.audioBitrate) * 1000,
+      playlist: `${rendition.name}/index.m3u8`,
+    });
+  }
+
+  const masterPlaylist = [
+    "#EXTM3U",
+    "#EXT-X-VERSION:3",
+    ...produced.flatMap((rendition) => [
+      `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`,
+      rendition.playlist,
+    ]),
+    "",
+  ].join("\n");
+
+  await fs.writeFile(path.join(outputDir, "master.m3u8"), masterPlaylist);
+
+  return { masterPlaylist: "master.m3u8", renditions: produced };
+};
+
+// Grabs a single JPEG frame at the given offset (seconds), never upscaling
+export const extractFrame = async (inputPath, outputPath, timestamp) => {
+  await runCommand(FFMPEG_PATH(), [
+    "-y",
+    "-ss",
+    `${timestamp}`,
+    "-i",
+    inputPath,
+    "-frames:v",
+    "1",
+    "-vf",
+    `scale=w=min(${THUMBNAIL_MAX_WIDTH}\\,iw):h=-2`,
+    "-q:v",
+    "2",
+    outputPath,
+  ]);
+  return outputPath;
+};
+
+// Renders one frame every `interval` seconds into a single tiled JPEG
+export const generateSpriteSheet = async (
+  inputPath,
+  outputPath,
+  { interval, columns, rows, tileWidth, tileHeight }
+) => {
+  await runCommand(FFMPEG_PATH(), [
+    "-y",
+    "-i",
+    inputPath,
+    "-an",
+    "-vf",
+    `fps=1/${interval},scale=${tileWidth}:${tileHeight},tile=${columns}x${rows}`,
+    "-frames:v",
+    "1",
+    "-q:v",
+    "4",
+    outputPath,
+  ]);
+  return outputPath;
+};
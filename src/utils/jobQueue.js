@@ -0,0 +1,314 @@
+import crypto from "node:crypto";
+import os from "node:os";
+import { Job } from "../models/job.models.js";
+
+const POLL_INTERVAL = 2000; // ms between polls when the queue is idle
+const STALE_CHECK_INTERVAL = 60 * 1000;
+const DEFAULT_LOCK_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+const DEFAULT_BACKOFF = 30 * 1000; // first retry after 30s, doubling
+const MAX_BACKOFF = 6 * 60 * 60 * 1000; // 6 hours
+
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+
+const handlers = new Map();
+const activeJobs = new Map(); // type -> running count
+
+let pollTimer = null;
+let isRunning = false;
+let isPolling = false;
+let lastStaleCheck = 0;
+
+export const getBackoffDelay = (attempts, baseDelay = DEFAULT_BACKOFF) => {
+  const delay = baseDelay * 2 ** Math.max(0, attempts - 1);
+  // Jitter keeps retries of a failed batch from hitting the backend together
+  const jitter = Math.random() * 0.2 * delay;
+  return Math.min(Math.round(delay + jitter), MAX_BACKOFF);
+};
+
+/**
+ * Registers the function that runs jobs of the given type. The handler receives
+ * the job payload and the job document; whatever it resolves with is stored as
+ * the job result, and a rejection schedules a retry.
+ */
+export const registerJobHandler = (
+  type,
+  handler,
+  {
+    concurrency = 1,
+    maxAttempts = 5,
+    backoff = DEFAULT_BACKOFF,
+    lockTimeout = DEFAULT_LOCK_TIMEOUT,
+  } = {}
+) => {
+  handlers.set(type, {
+    handler,
+    concurrency: Math.max(1, concurrency),
+    maxAttempts,
+    backoff,
+    lockTimeout,
+  });
+};
+
+export const enqueueJob = async (
+  type,
+  payload = {},
+  { runAt, delay = 0, maxAttempts, uniqueKey, repeatEvery } = {}
+) => {
+  const definition = handlers.get(type);
+
+  try {
+    const job = await Job.create({
+      type,
+      payload,
+      runAt: runAt || new Date(Date.now() + delay),
+      maxAttempts: maxAttempts || definition?.maxAttempts,
+      ...(uniqueKey && { uniqueKey }),
+      ...(repeatEvery && { repeatEvery }),
+    });
+
+    if (isRunning && job.runAt <= new Date()) {
+      setImmediate(poll);
+    }
+
+    return job;
+  } catch (error) {
+    // The same work is already queued; hand back the existing job
+    if (error.code === 11000 && uniqueKey) {
+      return Job.findOne({ uniqueKey });
+    }
+    throw error;
+  }
+};
+
+// Recurring jobs share a fixed unique key, so every instance can call this
+// at startup without scheduling duplicates
+export const scheduleRecurringJob = (type, every, payload = {}) => {
+  return enqueueJob(type, payload, {
+    uniqueKey: `recurring:${type}`,
+    repeatEvery: every,
+  });
+};
+
+export const retryJob = async (jobId) => {
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: { $in: ["dead", "cancelled"] } },
+    {
+      $set: { status: "pending", attempts: 0, runAt: new Date() },
+      $unset: { lastError: 1, completedAt: 1, lockedAt: 1, lockedBy: 1 },
+    },
+    { new: true }
+  );
+};
+
+// Running jobs cannot be interrupted, so only pending ones are cancellable
+export const cancelJob = async (jobId) => {
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: "pending" },
+    {
+      $set: { status: "cancelled", completedAt: new Date() },
+      $unset: { uniqueKey: 1 },
+    },
+    { new: true }
+  );
+};
+
+// Matches the job only while this worker still holds the lock. A run that
+// outlives lockTimeout is handed to another worker by releaseStaleJobs, and
+// the late result must not overwrite that run.
+const lockFilter = (job) => ({
+  _id: job._id,
+  status: "running",
+  lockedBy: workerId,
+  lockedAt: job.lockedAt,
+});
+
+const warnLostLock = (job) => {
+  console.warn("Job lock lost, result discarded:", {
+    jobId: job._id,
+    type: job.type,
+    attempt: job.attempts,
+  });
+};
+
+const finishJob = async (job, result) => {
+  const update = job.repeatEvery
+    ? {
+        $set: {
+          status: "pending",
+          attempts: 0,
+          runAt: new Date(Date.now() + job.repeatEvery),
+          result,
+        },
+        $unset: { lastError: 1, lockedAt: 1, lockedBy: 1 },
+      }
+    : {
+        $set: { status: "completed", completedAt: new Date(), result },
+        $unset: { uniqueKey: 1, lockedAt: 1, lockedBy: 1 },
+      };
+
+  const { matchedCount } = await Job.updateOne(lockFilter(job), update);
+  if (matchedCount === 0) warnLostLock(job);
+};
+
+const failJob = async (job, definition, error) => {
+  const lastError = (error?.message || String(error)).slice(0, 1000);
+  const exhausted = job.attempts >= job.maxAttempts;
+
+  console.error("Job failed:", {
+    jobId: job._id,
+    type: job.type,
+    attempt: job.attempts,
+    maxAttempts: job.maxAttempts,
+    error: lastError,
+  });
+
+  let update;
+  if (exhausted && !job.repeatEvery) {
+    update = {
+      $set: { status: "dead", lastError, completedAt: new Date() },
+      $unset: { uniqueKey: 1, lockedAt: 1, lockedBy: 1 },
+    };
+  } else {
+    // A recurring job never dies; after exhausting retries it waits for its
+    // next regular run
+    const runAt = exhausted
+      ? new Date(Date.now() + job.repeatEvery)
+      : new Date(
+          Date.now() + getBackoffDelay(job.attempts, definition.backoff)
+        );
+
+    update = {
+      $set: {
+        status: "pending",
+        lastError,
+        runAt,
+        ...(exhausted && { attempts: 0 }),
+      },
+      $unset: { lockedAt: 1, lockedBy: 1 },
+    };
+  }
+
+  const { matchedCount } = await Job.updateOne(lockFilter(job), update);
+  if (matchedCount === 0) warnLostLock(job);
+};
+
+const runJob = async (job, definition) => {
+  try {
+    const result = await definition.handler(job.payload, job);
+    await finishJob(job, result ?? null);
+  } catch (error) {
+    await failJob(job, definition, error).catch((updateError) =>
+      console.error("Failed to record job failure:", updateError.message)
+    );
+  }
+};
+
+const claimJob = (type) => {
+  return Job.findOneAndUpdate(
+    { type, status: "pending", runAt: { $lte: new Date() } },
+    {
+      $set: { status: "running", lockedAt: new Date(), lockedBy: workerId },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+const STALE_LOCK_ERROR = "Lock timed out: the worker stopped or overran";
+
+// Same outcomes as failJob: a job that keeps crashing or hanging its worker
+// uses up its attempts and goes dead instead of being re-claimed forever
+const staleJobUpdate = (job) => {
+  const exhausted = job.attempts >= job.maxAttempts;
+  if (exhausted && !job.repeatEvery) {
+    return {
+      $set: {
+        status: "dead",
+        lastError: STALE_LOCK_ERROR,
+        completedAt: new Date(),
+      },
+      $unset: { uniqueKey: 1, lockedAt: 1, lockedBy: 1 },
+    };
+  }
+  return {
+    $set: {
+      status: "pending",
+      lastError: STALE_LOCK_ERROR,
+      runAt: exhausted ? new Date(Date.now() + job.repeatEvery) : new Date(),
+      ...(exhausted && { attempts: 0 }),
+    },
+    $unset: { lockedAt: 1, lockedBy: 1 },
+  };
+};
+
+// Jobs whose worker died mid-run, or that overran lockTimeout, are handed
+// back to the queue
+const releaseStaleJobs = async () => {
+  for (const [type, definition] of handlers) {
+    const staleFilter = {
+      type,
+      status: "running",
+      lockedAt: { $lt: new Date(Date.now() - definition.lockTimeout) },
+    };
+    const staleJobs = await Job.find(staleFilter)
+      .select("attempts maxAttempts repeatEvery lockedAt")
+      .lean();
+    if (staleJobs.length === 0) continue;
+
+    // Matching the lock again skips jobs that finished in the meantime
+    await Job.bulkWrite(
+      staleJobs.map((job) => ({
+        updateOne: {
+          filter: { ...staleFilter, _id: job._id, lockedAt: job.lockedAt },
+          update: staleJobUpdate(job),
+        },
+      }))
+    );
+  }
+};
+
+async function poll() {
+  if (!isRunning || isPolling) return;
+  isPolling = true;
+
+  try {
+    if (Date.now() - lastStaleCheck > STALE_CHECK_INTERVAL) {
+      lastStaleCheck = Date.now();
+      await releaseStaleJobs();
+    }
+
+    for (const [type, definition] of handlers) {
+      while ((activeJobs.get(type) || 0) < definition.concurrency) {
+        const job = await claimJob(type);
+        if (!job) break;
+
+        activeJobs.set(type, (activeJobs.get(type) || 0) + 1);
+        runJob(job, definition).finally(() => {
+          activeJobs.set(type, activeJobs.get(type) - 1);
+          setImmediate(poll);
+        });
+      }
+    }
+  } catch (error) {
+    console.error("Job queue poll failed:", error.message);
+  } finally {
+    isPolling = false;
+  }
+}
+
+export const startJobQueue = ({ pollInterval = POLL_INTERVAL } = {}) => {
+  if (isRunning) return;
+  isRunning = true;
+  lastStaleCheck = 0;
+
+  poll();
+  pollTimer = setInterval(poll, pollInterval).unref();
+};
+
+export const stopJobQueue = () => {
+  isRunning = false;
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+export const getRegisteredJobTypes = () => [...handlers.keys()];
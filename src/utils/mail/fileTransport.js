@@ -0,0 +1,31 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import nodemailer from "nodemailer";
+
+// Local stand-in for SMTP: every message is written as an .eml file that
+// any mail client can open
+const createFileTransport = () => {
+  const outputDir = path.resolve(process.env.MAIL_FILE_DIR || "./logs/mail");
+  const transporter = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: "unix",
+  });
+
+  return {
+    name: "file",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      await fs.mkdir(outputDir, { recursive: true });
+      const filePath = path.join(
+        outputDir,
+        `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`
+      );
+      await fs.writeFile(filePath, info.message);
+      return { messageId: info.messageId, location: filePath };
+    },
+  };
+};
+
+export default createFileTransport;
@@ -0,0 +1,118 @@
+import { Email } from "../../models/email.models.js";
+import createFileTransport from "./fileTransport.js";
+import createMemoryTransport, {
+  clearSentMail,
+  getSentMail,
+} from "./memoryTransport.js";
+import createSmtpTransport from "./smtpTransport.js";
+import { renderEmail } from "./templates.js";
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport,
+};
+
+let activeTransport = null;
+
+// Resolved lazily so the transport sees environment loaded by dotenv at
+// startup. Outside production nothing leaves the machine unless asked to.
+const getMailTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  const transportName = (
+    process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "production" ? "smtp" : "file")
+  ).toLowerCase();
+  const createTransport = TRANSPORTS[transportName];
+
+  if (!createTransport) {
+    throw new Error(
+      `Unknown MAIL_TRANSPORT "${transportName}". Expected one of: ${Object.keys(TRANSPORTS).join(", ")}`
+    );
+  }
+
+  activeTransport = createTransport();
+  return activeTransport;
+};
+
+const getMailFrom = () =>
+  process.env.MAIL_FROM || "DevTube <no-reply@localhost>";
+
+// Renders the template and records the email in the outbox; delivery
+// happens separately so it can be retried
+const createOutboxEmail = ({ to, template, data, user }) => {
+  const { subject, html, text } = renderEmail(template, data);
+
+  return Email.create({
+    to,
+    from: getMailFrom(),
+    user,
+    template,
+    subject,
+    html,
+    text,
+  });
+};
+
+/**
+ * Sends one outbox email. Resolves with null when it was already sent.
+ * Errors are recorded on the email and rethrown so the caller can retry;
+ * the email is only marked failed after the final attempt.
+ */
+const deliverEmail = async (emailId, { finalAttempt = true } = {}) => {
+  const email = await Email.findOneAndUpdate(
+    { _id: emailId, status: { $ne: "sent" } },
+    { $set: { status: "sending" }, $inc: { attempts: 1 } },
+    { new: true }
+  ).lean();
+  if (!email) return null;
+
+  const transport = getMailTransport();
+
+  try {
+    const { messageId } = await transport.send({
+      from: email.from,
+      to: email.to,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+    });
+
+    await Email.updateOne(
+      { _id: email._id },
+      {
+        $set: {
+          status: "sent",
+          transport: transport.name,
+          messageId,
+          sentAt: new Date(),
+        },
+        $unset: { html: 1, text: 1, lastError: 1 },
+      }
+    );
+
+    return { messageId };
+  } catch (error) {
+    await Email.updateOne(
+      { _id: email._id },
+      {
+        $set: {
+          status: finalAttempt ? "failed" : "queued",
+          transport: transport.name,
+          lastError: error.message.slice(0, 500),
+        },
+      }
+    );
+    throw error;
+  }
+};
+
+export {
+  clearSentMail,
+  createOutboxEmail,
+  deliverEmail,
+  getMailTransport,
+  getSentMail,
+  renderEmail,
+};
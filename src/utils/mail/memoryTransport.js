@@ -0,0 +1,25 @@
+import nodemailer from "nodemailer";
+
+// Messages stay in process memory, for tests and local scripts
+const sentMail = [];
+
+export const getSentMail = () => [...sentMail];
+
+export const clearSentMail = () => {
+  sentMail.length = 0;
+};
+
+const createMemoryTransport = () => {
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    name: "memory",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      sentMail.push(JSON.parse(info.message));
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+export default createMemoryTransport;
@@ -0,0 +1,31 @@
+import nodemailer from "nodemailer";
+
+const createSmtpTransport = () => {
+  const host = process.env.SMTP_HOST;
+  if (!host) {
+    throw new Error("SMTP_HOST is required for the smtp mail transport");
+  }
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    // Implicit TLS on 465, STARTTLS everywhere else unless overridden
+    secure: process.env.SMTP_SECURE
+      ? process.env.SMTP_SECURE === "true"
+      : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+export default createSmtpTransport;
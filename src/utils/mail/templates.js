@@ -0,0 +1,115 @@
+const getAppName = () => process.env.APP_NAME || "DevTube";
+
+// Frontend base URL used for links in emails
+export const getAppUrl = () =>
+  (
+    process.env.APP_URL ||
+    process.env.CORS_ORIGIN ||
+    "http://localhost:3000"
+  ).replace(/\/+$/, "");
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Each template describes its content once ({ subject, paragraphs, action,
+// footer }); the layouts below turn it into matching HTML and text bodies
+const TEMPLATES = {
+  welcome: ({ username }) => ({
+    subject: `Welcome to ${getAppName()}`,
+    paragraphs: [
+      `Hi ${username},`,
+      `Your ${getAppName()} account is ready. Upload your first video, subscribe to channels you like and build your playlists.`,
+    ],
+    action: { label: `Go to ${getAppName()}`, url: getAppUrl() },
+    footer: `You received this email because an account was created with this address.`,
+  }),
+  verifyEmail: ({ username, url }) => ({
+    subject: `Confirm your email address for ${getAppName()}`,
+    paragraphs: [
+      `Hi ${username},`,
+      `Please confirm that this is your email address. The link expires in 24 hours.`,
+    ],
+    action: { label: "Verify email address", url },
+    footer: `If you did not create a ${getAppName()} account or change your email, you can ignore this email.`,
+  }),
+  passwordReset: ({ username, url }) => ({
+    subject: `Reset your ${getAppName()} password`,
+    paragraphs: [
+      `Hi ${username},`,
+      `Someone asked to reset the password for your account. The link works once and expires in 30 minutes.`,
+    ],
+    action: { label: "Choose a new password", url },
+    footer: `If you did not ask for this, you can ignore this email; your password stays the same.`,
+  }),
+  passwordChanged: ({ username }) => ({
+    subject: `Your ${getAppName()} password was changed`,
+    paragraphs: [
+      `Hi ${username},`,
+      `The password for your account was just reset and you were signed out everywhere.`,
+      `If this was not you, reset your password again right away and review your account.`,
+    ],
+  }),
+};
+
+export const EMAIL_TEMPLATES = Object.keys(TEMPLATES);
+
+const renderHtml = ({ subject, paragraphs, action, footer }) => {
+  const body = paragraphs
+    .map(
+      (paragraph) =>
+        `<p style="margin:0 0 16px;line-height:1.5">${escapeHtml(paragraph)}</p>`
+    )
+    .join("\n");
+  const button = action
+    ? `<p style="margin:24px 0"><a href="${escapeHtml(action.url)}" style="background:#e11d48;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block">${escapeHtml(action.label)}</a></p>
+<p style="margin:0 0 16px;font-size:12px;color:#6b7280">Or open this link: ${escapeHtml(action.url)}</p>`
+    : "";
+  const footerHtml = footer
+    ? `<p style="margin:32px 0 0;font-size:12px;color:#6b7280">${escapeHtml(footer)}</p>`
+    : "";
+
+  return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,sans-serif;color:#111827">
+<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px">
+<h1 style="margin:0 0 24px;font-size:20px">${escapeHtml(getAppName())}</h1>
+${body}
+${button}
+${footerHtml}
+</div>
+</body>
+</html>`;
+};
+
+const renderText = ({ paragraphs, action, footer }) => {
+  const parts = [...paragraphs];
+  if (action) parts.push(`${action.label}: ${action.url}`);
+  if (footer) parts.push(`--\n${footer}`);
+  return `${parts.join("\n\n")}\n`;
+};
+
+/**
+ * Renders a template to { subject, html, text }. Values in `data` are
+ * escaped in the HTML body.
+ */
+export const renderEmail = (template, data = {}) => {
+  const build = TEMPLATES[template];
+  if (!build) {
+    throw new Error(
+      `Unknown email template "${template}". Expected one of: ${EMAIL_TEMPLATES.join(", ")}`
+    );
+  }
+
+  const content = build(data);
+  return {
+    subject: content.subject,
+    html: renderHtml(content),
+    text: renderText(content),
+  };
+};
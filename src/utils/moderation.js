@@ -0,0 +1,244 @@
+import { Comment } from "../models/comment.models.js";
+import {
+  ModerationCase,
+  OPEN_MODERATION_STATUSES,
+} from "../models/moderationCase.models.js";
+import { Report } from "../models/report.models.js";
+import { Tweet } from "../models/tweet.models.js";
+import { Video } from "../models/video.models.js";
+import { ApiError } from "./ApiError.js";
+import { removeTweet, takeDownVideo } from "./contentRemoval.js";
+import { hasPermission, PERMISSIONS } from "./permissions.js";
+import { publishVideoCounts } from "./realtime.js";
+
+const isApproved = (comment) =>
+  !comment.moderationStatus || comment.moderationStatus === "approved";
+
+// Loads a reportable item with who posted it and whose channel it is on.
+// Resolves with null when the item does not exist or the viewer cannot see it.
+const targetLoaders = {
+  comment: async (id) => {
+    const comment = await Comment.findById(id);
+    if (!comment || !isApproved(comment)) return null;
+    const video = await Video.findById(comment.video).select("owner").lean();
+    return { doc: comment, author: comment.owner, channel: video?.owner };
+  },
+  video: async (id, viewerId) => {
+    const video = await Video.findById(id);
+    if (!video || !video.isViewableBy(viewerId)) return null;
+    return { doc: video, author: video.owner, channel: video.owner };
+  },
+  tweet: async (id) => {
+    const tweet = await Tweet.findById(id);
+    if (!tweet) return null;
+    return { doc: tweet, author: tweet.owner, channel: tweet.owner };
+  },
+};
+
+/**
+ * Records a report and adds the item to the moderation queue. Each user can
+ * report an item once. Comments are hidden automatically once they collect
+ * enough reports (see Comment.flag).
+ */
+export const createReport = async (
+  user,
+  { targetType, targetId, reason, details }
+) => {
+  const target = await targetLoaders[targetType](targetId, user._id);
+  if (!target) {
+    throw ApiError.notFound(`The reported ${targetType} was not found`);
+  }
+  if (target.author?.toString() === user._id.toString()) {
+    throw ApiError.badRequest("You cannot report your own content");
+  }
+
+  let report;
+  try {
+    report = await Report.create({
+      targetType,
+      target: target.doc._id,
+      reporter: user._id,
+      reason,
+      details,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw ApiError.conflict(`You have already reported this ${targetType}`);
+    }
+    throw error;
+  }
+
+  const now = new Date();
+  const moderationCase = await ModerationCase.findOneAndUpdate(
+    { targetType, target: target.doc._id },
+    {
+      $setOnInsert: {
+        author: target.author,
+        channel: target.channel,
+        status: "flagged",
+      },
+      $inc: { reportCount: 1, [`reasons.${reason}`]: 1 },
+      $set: { lastReportedAt: now },
+    },
+    { upsert: true, new: true }
+  );
+  // New reports reopen an approved item; rejected ones are already gone
+  if (moderationCase.status === "approved") {
+    moderationCase.status = "flagged";
+    await moderationCase.save();
+  }
+
+  report.case = moderationCase._id;
+  await report.save();
+
+  if (targetType === "comment" && (await Comment.flag(target.doc._id))) {
+    publishVideoCounts(target.doc.video);
+  }
+
+  return { report, moderationCase };
+};
+
+/**
+ * Hides a comment until it is reviewed. Allowed for the owner of the video
+ * it is on and for moderators.
+ */
+export const holdComment = async (commentId, user) => {
+  const comment = await Comment.findById(commentId);
+  if (!comment) throw ApiError.notFound("Comment not found");
+
+  const video = await Video.findById(comment.video).select("owner").lean();
+  const isChannelOwner = video?.owner?.toString() === user._id.toString();
+  if (!isChannelOwner && !hasPermission(user, PERMISSIONS.MODERATE_COMMENTS)) {
+    throw ApiError.forbidden(
+      "Only the video owner or a moderator can hold this comment"
+    );
+  }
+  if (comment.moderationStatus === "rejected") {
+    throw ApiError.conflict("Comment has already been rejected");
+  }
+
+  comment.moderationStatus = "pending";
+  await comment.save();
+  publishVideoCounts(comment.video);
+
+  // A comment users reported stays with the moderators
+  const existing = await ModerationCase.findOne({
+    targetType: "comment",
+    target: comment._id,
+  })
+    .select("status")
+    .lean();
+  const status = existing?.status === "flagged" ? "flagged" : "pending";
+
+  return ModerationCase.findOneAndUpdate(
+    { targetType: "comment", target: comment._id },
+    {
+      $setOnInsert: { author: comment.owner, channel: video?.owner },
+      $set: { status, heldBy: user._id, heldAt: new Date() },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Moderators decide on everything. Creators decide on the comments they
+// held on their own videos.
+export const canDecide = (user, moderationCase) =>
+  hasPermission(user, PERMISSIONS.REVIEW_REPORTS) ||
+  (moderationCase.targetType === "comment" &&
+    moderationCase.status === "pending" &&
+    moderationCase.channel?.toString() === user._id.toString());
+
+const applyDecision = {
+  comment: async (moderationCase, status) => {
+    const comment = await Comment.findById(moderationCase.target);
+    if (!comment) return;
+    comment.moderationStatus = status;
+    // Starts the automatic hiding from scratch
+    if (status === "approved") comment.flagCount = 0;
+    await comment.save();
+    publishVideoCounts(comment.video);
+  },
+  video: async (moderationCase, status, { by, reason }) => {
+    if (status !== "rejected") return;
+    const video = await Video.findById(moderationCase.target);
+    if (video && !video.takedown?.at) {
+      await takeDownVideo(video, { by, reason });
+    }
+  },
+  tweet: async (moderationCase, status) => {
+    if (status !== "rejected") return;
+    const tweet = await Tweet.findById(moderationCase.target);
+    if (tweet) await removeTweet(tweet);
+  },
+};
+
+/**
+ * Approves or rejects an open case. Rejecting hides a comment, takes a video
+ * down and deletes a tweet; approving makes a comment visible again.
+ */
+export const decideCase = async (moderationCase, user, status, reason) => {
+  if (!OPEN_MODERATION_STATUSES.includes(moderationCase.status)) {
+    throw ApiError.conflict(`Case has already been ${moderationCase.status}`);
+  }
+
+  await applyDecision[moderationCase.targetType](moderationCase, status, {
+    by: user._id,
+    reason,
+  });
+
+  moderationCase.status = status;
+  moderationCase.decisions.push({ status, by: user._id, reason });
+  await moderationCase.save();
+
+  console.info("Moderation decision:", {
+    caseId: moderationCase._id,
+    targetType: moderationCase.targetType,
+    target: moderationCase.target,
+    status,
+    by: user._id,
+    timestamp: new Date().toISOString(),
+  });
+
+  return moderationCase;
+};
+
+const previewLoaders = {
+  comment: (ids) =>
+    Comment.find({ _id: { $in: ids } })
+      .select("content video owner moderationStatus flagCount createdAt")
+      .lean(),
+  video: (ids) =>
+    Video.find({ _id: { $in: ids } })
+      .select("title thumbnail visibility takedown owner createdAt")
+      .lean(),
+  tweet: (ids) =>
+    Tweet.find({ _id: { $in: ids } })
+      .select("content owner createdAt")
+      .lean(),
+};
+
+// Adds the reported item to each case; null when it has been deleted
+export const attachTargets = async (cases) => {
+  const idsByType = new Map();
+  for (const moderationCase of cases) {
+    const ids = idsByType.get(moderationCase.targetType) || [];
+    ids.push(moderationCase.target);
+    idsByType.set(moderationCase.targetType, ids);
+  }
+
+  const targets = new Map();
+  await Promise.all(
+    [...idsByType].map(async ([type, ids]) => {
+      for (const doc of await previewLoaders[type](ids)) {
+        targets.set(`${type}:${doc._id}`, doc);
+      }
+    })
+  );
+
+  return cases.map((moderationCase) => ({
+    ...moderationCase,
+    item:
+      targets.get(`${moderationCase.targetType}:${moderationCase.target}`) ||
+      null,
+  }));
+};
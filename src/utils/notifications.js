@@ -0,0 +1,336 @@
+import {
+  MAX_NOTIFICATION_ACTORS,
+  Notification,
+} from "../models/notification.models.js";
+import { Subscription } from "../models/subscription.models.js";
+import { User } from "../models/user.models.js";
+import { Video } from "../models/video.models.js";
+import { hasUserStreams, publishToUser } from "./realtime.js";
+
+// Unread notifications sharing a group key merge while events keep arriving
+// within this window
+const GROUP_WINDOW = 24 * 60 * 60 * 1000;
+const MAX_MENTIONS = 10;
+const PREVIEW_LENGTH = 100;
+const FANOUT_BATCH = 500;
+// Channel videos a "personalized" subscriber must have watched one of
+const ENGAGEMENT_SAMPLE = 50;
+
+export const toPreview = (text) => {
+  if (!text) return undefined;
+  const trimmed = text.replace(/\s+/g, " ").trim();
+  return trimmed.length > PREVIEW_LENGTH
+    ? `${trimmed.slice(0, PREVIEW_LENGTH - 1)}…`
+    : trimmed;
+};
+
+const isEnabledFor = async (recipient, type) => {
+  const user = await User.findById(recipient)
+    .select("notificationPreferences")
+    .lean();
+  return Boolean(user) && user.notificationPreferences?.[type] !== false;
+};
+
+/**
+ * Creates a notification for one recipient. With a groupKey the event is
+ * folded into a recent unread notification with the same key instead, which
+ * turns bursts into "12 people liked your video". Self-notifications and
+ * types the recipient turned off are skipped.
+ */
+export const notify = async ({
+  recipient,
+  type,
+  actor,
+  target,
+  video,
+  preview,
+  groupKey,
+}) => {
+  if (!recipient) return null;
+  if (actor && recipient.toString() === actor.toString()) return null;
+  if (!(await isEnabledFor(recipient, type))) return null;
+
+  const now = new Date();
+
+  if (groupKey) {
+    const grouped = await Notification.findOneAndUpdate(
+      {
+        recipient,
+        groupKey,
+        read: false,
+        lastEventAt: { $gte: new Date(now.getTime() - GROUP_WINDOW) },
+        actors: { $ne: actor },
+      },
+      {
+        $inc: { actorCount: 1 },
+        $push: {
+          actors: {
+            $each: [actor],
+            $position: 0,
+            $slice: MAX_NOTIFICATION_ACTORS,
+          },
+        },
+        $set: { lastEventAt: now, ...(preview && { preview }) },
+      },
+      { new: true }
+    );
+    if (grouped) {
+      pushNotification(grouped);
+      return grouped;
+    }
+
+    // The same person repeating an action (unlike, like again) is not news
+    const alreadyCounted = await Notification.exists({
+      recipient,
+      groupKey,
+      read: false,
+      actors: actor,
+    });
+    if (alreadyCounted) return null;
+  }
+
+  const notification = await Notification.create({
+    recipient,
+    type,
+    actors: actor ? [actor] : [],
+    target,
+    video,
+    preview,
+    groupKey,
+    lastEventAt: now,
+  });
+  pushNotification(notification);
+  return notification;
+};
+
+// Live delivery to connected clients; only does work for recipients with an
+// open event stream
+const pushNotification = (notification) => {
+  const { recipient } = notification;
+  if (!hasUserStreams(recipient)) return;
+
+  Promise.all([
+    Notification.populate(notification.toObject(), {
+      path: "actors",
+      select: "username fullname avatar",
+    }),
+    Notification.countDocuments({ recipient, read: false }),
+  ])
+    .then(([populated, unreadCount]) => {
+      const { groupKey, __v, ...fields } = populated;
+      publishToUser(recipient, "notification", {
+        notification: { ...fields, message: describeNotification(populated) },
+        unreadCount,
+      });
+    })
+    .catch((error) =>
+      console.error("Failed to push notification:", error.message)
+    );
+};
+
+// Keeps other open tabs in sync after notifications are read
+export const publishUnreadCount = (userId) => {
+  if (!hasUserStreams(userId)) return;
+
+  Notification.countDocuments({ recipient: userId, read: false })
+    .then((unreadCount) =>
+      publishToUser(userId, "notifications.unread", { unreadCount })
+    )
+    .catch((error) =>
+      console.error("Failed to publish unread count:", error.message)
+    );
+};
+
+// Notifications never block or fail the request that triggered them
+export const dispatchNotification = (payload) => {
+  notify(payload).catch((error) =>
+    console.error("Failed to create notification:", {
+      type: payload.type,
+      error: error.message,
+    })
+  );
+};
+
+export const extractMentions = (text) => {
+  const usernames = new Set();
+  for (const match of (text || "").matchAll(
+    /(?:^|[^\w@])@([a-z0-9_.]{3,30})/gi
+  )) {
+    // A sentence-ending period is not part of the username
+    usernames.add(match[1].replace(/\.+$/, "").toLowerCase());
+    if (usernames.size >= MAX_MENTIONS) break;
+  }
+  return [...usernames];
+};
+
+// Notifies every existing user mentioned as @username in the text
+export const dispatchMentions = ({ text, actor, target, video }) => {
+  const usernames = extractMentions(text);
+  if (usernames.length === 0) return;
+
+  User.find({ username: { $in: usernames } })
+    .select("_id")
+    .lean()
+    .then((users) => {
+      for (const user of users) {
+        dispatchNotification({
+          recipient: user._id,
+          type: "mention",
+          actor,
+          target,
+          video,
+          preview: toPreview(text),
+        });
+      }
+    })
+    .catch((error) =>
+      console.error("Failed to resolve mentions:", error.message)
+    );
+};
+
+const getActorPhrase = (notification) => {
+  const [first] = notification.actors || [];
+  const name = first?.username ? `@${first.username}` : "Someone";
+  const others = notification.actorCount - 1;
+
+  if (others <= 0) return name;
+  if (others === 1) {
+    const second = notification.actors[1]?.username;
+    return second ? `${name} and @${second}` : `${name} and 1 other`;
+  }
+  return `${name} and ${others} others`;
+};
+
+/**
+ * Human-readable summary of a notification whose actors are populated.
+ */
+export const describeNotification = (notification) => {
+  const actors = getActorPhrase(notification);
+  const kind = notification.target?.kind;
+
+  switch (notification.type) {
+    case "upload":
+      return `${actors} uploaded a new video`;
+    case "reply":
+      return `${actors} replied to your comment`;
+    case "like":
+      return `${actors} liked your ${kind}`;
+    case "subscriber":
+      return `${actors} subscribed to your channel`;
+    case "mention":
+      return `${actors} mentioned you in a ${kind}`;
+    default:
+      return actors;
+  }
+};
+
+// Subscribers on "all" are always notified; "personalized" ones only when
+// they have watched one of the channel's recent videos
+const selectUploadRecipients = async (subscriptions, recentVideoIds) => {
+  const everyone = [];
+  const personalized = [];
+  for (const sub of subscriptions) {
+    if (sub.notificationLevel === "all") everyone.push(sub.subscriber);
+    else personalized.push(sub.subscriber);
+  }
+
+  const uploadsEnabled = { "notificationPreferences.upload": { $ne: false } };
+  const [all, engaged] = await Promise.all([
+    everyone.length
+      ? User.find({ _id: { $in: everyone }, ...uploadsEnabled })
+          .select("_id")
+          .lean()
+      : [],
+    personalized.length && recentVideoIds.length
+      ? User.find({
+          _id: { $in: personalized },
+          watchHistory: { $in: recentVideoIds },
+          ...uploadsEnabled,
+        })
+          .select("_id")
+          .lean()
+      : [],
+  ]);
+
+  return [...all, ...engaged].map((user) => user._id);
+};
+
+/**
+ * Tells a channel's subscribers about a newly public video. Safe to retry:
+ * subscribers who already got the notification are skipped, and a video is
+ * only announced once.
+ */
+export const notifySubscribersOfUpload = async (videoId) => {
+  const video = await Video.findOne({
+    _id: videoId,
+    ...Video.listedFilter(),
+    subscribersNotifiedAt: { $exists: false },
+  })
+    .select("owner title")
+    .lean();
+  if (!video) return { notified: 0 };
+
+  const recentVideoIds = (
+    await Video.find({
+      ...Video.listedFilter(),
+      owner: video.owner,
+      _id: { $ne: video._id },
+    })
+      .sort({ createdAt: -1 })
+      .limit(ENGAGEMENT_SAMPLE)
+      .select("_id")
+      .lean()
+  ).map((recent) => recent._id);
+
+  const cursor = Subscription.find({
+    channel: video.owner,
+    notificationLevel: { $ne: "none" },
+  })
+    .select("subscriber notificationLevel")
+    .lean()
+    .cursor({ batchSize: FANOUT_BATCH });
+
+  let notified = 0;
+  let batch = [];
+  const flush = async () => {
+    const recipients = await selectUploadRecipients(batch, recentVideoIds);
+    batch = [];
+    if (recipients.length === 0) return;
+
+    const already = await Notification.find({
+      recipient: { $in: recipients },
+      type: "upload",
+      "target.id": video._id,
+    }).distinct("recipient");
+    const skip = new Set(already.map((id) => id.toString()));
+
+    const docs = recipients
+      .filter((recipient) => !skip.has(recipient.toString()))
+      .map((recipient) => ({
+        recipient,
+        type: "upload",
+        actors: [video.owner],
+        target: { kind: "video", id: video._id },
+        video: video._id,
+        preview: toPreview(video.title),
+      }));
+    if (docs.length > 0) {
+      const inserted = await Notification.insertMany(docs, { ordered: false });
+      inserted.forEach(pushNotification);
+      notified += docs.length;
+    }
+  };
+
+  for await (const subscription of cursor) {
+    batch.push(subscription);
+    if (batch.length >= FANOUT_BATCH) await flush();
+  }
+  if (batch.length > 0) await flush();
+
+  await Video.updateOne(
+    { _id: video._id },
+    { $set: { subscribersNotifiedAt: new Date() } }
+  );
+
+  return { notified };
+};
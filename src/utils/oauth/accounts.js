@@ -0,0 +1,105 @@
+import crypto from "node:crypto";
+import { DEFAULT_AVATAR_URL, DEFAULT_COVER_URL } from "../../constants.js";
+import { Identity } from "../../models/identity.models.js";
+import { User } from "../../models/user.models.js";
+
+const USERNAME_ATTEMPTS = 5;
+
+// Same rules as registration: lowercase letters, digits and underscores,
+// starting with a letter, 3 to 30 characters
+const toUsernameBase = (profile) => {
+  const source =
+    profile.username || profile.email?.split("@")[0] || profile.name || "";
+  const base = source
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, "_")
+    .replace(/^[^a-z]+/, "")
+    .slice(0, 24);
+  return base.length >= 3 ? base : `user_${base}`.slice(0, 24);
+};
+
+const pickUsername = async (profile) => {
+  const base = toUsernameBase(profile);
+  for (let attempt = 0; attempt < USERNAME_ATTEMPTS; attempt++) {
+    const candidate =
+      attempt === 0 ? base : `${base}_${crypto.randomInt(1000, 10000)}`;
+    if (!(await User.exists({ username: candidate }))) return candidate;
+  }
+  return `${base}_${crypto.randomBytes(3).toString("hex")}`;
+};
+
+// Full names are unique too; the username is the fallback when the
+// provider's name is taken or unusable
+const pickFullname = async (profile, username) => {
+  const name = (profile.name || "")
+    .replace(/[^a-zA-Z\s]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 50);
+  if (name.length >= 2 && !(await User.exists({ fullname: name }))) {
+    return name;
+  }
+  return username;
+};
+
+const linkIdentity = (user, provider, profile) =>
+  Identity.create({
+    user: user._id,
+    provider,
+    subject: profile.subject,
+    email: profile.email,
+  });
+
+/**
+ * Finds or creates the user for a provider profile. A known identity signs
+ * in its user; otherwise the provider's verified email links to the account
+ * with that address, or a new account without a password is created.
+ * Resolves with { user, created, linked } or { error } for profiles that
+ * cannot sign in.
+ */
+export const resolveOAuthUser = async (provider, profile) => {
+  const identity = await Identity.findOne({
+    provider,
+    subject: profile.subject,
+  });
+  if (identity) {
+    const user = await User.findById(identity.user);
+    if (user) {
+      identity.lastLoginAt = new Date();
+      if (profile.email) identity.email = profile.email;
+      await identity.save();
+      return { user };
+    }
+    // The user was deleted; treat the profile as new
+    await identity.deleteOne();
+  }
+
+  if (!profile.email || !profile.emailVerified) {
+    return { error: "email_not_verified" };
+  }
+
+  const existing = await User.findOne({ email: profile.email });
+  if (existing) {
+    // Whoever registered an address without confirming it could still sign
+    // in with their password after the real owner links it
+    if (!existing.isEmailVerified) {
+      return { error: "account_not_verified" };
+    }
+    await linkIdentity(existing, provider, profile);
+    return { user: existing, linked: true };
+  }
+
+  const username = await pickUsername(profile);
+  const user = await User.create({
+    username,
+    email: profile.email,
+    fullname: await pickFullname(profile, username),
+    avatar: profile.avatar || DEFAULT_AVATAR_URL,
+    coverImage: DEFAULT_COVER_URL,
+    // The provider vouched for the address
+    isEmailVerified: true,
+    emailVerifiedAt: new Date(),
+  });
+  await linkIdentity(user, provider, profile);
+  return { user, created: true };
+};
@@ -0,0 +1,61 @@
+import { exchangeCode, fetchJson } from "./http.js";
+
+const AUTHORIZE_URL = "https://github.com/login/oauth/authorize";
+const TOKEN_URL = "https://github.com/login/oauth/access_token";
+const API_URL = "https://api.github.com";
+
+// GitHub speaks plain OAuth2 rather than OpenID Connect: the profile and the
+// verified email addresses come from its REST API
+const createGithubProvider = ({
+  name,
+  clientId,
+  clientSecret,
+  scope = "read:user user:email",
+}) => ({
+  name,
+
+  getAuthorizationUrl: async ({ state, codeChallenge, redirectUri }) => {
+    const url = new URL(AUTHORIZE_URL);
+    url.search = new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope,
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: "S256",
+    });
+    return url.toString();
+  },
+
+  fetchProfile: async ({ code, codeVerifier, redirectUri }) => {
+    const tokens = await exchangeCode(TOKEN_URL, {
+      clientId,
+      clientSecret,
+      code,
+      codeVerifier,
+      redirectUri,
+    });
+
+    const headers = {
+      Accept: "application/vnd.github+json",
+      Authorization: `Bearer ${tokens.access_token}`,
+      "User-Agent": "DevTube",
+    };
+    const [user, emails] = await Promise.all([
+      fetchJson(`${API_URL}/user`, { headers }),
+      fetchJson(`${API_URL}/user/emails`, { headers }),
+    ]);
+    const primary = emails.find((entry) => entry.primary && entry.verified);
+
+    return {
+      subject: String(user.id),
+      email: primary?.email.toLowerCase(),
+      emailVerified: Boolean(primary),
+      name: user.name || user.login,
+      username: user.login,
+      avatar: user.avatar_url,
+    };
+  },
+});
+
+export default createGithubProvider;
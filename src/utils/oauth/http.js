@@ -0,0 +1,45 @@
+const REQUEST_TIMEOUT = 10 * 1000;
+
+export const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: "application/json", ...options.headers },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+  });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail =
+      body?.error_description || body?.error || response.statusText;
+    throw new Error(`${response.status} from ${new URL(url).host}: ${detail}`);
+  }
+  return body;
+};
+
+// Authorization-code grant with PKCE. The client secret is sent in the body
+// (client_secret_post); public clients without a secret rely on PKCE alone.
+export const exchangeCode = async (
+  tokenEndpoint,
+  { clientId, clientSecret, code, codeVerifier, redirectUri }
+) => {
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      code_verifier: codeVerifier,
+      ...(clientSecret && { client_secret: clientSecret }),
+    }),
+  });
+
+  // Some providers (GitHub) report failures with a 200 response
+  if (!tokens?.access_token) {
+    throw new Error(
+      `Token exchange failed: ${tokens?.error_description || tokens?.error || "no access token"}`
+    );
+  }
+  return tokens;
+};
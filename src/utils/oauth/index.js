@@ -0,0 +1,90 @@
+import crypto from "node:crypto";
+import createGithubProvider from "./githubProvider.js";
+import createOidcProvider from "./oidcProvider.js";
+
+// Presets for well-known providers. Any other name listed in OAUTH_PROVIDERS
+// is a generic OpenID Connect provider and needs OAUTH_<NAME>_ISSUER.
+const PRESETS = {
+  google: (config) =>
+    createOidcProvider({
+      ...config,
+      issuer: config.issuer || "https://accounts.google.com",
+    }),
+  github: createGithubProvider,
+};
+
+let providers = null;
+
+const readProviderConfig = (name) => {
+  const prefix = `OAUTH_${name.toUpperCase()}_`;
+  const config = {
+    name,
+    clientId: process.env[`${prefix}CLIENT_ID`],
+    clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+    issuer: process.env[`${prefix}ISSUER`],
+    scope: process.env[`${prefix}SCOPE`],
+  };
+  if (!config.clientId) {
+    throw new Error(
+      `${prefix}CLIENT_ID is required for OAuth provider "${name}"`
+    );
+  }
+  // Unset values fall back to the provider's defaults
+  return Object.fromEntries(
+    Object.entries(config).filter(([, value]) => value)
+  );
+};
+
+// Resolved lazily so providers see environment loaded by dotenv at startup
+const getOAuthProviders = () => {
+  if (providers) return providers;
+
+  const names = (process.env.OAUTH_PROVIDERS || "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+  providers = new Map();
+  for (const name of names) {
+    if (!/^[a-z0-9_]+$/.test(name)) {
+      throw new Error(
+        `Invalid OAuth provider name "${name}". Use letters, digits and underscores.`
+      );
+    }
+    const createProvider = PRESETS[name] || createOidcProvider;
+    providers.set(name, createProvider(readProviderConfig(name)));
+  }
+  return providers;
+};
+
+const getOAuthProvider = (name) => getOAuthProviders().get(name) || null;
+
+// Public base URL of this API; providers redirect back to it, so it has to
+// match the redirect URI registered with each provider
+const getOAuthRedirectUri = (name) => {
+  const baseUrl = (
+    process.env.API_URL || `http://localhost:${process.env.PORT || 8000}`
+  ).replace(/\/+$/, "");
+  return `${baseUrl}/api/v1/auth/oauth/${name}/callback`;
+};
+
+const createRandomToken = () => crypto.randomBytes(32).toString("base64url");
+
+// PKCE (RFC 7636): the verifier stays on the server, the provider only sees
+// its SHA-256 challenge
+const createPkcePair = () => {
+  const verifier = createRandomToken();
+  const challenge = crypto
+    .createHash("sha256")
+    .update(verifier)
+    .digest("base64url");
+  return { verifier, challenge };
+};
+
+export {
+  createPkcePair,
+  createRandomToken,
+  getOAuthProvider,
+  getOAuthProviders,
+  getOAuthRedirectUri,
+};
@@ -0,0 +1,45 @@
+// Roles in ascending order of privilege; every role has the permissions of
+// the roles before it
+export const USER_ROLES = ["user", "creator", "moderator", "admin"];
+
+export const PERMISSIONS = {
+  // Creator dashboard and channel analytics
+  CHANNEL_ANALYTICS: "channel:analytics",
+  // Edit, unpublish or delete any video, not only one's own
+  MODERATE_VIDEOS: "videos:moderate",
+  // Edit or delete any comment, not only one's own
+  MODERATE_COMMENTS: "comments:moderate",
+  // Work the moderation queue: decide on reported and held items
+  REVIEW_REPORTS: "reports:review",
+  ADMIN_ACCESS: "admin:access",
+  MANAGE_ROLES: "roles:manage",
+};
+
+const GRANTS = {
+  user: [],
+  creator: [PERMISSIONS.CHANNEL_ANALYTICS],
+  moderator: [
+    PERMISSIONS.MODERATE_VIDEOS,
+    PERMISSIONS.MODERATE_COMMENTS,
+    PERMISSIONS.REVIEW_REPORTS,
+  ],
+  admin: [PERMISSIONS.ADMIN_ACCESS, PERMISSIONS.MANAGE_ROLES],
+};
+
+export const ROLE_PERMISSIONS = Object.fromEntries(
+  USER_ROLES.map((role, index) => [
+    role,
+    USER_ROLES.slice(0, index + 1).flatMap((inherited) => GRANTS[inherited]),
+  ])
+);
+
+// Accounts created before roles existed count as plain users
+export const hasPermission = (user, permission) =>
+  (ROLE_PERMISSIONS[user?.role] || ROLE_PERMISSIONS.user).includes(permission);
+
+// Owners can always act on their own content; anyone else needs the
+// moderation permission for it
+export const canManage = (user, ownerId, permission) =>
+  Boolean(user) &&
+  (ownerId?.toString() === user._id.toString() ||
+    hasPermission(user, permission));
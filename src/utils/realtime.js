@@ -0,0 +1,173 @@
+import { Comment } from "../models/comment.models.js";
+import { Video } from "../models/video.models.js";
+import { mediaUrlReplacer } from "./storage/index.js";
+
+// Server-Sent Event streams held by this process. Like the response cache,
+// this is per instance: events only reach clients connected to the instance
+// that published them.
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const RETRY_DELAY = 5 * 1000; // reconnect hint sent to EventSource clients
+const MAX_STREAMS_PER_USER = 5;
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+// Bursts of likes or comments on a watched video are published at most
+// once per window
+const COUNTS_DEBOUNCE = 1000;
+export const MAX_WATCHED_VIDEOS = 10;
+
+const userStreams = new Map(); // userId -> Set of streams
+const videoStreams = new Map(); // videoId -> Set of streams
+const pendingCounts = new Set();
+
+const addStream = (index, key, stream) => {
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(stream);
+};
+
+const removeStream = (index, key, stream) => {
+  const streams = index.get(key);
+  if (!streams) return;
+  streams.delete(stream);
+  if (streams.size === 0) index.delete(key);
+};
+
+export const sendEvent = (stream, event, data) => {
+  const payload = JSON.stringify(data, mediaUrlReplacer);
+  stream.res.write(`event: ${event}\ndata: ${payload}\n\n`);
+};
+
+/**
+ * Turns the response into an event stream for a signed-in user, optionally
+ * following live counters of some videos. The stream is closed when the
+ * client disconnects, the access token expires (`expiresAt`, ms) or its
+ * session ends; the oldest stream is dropped beyond MAX_STREAMS_PER_USER.
+ */
+export const openEventStream = (
+  req,
+  res,
+  { userId, sessionId, videoIds = [], expiresAt }
+) => {
+  const userKey = userId.toString();
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+  const stream = {
+    res,
+    userKey,
+    sessionKey: sessionId?.toString(),
+    videoKeys: videoIds.map(String),
+  };
+
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    HEARTBEAT_INTERVAL
+  );
+  const expiry = expiresAt
+    ? setTimeout(
+        () => stream.close("token_expired"),
+        Math.min(Math.max(0, expiresAt - Date.now()), MAX_TIMER_DELAY)
+      )
+    : null;
+
+  stream.close = (reason) => {
+    if (stream.closed) return;
+    stream.closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    removeStream(userStreams, stream.userKey, stream);
+    for (const videoKey of stream.videoKeys) {
+      removeStream(videoStreams, videoKey, stream);
+    }
+    if (reason && !res.writableEnded) {
+      sendEvent(stream, "close", { reason });
+    }
+    res.end();
+  };
+
+  req.on("close", () => stream.close());
+
+  const existing = userStreams.get(userKey);
+  if (existing && existing.size >= MAX_STREAMS_PER_USER) {
+    existing.values().next().value.close("too_many_connections");
+  }
+  addStream(userStreams, userKey, stream);
+  for (const videoKey of stream.videoKeys) {
+    addStream(videoStreams, videoKey, stream);
+  }
+
+  sendEvent(stream, "ready", { videos: stream.videoKeys });
+  return stream;
+};
+
+export const hasUserStreams = (userId) => userStreams.has(userId.toString());
+
+export const publishToUser = (userId, event, data) => {
+  for (const stream of userStreams.get(userId.toString()) || []) {
+    sendEvent(stream, event, data);
+  }
+};
+
+export const publishToVideo = (videoId, event, data) => {
+  for (const stream of videoStreams.get(videoId.toString()) || []) {
+    sendEvent(stream, event, data);
+  }
+};
+
+export const closeUserStreams = (userId, reason) => {
+  for (const stream of [...(userStreams.get(userId.toString()) || [])]) {
+    stream.close(reason);
+  }
+};
+
+export const closeSessionStreams = (userId, sessionId, reason) => {
+  const sessionKey = sessionId.toString();
+  for (const stream of [...(userStreams.get(userId.toString()) || [])]) {
+    if (stream.sessionKey === sessionKey) stream.close(reason);
+  }
+};
+
+export const getVideoCounts = async (videoId) => {
+  const [video, commentsCount] = await Promise.all([
+    Video.findById(videoId).select("views likesCount").lean(),
+    Comment.countDocuments({
+      video: videoId,
+      isDeleted: { $ne: true },
+      ...Comment.visibleFilter(),
+    }),
+  ]);
+  if (!video) return null;
+
+  return {
+    videoId: video._id,
+    views: video.views,
+    likesCount: video.likesCount,
+    commentsCount,
+  };
+};
+
+// Sends fresh like/comment counts to everyone watching the video. Cheap when
+// nobody is: no queries are made.
+export const publishVideoCounts = (videoId) => {
+  const key = videoId.toString();
+  if (!videoStreams.has(key) || pendingCounts.has(key)) return;
+
+  pendingCounts.add(key);
+  setTimeout(() => {
+    pendingCounts.delete(key);
+    if (!videoStreams.has(key)) return;
+    getVideoCounts(key)
+      .then((counts) => counts && publishToVideo(key, "video.counts", counts))
+      .catch((error) =>
+        console.error("Failed to publish video counts:", {
+          videoId: key,
+          error: error.message,
+        })
+      );
+  }, COUNTS_DEBOUNCE).unref();
+};
@@ -0,0 +1,197 @@
+import NodeCache from "node-cache";
+import { Like } from "../models/like.models.js";
+import { User } from "../models/user.models.js";
+import { Video } from "../models/video.models.js";
+
+// Similarity only changes as co-watch and co-like data accumulates, so
+// ranked IDs are cached per video. Visibility is re-checked on every read.
+const relatedCache = new NodeCache({
+  stdTTL: 30 * 60,
+  checkperiod: 10 * 60,
+  useClones: false,
+});
+
+export const RELATED_WEIGHTS = {
+  coWatch: 3,
+  coLike: 2,
+  tags: 2,
+  sameChannel: 1,
+};
+
+const MAX_RELATED = 50;
+const CANDIDATES_PER_SIGNAL = 100;
+const SAME_CHANNEL_LIMIT = 20;
+const AUDIENCE_SAMPLE = 500; // viewers or likers sampled for co-occurrence
+
+const normalizeTags = (tags = []) => {
+  return new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean));
+};
+
+// Jaccard similarity of two tag sets
+const getTagSimilarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const tag of a) if (b.has(tag)) shared++;
+  return shared / (a.size + b.size - shared);
+};
+
+// Other videos in the watch histories of people who watched this one
+const findCoWatched = (videoId) => {
+  return User.aggregate([
+    { $match: { watchHistory: videoId } },
+    { $limit: AUDIENCE_SAMPLE },
+    { $project: { watchHistory: 1 } },
+    { $unwind: "$watchHistory" },
+    { $match: { watchHistory: { $ne: videoId } } },
+    { $group: { _id: "$watchHistory", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: -1 } },
+    { $limit: CANDIDATES_PER_SIGNAL },
+  ]);
+};
+
+// Other videos liked by people who liked this one
+const findCoLiked = async (videoId) => {
+  const likes = await Like.find({ video: videoId })
+    .sort({ createdAt: -1 })
+    .limit(AUDIENCE_SAMPLE)
+    .select("likedBy")
+    .lean();
+  if (likes.length === 0) return [];
+  const likers = likes.map((like) => like.likedBy);
+
+  return Like.aggregate([
+    {
+      $match: {
+        likedBy: { $in: likers },
+        video: { $exists: true, $ne: videoId },
+      },
+    },
+    { $group: { _id: "$video", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: -1 } },
+    { $limit: CANDIDATES_PER_SIGNAL },
+  ]);
+};
+
+const computeRelated = async (video) => {
+  const listed = Video.listedFilter();
+  const tags = [...normalizeTags(video.tags)];
+
+  const [coWatched, coLiked, tagged, sameChannel] = await Promise.all([
+    findCoWatched(video._id),
+    findCoLiked(video._id),
+    tags.length
+      ? Video.find({ ...listed, _id: { $ne: video._id }, tags: { $in: tags } })
+          .collation({ locale: "en", strength: 2 })
+          .select("tags")
+          .sort({ views: -1 })
+          .limit(CANDIDATES_PER_SIGNAL)
+          .lean()
+      : [],
+    Video.find({ ...listed, _id: { $ne: video._id }, owner: video.owner })
+      .select("_id")
+      .sort({ createdAt: -1 })
+      .limit(SAME_CHANNEL_LIMIT)
+      .lean(),
+  ]);
+
+  const scores = new Map();
+  const add = (id, signal, value) => {
+    if (value <= 0) return;
+    const key = id.toString();
+    const entry = scores.get(key) || { score: 0, reasons: [] };
+    entry.score += RELATED_WEIGHTS[signal] * value;
+    entry.reasons.push(signal);
+    scores.set(key, entry);
+  };
+
+  // Co-occurrence counts are normalized against the strongest pair
+  const maxCoWatch = coWatched[0]?.count || 1;
+  for (const { _id, count } of coWatched) {
+    add(_id, "coWatch", count / maxCoWatch);
+  }
+  const maxCoLike = coLiked[0]?.count || 1;
+  for (const { _id, count } of coLiked) {
+    add(_id, "coLike", count / maxCoLike);
+  }
+
+  const sourceTags = normalizeTags(video.tags);
+  for (const candidate of tagged) {
+    add(
+      candidate._id,
+      "tags",
+      getTagSimilarity(sourceTags, normalizeTags(candidate.tags))
+    );
+  }
+  for (const candidate of sameChannel) {
+    add(candidate._id, "sameChannel", 1);
+  }
+
+  return [...scores.entries()]
+    .map(([id, entry]) => ({ id, ...entry }))
+    .sort((a, b) => b.score - a.score || b.id.localeCompare(a.id))
+    .slice(0, MAX_RELATED);
+};
+
+/**
+ * Listed videos similar to the given one, best match first. Videos in
+ * `excludeIds` (e.g. the viewer's recent history) are skipped, and the list
+ * is topped up with popular videos when there are too few matches.
+ */
+export const findRelatedVideos = async (
+  video,
+  { limit = 12, excludeIds = [] } = {}
+) => {
+  const cacheKey = video._id.toString();
+  let ranked = relatedCache.get(cacheKey);
+  if (!ranked) {
+    ranked = await computeRelated(video);
+    relatedCache.set(cacheKey, ranked);
+  }
+
+  const excluded = new Set([
+    video._id.toString(),
+    ...excludeIds.map((id) => id.toString()),
+  ]);
+  const wanted = ranked.filter((entry) => !excluded.has(entry.id));
+
+  const videos = await Video.find({
+    ...Video.listedFilter(),
+    _id: { $in: wanted.map((entry) => entry.id) },
+  })
+    .select("-thumbnailCandidates -previews")
+    .populate("owner", "username fullname avatar")
+    .lean();
+  const byId = new Map(
+    videos.map((related) => [related._id.toString(), related])
+  );
+
+  const results = [];
+  for (const entry of wanted) {
+    const related = byId.get(entry.id);
+    if (!related) continue;
+    results.push({ ...related, reasons: entry.reasons });
+    if (results.length >= limit) return results;
+  }
+
+  // Videos with little audience overlap still get an "up next" list
+  const fillers = await Video.find({
+    ...Video.listedFilter(),
+    _id: {
+      $nin: [...excluded, ...results.map((related) => related._id.toString())],
+    },
+  })
+    .select("-thumbnailCandidates -previews")
+    .sort({ views: -1 })
+    .limit(limit - results.length)
+    .populate("owner", "username fullname avatar")
+    .lean();
+
+  return [
+    ...results,
+    ...fillers.map((related) => ({ ...related, reasons: ["popular"] })),
+  ];
+};
+
+export const clearRelatedVideosCache = (videoId) => {
+  relatedCache.del(videoId.toString());
+};
@@ -0,0 +1,25 @@
+import crypto from "node:crypto";
+import jwt from "jsonwebtoken";
+
+// Single-purpose tokens (email links, login challenges) are signed with a key
+// derived per purpose, so one kind can never be replayed as another, nor
+// accepted as an access token
+const getSecret = (purpose) => {
+  const baseSecret =
+    process.env.EMAIL_TOKEN_SECRET || process.env.ACCESS_TOKEN_SECRET;
+  return crypto.createHmac("sha256", baseSecret).update(purpose).digest("hex");
+};
+
+export const signScopedToken = (purpose, payload, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, getSecret(purpose), { expiresIn });
+};
+
+// Resolves with the payload, or null for invalid, expired or foreign tokens
+export const verifyScopedToken = (purpose, token) => {
+  try {
+    const payload = jwt.verify(token, getSecret(purpose));
+    return payload.purpose === purpose ? payload : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,338 @@
+import mongoose from "mongoose";
+import { Playlist } from "../models/playlist.models.js";
+import { Tweet } from "../models/tweet.models.js";
+import { User } from "../models/user.models.js";
+import { Video } from "../models/video.models.js";
+
+export const SEARCH_TYPES = ["videos", "channels", "tweets", "playlists"];
+
+// Video length in seconds
+export const DURATION_BUCKETS = {
+  short: { $lt: 4 * 60 },
+  medium: { $gte: 4 * 60, $lte: 20 * 60 },
+  long: { $gt: 20 * 60 },
+};
+
+const HOUR = 60 * 60 * 1000;
+export const UPLOAD_DATE_WINDOWS = {
+  hour: HOUR,
+  today: 24 * HOUR,
+  week: 7 * 24 * HOUR,
+  month: 30 * 24 * HOUR,
+  year: 365 * 24 * HOUR,
+};
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40; // characters of context before the first match
+
+const ownerLookup = [
+  {
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [{ $project: { username: 1, fullname: 1, avatar: 1 } }],
+    },
+  },
+  { $unwind: { path: "$owner", preserveNullAndEmptyArrays: true } },
+];
+
+// Each searchable collection, the filters that make sense for it and the
+// fields that are highlighted in results. Base filters receive the ids of
+// banned and suspended accounts, whose channels and content are hidden.
+const SOURCES = {
+  videos: {
+    model: Video,
+    itemType: "video",
+    baseFilter: (hiddenOwners) => ({
+      ...Video.listedFilter(),
+      owner: { $nin: hiddenOwners },
+    }),
+    filters: ["duration", "uploadDate", "channel"],
+    highlight: ["title", "description"],
+    project: {
+      title: 1,
+      description: 1,
+      thumbnail: 1,
+      duration: 1,
+      views: 1,
+      createdAt: 1,
+      owner: 1,
+    },
+    lookups: ownerLookup,
+  },
+  channels: {
+    model: User,
+    itemType: "channel",
+    baseFilter: (hiddenOwners) => ({ _id: { $nin: hiddenOwners } }),
+    filters: [],
+    highlight: ["username", "fullname"],
+    project: { username: 1, fullname: 1, avatar: 1, createdAt: 1 },
+    lookups: [],
+  },
+  tweets: {
+    model: Tweet,
+    itemType: "tweet",
+    baseFilter: (hiddenOwners) => ({ owner: { $nin: hiddenOwners } }),
+    filters: ["uploadDate", "channel"],
+    highlight: ["content"],
+    project: { content: 1, createdAt: 1, owner: 1 },
+    lookups: ownerLookup,
+  },
+  playlists: {
+    model: Playlist,
+    itemType: "playlist",
+    baseFilter: (hiddenOwners) => ({ owner: { $nin: hiddenOwners } }),
+    filters: ["uploadDate", "channel"],
+    highlight: ["name", "description"],
+    project: {
+      name: 1,
+      description: 1,
+      createdAt: 1,
+      owner: 1,
+      videoCount: { $size: { $ifNull: ["$videos", []] } },
+    },
+    lookups: ownerLookup,
+  },
+};
+
+// A filter that does not apply to a type (e.g. duration for tweets) removes
+// that type from the results instead of being ignored
+const isSearchable = (source, filters) => {
+  return ["duration", "uploadDate", "channel"].every(
+    (name) => !filters[name] || source.filters.includes(name)
+  );
+};
+
+const buildFilter = (
+  source,
+  { query, duration, uploadDate, channel },
+  hiddenOwners
+) => {
+  const filter = {
+    $text: { $search: query },
+    ...source.baseFilter(hiddenOwners),
+  };
+
+  if (duration) filter.duration = DURATION_BUCKETS[duration];
+  if (uploadDate) {
+    filter.createdAt = {
+      $gte: new Date(Date.now() - UPLOAD_DATE_WINDOWS[uploadDate]),
+    };
+  }
+  if (channel) {
+    filter.owner = {
+      ...filter.owner,
+      $eq: new mongoose.Types.ObjectId(channel),
+    };
+  }
+
+  return filter;
+};
+
+// Cursors are the (score, _id) of the last result. Results from every
+// collection are ordered by the same key, so one cursor pages through a
+// mixed result list.
+export const encodeCursor = ({ score, _id }) => {
+  return Buffer.from(JSON.stringify([score, _id.toString()])).toString(
+    "base64url"
+  );
+};
+
+export const decodeCursor = (cursor) => {
+  try {
+    const [score, id] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (typeof score !== "number" || !mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return { score, _id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+const compareResults = (a, b) => {
+  if (a.score !== b.score) return b.score - a.score;
+  return b._id.toString().localeCompare(a._id.toString());
+};
+
+const searchSource = (source, filter, cursor, limit) => {
+  return source.model.aggregate([
+    { $match: filter },
+    { $addFields: { score: { $meta: "textScore" } } },
+    ...(cursor
+      ? [
+          {
+            $match: {
+              $or: [
+                { score: { $lt: cursor.score } },
+                { score: cursor.score, _id: { $lt: cursor._id } },
+              ],
+            },
+          },
+        ]
+      : []),
+    { $sort: { score: -1, _id: -1 } },
+    { $limit: limit },
+    ...source.lookups,
+    { $project: { ...source.project, score: 1 } },
+  ]);
+};
+
+export const escapeRegex = (text) =>
+  text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (c) => HTML_ENTITIES[c]);
+
+// Approximates the stemming done by the text index so "videos" also
+// highlights "video" and "editing" highlights "edit"
+const stem = (term) => {
+  if (term.length <= 4) return term;
+  return term.replace(/(ing|ed|es|s)$/, "");
+};
+
+// Words and phrases from the query, excluding negated terms
+export const getSearchTerms = (query) => {
+  const terms = query
+    .toLowerCase()
+    .match(/-?"[^"]*"|\S+/g)
+    ?.filter((term) => !term.startsWith("-"))
+    .flatMap((term) => term.replace(/"/g, "").split(/[^\p{L}\p{N}]+/u))
+    .filter((term) => term.length > 1)
+    .map(stem);
+
+  return [...new Set(terms ?? [])];
+};
+
+/**
+ * Returns an HTML-escaped excerpt of text around the first matching term,
+ * with every match wrapped in <mark>.
+ */
+export const highlightText = (text, terms, maxLength = SNIPPET_LENGTH) => {
+  if (!text) return "";
+  if (terms.length === 0) return escapeHtml(text.slice(0, maxLength));
+
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join("|")})[\\p{L}\\p{N}]*`,
+    "giu"
+  );
+
+  const firstMatch = pattern.exec(text);
+  pattern.lastIndex = 0;
+
+  let start = 0;
+  if (firstMatch && text.length > maxLength) {
+    start = Math.max(0, firstMatch.index - SNIPPET_LEAD);
+    // Avoid starting mid-word
+    const space = text.lastIndexOf(" ", start);
+    start = space === -1 || start === 0 ? start : space + 1;
+  }
+  // Matches are marked with control characters before escaping so the
+  // inserted tags are the only markup in the output
+  const marked = text
+    .slice(start, start + maxLength)
+    .replace(/[\u0000\u0001]/g, "")
+    .replace(pattern, "\u0000$&\u0001");
+
+  return (
+    (start > 0 ? "…" : "") +
+    escapeHtml(marked)
+      .replace(/\u0000/g, "<mark>")
+      .replace(/\u0001/g, "</mark>") +
+    (start + maxLength < text.length ? "…" : "")
+  );
+};
+
+const toResult = (source, doc, terms) => {
+  const { score, ...fields } = doc;
+  const highlights = {};
+  for (const field of source.highlight) {
+    highlights[field] = highlightText(doc[field], terms);
+  }
+
+  return {
+    type: source.itemType,
+    score: Math.round(score * 1000) / 1000,
+    ...fields,
+    highlights,
+  };
+};
+
+/**
+ * Runs a relevance-ranked text search over the requested types.
+ * Facet counts are only computed for the first page.
+ */
+export const search = async ({
+  query,
+  types = SEARCH_TYPES,
+  duration,
+  uploadDate,
+  channel,
+  cursor,
+  limit = 20,
+}) => {
+  const filters = { query, duration, uploadDate, channel };
+  const searchable = SEARCH_TYPES.filter((type) =>
+    isSearchable(SOURCES[type], filters)
+  );
+  const selected = searchable.filter((type) => types.includes(type));
+  const hiddenOwners = await User.distinct("_id", User.restrictedFilter());
+
+  // Fetch one extra result per collection to know whether more exist
+  const [pages, counts] = await Promise.all([
+    Promise.all(
+      selected.map(async (type) => {
+        const source = SOURCES[type];
+        const docs = await searchSource(
+          source,
+          buildFilter(source, filters, hiddenOwners),
+          cursor,
+          limit + 1
+        );
+        return docs.map((doc) => ({ source, doc }));
+      })
+    ),
+    cursor
+      ? null
+      : Promise.all(
+          searchable.map((type) =>
+            SOURCES[type].model.countDocuments(
+              buildFilter(SOURCES[type], filters, hiddenOwners)
+            )
+          )
+        ),
+  ]);
+
+  const merged = pages
+    .flat()
+    .sort((a, b) => compareResults(a.doc, b.doc))
+    .slice(0, limit + 1);
+  const hasMore = merged.length > limit;
+  const page = merged.slice(0, limit);
+
+  const terms = getSearchTerms(query);
+  const facets = counts
+    ? Object.fromEntries(
+        SEARCH_TYPES.map((type) => [
+          type,
+          searchable.includes(type) ? counts[searchable.indexOf(type)] : 0,
+        ])
+      )
+    : null;
+
+  return {
+    results: page.map(({ source, doc }) => toResult(source, doc, terms)),
+    facets,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1].doc) : null,
+  };
+};
@@ -0,0 +1,172 @@
+import crypto from "node:crypto";
+import jwt from "jsonwebtoken";
+import mongoose, { isValidObjectId } from "mongoose";
+import { Session } from "../models/session.models.js";
+import { User } from "../models/user.models.js";
+import { AuthenticationError, AuthorizationError } from "./ApiError.js";
+import { closeSessionStreams } from "./realtime.js";
+
+// Two tabs of one browser refreshing at the same moment present the same
+// token twice. Within this window after a rotation the second request is
+// only refused; later, the old token showing up again means it was copied.
+const ROTATION_GRACE = 30 * 1000;
+const MAX_USER_AGENT_LENGTH = 512;
+
+export const hashRefreshToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const activeFilter = () => ({
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: new Date() },
+});
+
+const getClientDetails = (req) => ({
+  userAgent: req.headers["user-agent"]?.slice(0, MAX_USER_AGENT_LENGTH),
+  ip: req.ip,
+});
+
+const signSessionTokens = (user, sessionId) => {
+  const refreshToken = user.generateRefreshToken(sessionId);
+  const { exp } = jwt.decode(refreshToken);
+  return {
+    accessToken: user.generateAccessToken(sessionId),
+    refreshToken,
+    expiresAt: new Date(exp * 1000),
+  };
+};
+
+// Starts a session for a device that just logged in
+export const createSession = async (user, req) => {
+  const restriction = user.getRestrictionMessage();
+  if (restriction) throw new AuthorizationError(restriction);
+
+  const sessionId = new mongoose.Types.ObjectId();
+  const { accessToken, refreshToken, expiresAt } = signSessionTokens(
+    user,
+    sessionId
+  );
+
+  await Session.create({
+    _id: sessionId,
+    user: user._id,
+    tokenHash: hashRefreshToken(refreshToken),
+    expiresAt,
+    ...getClientDetails(req),
+  });
+
+  return { accessToken, refreshToken, sessionId };
+};
+
+const revokeSessions = async (filter, reason) => {
+  const sessions = await Session.find({ ...filter, ...activeFilter() })
+    .select("_id user")
+    .lean();
+  if (sessions.length === 0) return 0;
+
+  const { modifiedCount } = await Session.updateMany(
+    {
+      _id: { $in: sessions.map((session) => session._id) },
+      revokedAt: { $exists: false },
+    },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  for (const session of sessions) {
+    closeSessionStreams(session.user, session._id, reason);
+  }
+  return modifiedCount;
+};
+
+export const revokeSession = (userId, sessionId, reason) =>
+  revokeSessions({ _id: sessionId, user: userId }, reason);
+
+// Ends every session of the user, optionally keeping the current one
+export const revokeUserSessions = (userId, reason, { except } = {}) =>
+  revokeSessions(
+    { user: userId, ...(except && { _id: { $ne: except } }) },
+    reason
+  );
+
+/**
+ * Exchanges a refresh token for a new token pair. The presented token stops
+ * working; presenting it again later revokes the whole session, since only
+ * a stolen copy would still be in use.
+ */
+export const rotateSession = async (incomingToken, req) => {
+  const invalid = () =>
+    new AuthenticationError("Invalid or expired refresh token");
+
+  let decoded;
+  try {
+    decoded = jwt.verify(incomingToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch {
+    throw invalid();
+  }
+  // Tokens issued before sessions existed carry no session id
+  if (!isValidObjectId(decoded?.sid)) throw invalid();
+
+  const session = await Session.findOne({
+    _id: decoded.sid,
+    user: decoded._id,
+    ...activeFilter(),
+  }).lean();
+  const user = session && (await User.findById(session.user));
+  if (!user) throw invalid();
+
+  const incomingHash = hashRefreshToken(incomingToken);
+  const { accessToken, refreshToken, expiresAt } = signSessionTokens(
+    user,
+    session._id
+  );
+  const now = new Date();
+
+  // Matching on the current hash makes the rotation atomic: of two requests
+  // with the same token, only one gets new tokens
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: incomingHash, ...activeFilter() },
+    {
+      $set: {
+        tokenHash: hashRefreshToken(refreshToken),
+        previousTokenHash: incomingHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt,
+        ...getClientDetails(req),
+      },
+    },
+    { new: true }
+  );
+  if (rotated) {
+    return { user, sessionId: rotated._id, accessToken, refreshToken };
+  }
+
+  const current = await Session.findById(session._id)
+    .select("previousTokenHash rotatedAt")
+    .lean();
+  const isConcurrentRefresh =
+    current?.previousTokenHash === incomingHash &&
+    now - current.rotatedAt < ROTATION_GRACE;
+
+  if (!isConcurrentRefresh) {
+    await revokeSession(user._id, session._id, "reuse_detected");
+    console.warn("Refresh token reuse detected, session revoked:", {
+      userId: user._id,
+      sessionId: session._id,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+      timestamp: now.toISOString(),
+    });
+  }
+
+  throw invalid();
+};
+
+export const isSessionActive = async (sessionId) =>
+  isValidObjectId(sessionId) &&
+  Boolean(await Session.exists({ _id: sessionId, ...activeFilter() }));
+
+export const listActiveSessions = (userId) =>
+  Session.find({ user: userId, ...activeFilter() })
+    .sort({ lastUsedAt: -1 })
+    .select("userAgent ip createdAt lastUsedAt expiresAt")
+    .lean();
@@ -0,0 +1,84 @@
+import { v2 as cloudinary } from "cloudinary";
+import fs from "node:fs";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { deleteFromCloudinary, uploadOnCloudinary } from "../cloudinary.js";
+import { createStorageKey, listFiles } from "./fsUtils.js";
+
+const createCloudinaryDriver = () => ({
+  name: "cloudinary",
+
+  upload: async (localFilePath, { folder } = {}) => {
+    return uploadOnCloudinary(localFilePath, { folder });
+  },
+
+  // Files are stored as raw resources whose public_id keeps the relative path,
+  // so links between HLS playlists and segments resolve unchanged
+  uploadDirectory: async (localDir, { folder = "uploads" } = {}) => {
+    const prefix = createStorageKey(folder);
+    const urls = {};
+
+    try {
+      for (const file of await listFiles(localDir)) {
+        const publicId = `${prefix}/${file}`;
+        await cloudinary.uploader.upload(path.join(localDir, file), {
+          resource_type: "raw",
+          public_id: publicId,
+          overwrite: true,
+        });
+        urls[file] = cloudinary.url(publicId, {
+          resource_type: "raw",
+          secure: true,
+        });
+      }
+    } finally {
+      await fs.promises.rm(localDir, { recursive: true, force: true });
+    }
+
+    return { prefix, urls };
+  },
+
+  download: async (publicId, destination, { resourceType = "video" } = {}) => {
+    const response = await fetch(
+      cloudinary.url(publicId, { resource_type: resourceType, secure: true })
+    );
+    if (!response.ok) {
+      throw new Error(`Cloudinary download failed with ${response.status}`);
+    }
+    await pipeline(
+      Readable.fromWeb(response.body),
+      fs.createWriteStream(destination)
+    );
+    return destination;
+  },
+
+  remove: async (publicId, { resourceType = "image" } = {}) => {
+    return deleteFromCloudinary(publicId, resourceType);
+  },
+
+  removeDirectory: async (prefix) => {
+    try {
+      return await cloudinary.api.delete_resources_by_prefix(`${prefix}/`, {
+        resource_type: "raw",
+      });
+    } catch (error) {
+      console.log(`Error deleting directory from cloudinary : ${error}`);
+      return null;
+    }
+  },
+
+  getSignedUrl: async (
+    publicId,
+    { resourceType = "image", expiresIn = 3600 } = {}
+  ) => {
+    return cloudinary.url(publicId, {
+      resource_type: resourceType,
+      secure: true,
+      sign_url: true,
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+    });
+  },
+});
+
+export default createCloudinaryDriver;
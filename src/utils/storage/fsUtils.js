@@ -0,0 +1,24 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const createStorageKey = (folder, extension = "") => {
+  return `${folder}/${Date.now()}-${crypto.randomBytes(8).toString("hex")}${extension}`;
+};
+
+// Relative POSIX paths of every file below dir, used to mirror a directory
+// (e.g. an HLS rendition tree) into object storage
+export const listFiles = async (dir) => {
+  const entries = await fs.readdir(dir, {
+    recursive: true,
+    withFileTypes: true,
+  });
+  return entries
+    .filter((entry) => entry.isFile())
+    .map((entry) =>
+      path
+        .relative(dir, path.join(entry.parentPath ?? entry.path, entry.name))
+        .split(path.sep)
+        .join("/")
+    );
+};
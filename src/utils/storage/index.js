@@ -0,0 +1,90 @@
+import createCloudinaryDriver from "./cloudinaryDriver.js";
+import createLocalDriver from "./localDriver.js";
+import createS3Driver from "./s3Driver.js";
+
+const DRIVERS = {
+  cloudinary: createCloudinaryDriver,
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+let activeDriver = null;
+
+// Resolved lazily so the driver sees environment loaded by dotenv at startup
+const getStorageDriver = () => {
+  if (activeDriver) return activeDriver;
+
+  const driverName = (process.env.STORAGE_DRIVER || "cloudinary").toLowerCase();
+  const createDriver = DRIVERS[driverName];
+
+  if (!createDriver) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${driverName}". Expected one of: ${Object.keys(DRIVERS).join(", ")}`
+    );
+  }
+
+  activeDriver = createDriver();
+  return activeDriver;
+};
+
+// Uploads a local file and removes it from disk afterwards. Resolves with a
+// Cloudinary-shaped response ({ public_id, secure_url, ... }) or null on failure.
+const uploadToStorage = async (localFilePath, options = {}) => {
+  return getStorageDriver().upload(localFilePath, options);
+};
+
+const deleteFromStorage = async (publicId, options = {}) => {
+  if (!publicId) return null;
+  return getStorageDriver().remove(publicId, options);
+};
+
+// Mirrors a local directory into storage under a fresh prefix and removes it
+// from disk. Resolves with { prefix, urls } where urls maps relative paths.
+const uploadDirectoryToStorage = async (localDir, options = {}) => {
+  return getStorageDriver().uploadDirectory(localDir, options);
+};
+
+const deleteDirectoryFromStorage = async (prefix) => {
+  if (!prefix) return null;
+  return getStorageDriver().removeDirectory(prefix);
+};
+
+const downloadFromStorage = async (publicId, destination, options = {}) => {
+  return getStorageDriver().download(publicId, destination, options);
+};
+
+const getSignedStorageUrl = async (publicId, options = {}) => {
+  return getStorageDriver().getSignedUrl(publicId, options);
+};
+
+// Drivers whose stored URLs expire re-sign them for each response; the others
+// return them unchanged
+const refreshStorageUrl = (url) => getStorageDriver().refreshUrl?.(url) ?? url;
+
+// Properties that hold URLs written by the drivers: stored files and HLS
+// playlists of videos, and user images. Nothing users type is stored under
+// these names, so a media URL pasted into a tweet or comment is not renewed.
+const MEDIA_URL_KEYS = new Set([
+  "url",
+  "masterPlaylistUrl",
+  "avatar",
+  "coverImage",
+]);
+
+// JSON.stringify replacer for responses and events, see refreshStorageUrl
+const mediaUrlReplacer = (key, value) =>
+  typeof value === "string" && MEDIA_URL_KEYS.has(key)
+    ? refreshStorageUrl(value)
+    : value;
+
+export {
+  deleteDirectoryFromStorage,
+  deleteFromStorage,
+  downloadFromStorage,
+  getSignedStorageUrl,
+  getStorageDriver,
+  mediaUrlReplacer,
+  refreshStorageUrl,
+  uploadDirectoryToStorage,
+  uploadToStorage,
+};
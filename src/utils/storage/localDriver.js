@@ -0,0 +1,219 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createStorageKey, listFiles } from "./fsUtils.js";
+import { getResourceType } from "./mimeTypes.js";
+
+const MEDIA_ROUTE_PREFIX = "/media";
+const DEFAULT_URL_EXPIRY = 24 * 60 * 60; // seconds
+const REFRESH_ROUNDING = 60 * 60; // seconds
+
+const sign = (secret, scope, expires) => {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${scope}:${expires}`)
+    .digest("base64url");
+};
+
+const moveFile = async (source, destination) => {
+  try {
+    await fs.rename(source, destination);
+  } catch (error) {
+    // rename fails across devices, e.g. when public/temp and the storage
+    // root live on different volumes
+    if (error.code !== "EXDEV") throw error;
+    await fs.cp(source, destination, { recursive: true });
+    await fs.rm(source, { recursive: true, force: true });
+  }
+};
+
+// "a/b/c.ts" -> ["a/b/c.ts", "a/b/", "a/"]
+const getSigningScopes = (key) => {
+  const scopes = [key];
+  const segments = key.split("/");
+  for (let length = segments.length - 1; length > 0; length--) {
+    scopes.push(`${segments.slice(0, length).join("/")}/`);
+  }
+  return scopes;
+};
+
+const createLocalDriver = () => {
+  const rootDir = path.resolve(process.env.STORAGE_LOCAL_DIR || "./storage");
+  const baseUrl = (
+    process.env.STORAGE_PUBLIC_URL ||
+    `http://localhost:${process.env.PORT || 8000}`
+  ).replace(/\/+$/, "");
+  // A separate key, so media URLs and access tokens can be rotated apart
+  const secret = process.env.STORAGE_SIGNING_SECRET;
+  // Stored URLs are re-signed whenever they are sent (see refreshUrl), so
+  // this is how long a URL handed to a client keeps working
+  const defaultExpiry =
+    parseInt(process.env.STORAGE_URL_EXPIRY) || DEFAULT_URL_EXPIRY;
+
+  if (!secret) {
+    throw new Error(
+      "STORAGE_SIGNING_SECRET must be set to use the local storage driver"
+    );
+  }
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      return null;
+    }
+    return filePath;
+  };
+
+  // A signature may cover a whole directory (scope ending in "/"), which keeps
+  // relative links inside HLS playlists valid without signing every segment
+  const buildSignedUrl = (
+    key,
+    expiresIn = defaultExpiry,
+    scope = key,
+    rounding = 1
+  ) => {
+    const expires =
+      Math.ceil((Math.floor(Date.now() / 1000) + expiresIn) / rounding) *
+      rounding;
+    const signature = sign(secret, scope, expires);
+    return `${baseUrl}${MEDIA_ROUTE_PREFIX}/${expires}/${signature}/${key}`;
+  };
+
+  // The scope a signature was issued for, or undefined when it is not ours
+  const findSignedScope = (key, expires, signature) => {
+    // Directory-scoped signatures must not reach outside their directory
+    if (key.split("/").some((segment) => !segment || /^\.\.?$/.test(segment))) {
+      return undefined;
+    }
+
+    const received = Buffer.from(signature);
+    return getSigningScopes(key).find((scope) => {
+      const expected = Buffer.from(sign(secret, scope, expires));
+      return (
+        expected.length === received.length &&
+        crypto.timingSafeEqual(expected, received)
+      );
+    });
+  };
+
+  return {
+    name: "local",
+
+    upload: async (localFilePath, { folder = "uploads" } = {}) => {
+      if (!localFilePath) return null;
+
+      try {
+        const extension = path.extname(localFilePath).toLowerCase();
+        const key = createStorageKey(folder, extension);
+        const destination = resolveKey(key);
+
+        await fs.mkdir(path.dirname(destination), { recursive: true });
+        await moveFile(localFilePath, destination);
+
+        const { size } = await fs.stat(destination);
+        const url = buildSignedUrl(key);
+
+        return {
+          public_id: key,
+          url,
+          secure_url: url,
+          format: extension.replace(".", ""),
+          resource_type: getResourceType(localFilePath),
+          bytes: size,
+        };
+      } catch (error) {
+        console.error(`Error storing file locally : ${error}`);
+        await fs.unlink(localFilePath).catch(() => {});
+        return null;
+      }
+    },
+
+    uploadDirectory: async (localDir, { folder = "uploads" } = {}) => {
+      const prefix = createStorageKey(folder);
+      const destination = resolveKey(prefix);
+      const files = await listFiles(localDir);
+
+      await fs.mkdir(path.dirname(destination), { recursive: true });
+      await moveFile(localDir, destination);
+
+      const urls = {};
+      for (const file of files) {
+        urls[file] = buildSignedUrl(
+          `${prefix}/${file}`,
+          defaultExpiry,
+          `${prefix}/`
+        );
+      }
+
+      return { prefix, urls };
+    },
+
+    download: async (publicId, destination) => {
+      const filePath = resolveKey(publicId);
+      if (!filePath) throw new Error(`Invalid storage key: ${publicId}`);
+      await fs.copyFile(filePath, destination);
+      return destination;
+    },
+
+    remove: async (publicId) => {
+      const filePath = resolveKey(publicId);
+      if (!filePath) return null;
+
+      try {
+        await fs.unlink(filePath);
+        return { result: "ok" };
+      } catch (error) {
+        // Matches Cloudinary, which reports missing assets instead of failing
+        if (error.code === "ENOENT") return { result: "not found" };
+        console.log(`Error deleting from local storage : ${error}`);
+        return null;
+      }
+    },
+
+    removeDirectory: async (prefix) => {
+      const dirPath = resolveKey(prefix);
+      if (!dirPath) return null;
+      await fs.rm(dirPath, { recursive: true, force: true });
+      return { result: "ok" };
+    },
+
+    getSignedUrl: async (publicId, { expiresIn = 3600 } = {}) => {
+      return buildSignedUrl(publicId, expiresIn);
+    },
+
+    // Used by the media route to serve files written by this driver
+    resolveSignedPath: (key, expires, signature) => {
+      const expiresAt = parseInt(expires);
+      if (Number.isNaN(expiresAt)) return null;
+      if (expiresAt < Math.floor(Date.now() / 1000)) return null;
+
+      return findSignedScope(key, expiresAt, signature)
+        ? resolveKey(key)
+        : null;
+    },
+
+    // The URLs stored with videos and users are signed once, at upload. They
+    // are re-signed for the same scope every time a stored media field is
+    // sent (see mediaUrlReplacer); other URLs are returned unchanged. Rounded
+    // up to the hour so repeated responses hand out the same URL and browsers
+    // can cache media.
+    refreshUrl: (url) => {
+      const mediaBase = `${baseUrl}${MEDIA_ROUTE_PREFIX}/`;
+      if (!url.startsWith(mediaBase)) return url;
+
+      const [expires, signature, ...segments] = url
+        .slice(mediaBase.length)
+        .split("/");
+      const key = segments.join("/");
+      const expiresAt = parseInt(expires);
+      if (!signature || !key || Number.isNaN(expiresAt)) return url;
+
+      const scope = findSignedScope(key, expiresAt, signature);
+      return scope
+        ? buildSignedUrl(key, defaultExpiry, scope, REFRESH_ROUNDING)
+        : url;
+    },
+  };
+};
+
+export default createLocalDriver;
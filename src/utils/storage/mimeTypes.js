@@ -0,0 +1,31 @@
+import path from "node:path";
+
+const MIME_TYPES = {
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mov": "video/quicktime",
+  ".mkv": "video/x-matroska",
+  ".ts": "video/mp2t",
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+  ".vtt": "text/vtt",
+};
+
+export const getContentType = (filePath) => {
+  return (
+    MIME_TYPES[path.extname(filePath).toLowerCase()] ||
+    "application/octet-stream"
+  );
+};
+
+// Mirrors Cloudinary's resource_type so callers can treat every driver alike
+export const getResourceType = (filePath) => {
+  const contentType = getContentType(filePath);
+  if (contentType.startsWith("video/")) return "video";
+  if (contentType.startsWith("image/")) return "image";
+  return "raw";
+};
@@ -0,0 +1,173 @@
+import {
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import fs from "node:fs";
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+import { createStorageKey, listFiles } from "./fsUtils.js";
+import { getContentType, getResourceType } from "./mimeTypes.js";
+
+const createS3Driver = () => {
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || "us-east-1";
+  const endpoint = process.env.S3_ENDPOINT;
+
+  if (!bucket) {
+    throw new Error("S3_BUCKET must be set to use the s3 storage driver");
+  }
+
+  // MinIO and most other S3-compatible servers only support path-style
+  // addressing, so default to it whenever a custom endpoint is configured
+  const forcePathStyle = process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === "true"
+    : Boolean(endpoint);
+
+  const client = new S3Client({
+    region,
+    forcePathStyle,
+    ...(endpoint && { endpoint }),
+    ...(process.env.S3_ACCESS_KEY_ID && {
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      },
+    }),
+  });
+
+  const publicBaseUrl = (
+    process.env.S3_PUBLIC_URL ||
+    (endpoint
+      ? `${endpoint}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/+$/, "");
+
+  const putFile = async (localFilePath, key, contentType) => {
+    const { size } = await fs.promises.stat(localFilePath);
+
+    await client.send(
+      new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.createReadStream(localFilePath),
+        ContentLength: size,
+        ContentType: contentType || getContentType(localFilePath),
+      })
+    );
+
+    return size;
+  };
+
+  return {
+    name: "s3",
+
+    upload: async (localFilePath, { folder = "uploads", contentType } = {}) => {
+      if (!localFilePath) return null;
+
+      try {
+        const extension = path.extname(localFilePath).toLowerCase();
+        const key = createStorageKey(folder, extension);
+        const size = await putFile(localFilePath, key, contentType);
+
+        const url = `${publicBaseUrl}/${key}`;
+
+        return {
+          public_id: key,
+          url,
+          secure_url: url,
+          format: extension.replace(".", ""),
+          resource_type: getResourceType(localFilePath),
+          bytes: size,
+        };
+      } catch (error) {
+        console.error(`Error uploading to s3 : ${error}`);
+        return null;
+      } finally {
+        await fs.promises.unlink(localFilePath).catch(() => {});
+      }
+    },
+
+    uploadDirectory: async (localDir, { folder = "uploads" } = {}) => {
+      const prefix = createStorageKey(folder);
+      const urls = {};
+
+      try {
+        for (const file of await listFiles(localDir)) {
+          await putFile(path.join(localDir, file), `${prefix}/${file}`);
+          urls[file] = `${publicBaseUrl}/${prefix}/${file}`;
+        }
+      } finally {
+        await fs.promises.rm(localDir, { recursive: true, force: true });
+      }
+
+      return { prefix, urls };
+    },
+
+    download: async (publicId, destination) => {
+      const { Body } = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: publicId })
+      );
+      await pipeline(Body, fs.createWriteStream(destination));
+      return destination;
+    },
+
+    remove: async (publicId) => {
+      try {
+        return await client.send(
+          new DeleteObjectCommand({ Bucket: bucket, Key: publicId })
+        );
+      } catch (error) {
+        console.log(`Error deleting from s3 : ${error}`);
+        return null;
+      }
+    },
+
+    removeDirectory: async (prefix) => {
+      try {
+        let continuationToken;
+        do {
+          const listing = await client.send(
+            new ListObjectsV2Command({
+              Bucket: bucket,
+              Prefix: `${prefix}/`,
+              ContinuationToken: continuationToken,
+            })
+          );
+
+          if (listing.Contents?.length) {
+            await client.send(
+              new DeleteObjectsCommand({
+                Bucket: bucket,
+                Delete: {
+                  Objects: listing.Contents.map(({ Key }) => ({ Key })),
+                },
+              })
+            );
+          }
+
+          continuationToken = listing.NextContinuationToken;
+        } while (continuationToken);
+
+        return { result: "ok" };
+      } catch (error) {
+        console.log(`Error deleting directory from s3 : ${error}`);
+        return null;
+      }
+    },
+
+    getSignedUrl: async (publicId, { expiresIn = 3600 } = {}) => {
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({ Bucket: bucket, Key: publicId }),
+        { expiresIn }
+      );
+    },
+  };
+};
+
+export default createS3Driver;
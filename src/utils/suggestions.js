@@ -0,0 +1,278 @@
+import crypto from "node:crypto";
+import { SearchQuery } from "../models/searchQuery.models.js";
+import { User } from "../models/user.models.js";
+import { Video } from "../models/video.models.js";
+
+const REFRESH_INTERVAL = 5 * 60 * 1000; // rebuild the prefix index every 5 min
+const MAX_INDEXED_VIDEOS = 50000; // most viewed listed videos
+const MAX_INDEXED_CHANNELS = 10000;
+const MAX_SCAN = 500; // entries inspected per lookup
+
+const TRENDING_WINDOW = 24 * 60 * 60 * 1000;
+const TRENDING_CACHE_TTL = 5 * 60 * 1000;
+const TRENDING_LIMIT = 20;
+// Queries only trend once this many different people searched them, so
+// nobody's one-off searches are shown to other users
+const TRENDING_MIN_SEARCHERS = 3;
+const MAX_SEARCHERS_PER_BUCKET = 50;
+
+// Sorted by key for binary search: { key, text, type, id, weight }
+let entries = [];
+let isBuilt = false;
+let refreshTimer = null;
+let buildPromise = null;
+let trendingCache = { expiresAt: 0, queries: [] };
+
+export const normalizeQuery = (text) => {
+  return text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+};
+
+// Only public listings feed the index: titles and tags of listed videos and
+// the usernames of channels that have at least one. Banned and suspended
+// accounts are left out.
+const loadEntries = async () => {
+  const hiddenOwners = await User.distinct("_id", User.restrictedFilter());
+  const listed = { ...Video.listedFilter(), owner: { $nin: hiddenOwners } };
+
+  const [videos, channels] = await Promise.all([
+    Video.find(listed)
+      .select("title tags views")
+      .sort({ views: -1 })
+      .limit(MAX_INDEXED_VIDEOS)
+      .lean(),
+    Video.aggregate([
+      { $match: listed },
+      { $group: { _id: "$owner", views: { $sum: "$views" } } },
+      { $sort: { views: -1 } },
+      { $limit: MAX_INDEXED_CHANNELS },
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id",
+          foreignField: "_id",
+          as: "user",
+          pipeline: [{ $project: { username: 1 } }],
+        },
+      },
+      { $unwind: "$user" },
+    ]),
+  ]);
+
+  const byKey = new Map();
+  const add = (text, type, id, weight) => {
+    const key = normalizeQuery(text || "");
+    if (!key) return;
+    const existing = byKey.get(key);
+    if (!existing || existing.weight < weight) {
+      byKey.set(key, { key, text: text.trim(), type, id, weight });
+    }
+  };
+
+  const tagWeights = new Map();
+  for (const video of videos) {
+    add(video.title, "video", video._id, video.views || 0);
+    for (const tag of video.tags || []) {
+      const key = normalizeQuery(tag);
+      if (key) tagWeights.set(key, (tagWeights.get(key) || 0) + 1);
+    }
+  }
+  // Tags rank by how many videos use them
+  for (const [tag, count] of tagWeights) {
+    add(tag, "tag", undefined, count);
+  }
+  for (const channel of channels) {
+    add(channel.user.username, "channel", channel._id, channel.views);
+  }
+
+  return [...byKey.values()].sort((a, b) =>
+    a.key < b.key ? -1 : a.key > b.key ? 1 : 0
+  );
+};
+
+export const rebuildSuggestionIndex = () => {
+  // Concurrent callers share one rebuild
+  buildPromise ??= loadEntries()
+    .then((built) => {
+      entries = built;
+      isBuilt = true;
+    })
+    .finally(() => {
+      buildPromise = null;
+    });
+  return buildPromise;
+};
+
+export const startSuggestionIndex = () => {
+  if (refreshTimer) return;
+
+  const refresh = () =>
+    rebuildSuggestionIndex().catch((error) =>
+      console.error("Failed to rebuild suggestion index:", error.message)
+    );
+
+  refresh();
+  refreshTimer = setInterval(refresh, REFRESH_INTERVAL).unref();
+};
+
+export const stopSuggestionIndex = () => {
+  if (refreshTimer) clearInterval(refreshTimer);
+  refreshTimer = null;
+};
+
+// Videos that stop being public are dropped right away instead of waiting
+// for the next rebuild
+export const removeVideoSuggestions = (videoId) => {
+  const id = videoId.toString();
+  entries = entries.filter(
+    (entry) => entry.type !== "video" || entry.id.toString() !== id
+  );
+};
+
+const lowerBound = (prefix) => {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (entries[mid].key < prefix) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+const findCompletions = (prefix) => {
+  const matches = [];
+  for (
+    let i = lowerBound(prefix);
+    i < entries.length && matches.length < MAX_SCAN;
+    i++
+  ) {
+    if (!entries[i].key.startsWith(prefix)) break;
+    matches.push(entries[i]);
+  }
+  return matches.sort((a, b) => b.weight - a.weight);
+};
+
+// Distinguishes searchers for trending queries; only a hash is stored
+export const getSearcherKey = (req) => {
+  if (req.user) return `user:${req.user._id}`;
+  return `anon:${req.ip}|${req.get("user-agent") || ""}`;
+};
+
+const hashSearcher = (searcherKey) => {
+  return crypto.createHash("sha256").update(searcherKey).digest("hex");
+};
+
+const getHourBucket = (date = new Date()) => {
+  const bucket = new Date(date);
+  bucket.setUTCMinutes(0, 0, 0);
+  return bucket;
+};
+
+// Searches that look like contact details or identifiers are never
+// recorded
+const isRecordable = (query) => {
+  return (
+    query.length >= 2 && query.length <= 100 && !/@|https?:|\d{6,}/.test(query)
+  );
+};
+
+export const recordSearchQuery = async (query, searcherKey) => {
+  const normalized = normalizeQuery(query || "");
+  if (!isRecordable(normalized)) return;
+
+  const bucket = getHourBucket();
+  await SearchQuery.updateOne(
+    { query: normalized, bucket },
+    { $inc: { count: 1 } },
+    { upsert: true }
+  );
+  // Enough distinct searchers to decide whether the query trends; the list
+  // stops growing after that
+  await SearchQuery.updateOne(
+    {
+      query: normalized,
+      bucket,
+      [`searchers.${MAX_SEARCHERS_PER_BUCKET - 1}`]: { $exists: false },
+    },
+    { $addToSet: { searchers: hashSearcher(searcherKey) } }
+  );
+};
+
+const loadTrendingQueries = async () => {
+  const since = getHourBucket(new Date(Date.now() - TRENDING_WINDOW));
+
+  const rows = await SearchQuery.aggregate([
+    { $match: { bucket: { $gte: since } } },
+    {
+      $group: {
+        _id: "$query",
+        count: { $sum: "$count" },
+        searchers: { $push: "$searchers" },
+      },
+    },
+    {
+      $project: {
+        count: 1,
+        searchers: {
+          $size: {
+            $reduce: {
+              input: "$searchers",
+              initialValue: [],
+              in: { $setUnion: ["$$value", "$$this"] },
+            },
+          },
+        },
+      },
+    },
+    { $match: { searchers: { $gte: TRENDING_MIN_SEARCHERS } } },
+    { $sort: { searchers: -1, count: -1 } },
+    { $limit: TRENDING_LIMIT },
+  ]);
+
+  return rows.map((row) => ({ query: row._id, searches: row.count }));
+};
+
+export const getTrendingQueries = async () => {
+  if (trendingCache.expiresAt > Date.now()) return trendingCache.queries;
+
+  const queries = await loadTrendingQueries();
+  trendingCache = { expiresAt: Date.now() + TRENDING_CACHE_TTL, queries };
+  return queries;
+};
+
+/**
+ * Completions for a partial query: trending searches with the same prefix
+ * first, then video titles, tags and channels by popularity. An empty
+ * prefix returns the trending searches alone.
+ */
+export const getSuggestions = async (prefix, limit = 8) => {
+  const normalized = normalizeQuery(prefix || "");
+  const trending = await getTrendingQueries().catch(() => []);
+
+  const suggestions = trending
+    .filter((entry) => entry.query.startsWith(normalized))
+    .map((entry) => ({ text: entry.query, type: "query" }));
+  if (!normalized) return suggestions.slice(0, limit);
+
+  // The first request after startup waits for the initial build
+  if (!isBuilt) await (buildPromise ?? rebuildSuggestionIndex());
+
+  const seen = new Set(suggestions.map((suggestion) => suggestion.text));
+  for (const entry of findCompletions(normalized)) {
+    if (suggestions.length >= limit) break;
+    if (seen.has(entry.key)) continue;
+    seen.add(entry.key);
+    suggestions.push({
+      text: entry.text,
+      type: entry.type,
+      ...(entry.id && { id: entry.id }),
+    });
+  }
+
+  return suggestions.slice(0, limit);
+};
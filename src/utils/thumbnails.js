@@ -0,0 +1,140 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { extractFrame, generateSpriteSheet } from "./ffmpeg.js";
+import { uploadDirectoryToStorage, uploadToStorage } from "./storage/index.js";
+
+// Fractions of the duration at which candidate thumbnails are grabbed
+const CANDIDATE_POSITIONS = [0.1, 0.3, 0.5, 0.7, 0.9];
+
+const PREVIEW_INTERVAL = 5; // seconds between scrub-bar preview frames
+const PREVIEW_MAX_TILES = 100;
+const PREVIEW_MAX_COLUMNS = 10;
+const PREVIEW_TILE_WIDTH = 160;
+
+const even = (value) => {
+  const rounded = Math.round(value);
+  return rounded % 2 === 0 ? rounded : rounded + 1;
+};
+
+export const getCandidateTimestamps = (duration) => {
+  if (!(duration > 0)) return [0];
+  return CANDIDATE_POSITIONS.map(
+    (position) => Math.round(duration * position * 100) / 100
+  );
+};
+
+// Long videos get a wider interval so the sprite stays a single, bounded image
+export const getSpriteLayout = ({ duration, width, height }) => {
+  const interval = Math.max(
+    PREVIEW_INTERVAL,
+    Math.ceil((duration || 0) / PREVIEW_MAX_TILES)
+  );
+  const tiles = Math.max(1, Math.ceil((duration || 0) / interval));
+  const columns = Math.min(PREVIEW_MAX_COLUMNS, tiles);
+  const aspectRatio = width && height ? height / width : 9 / 16;
+
+  return {
+    interval,
+    tiles,
+    columns,
+    rows: Math.ceil(tiles / columns),
+    tileWidth: PREVIEW_TILE_WIDTH,
+    tileHeight: even(PREVIEW_TILE_WIDTH * aspectRatio),
+  };
+};
+
+const formatVttTimestamp = (seconds) => {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3_600_000);
+  const minutes = Math.floor((totalMs % 3_600_000) / 60_000);
+  const secs = Math.floor((totalMs % 60_000) / 1000);
+  const ms = totalMs % 1000;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}:${String(secs).padStart(2, "0")}.${String(ms).padStart(3, "0")}`;
+};
+
+// One cue per tile pointing at its region of the sprite via a media fragment.
+// The sprite is referenced relative to the track, so the link keeps working
+// for as long as the track's own URL does.
+export const buildSpriteVtt = (spriteUrl, layout, duration) => {
+  const cues = ["WEBVTT", ""];
+
+  for (let index = 0; index < layout.tiles; index++) {
+    const start = index * layout.interval;
+    const end =
+      duration > 0
+        ? Math.min(start + layout.interval, duration)
+        : start + layout.interval;
+    const x = (index % layout.columns) * layout.tileWidth;
+    const y = Math.floor(index / layout.columns) * layout.tileHeight;
+
+    cues.push(
+      `${formatVttTimestamp(start)} --> ${formatVttTimestamp(end)}`,
+      `${spriteUrl}#xywh=${x},${y},${layout.tileWidth},${layout.tileHeight}`,
+      ""
+    );
+  }
+
+  return cues.join("\n");
+};
+
+const storeFile = async (localPath, folder) => {
+  const result = await uploadToStorage(localPath, { folder });
+  if (!result) throw new Error(`Failed to store ${path.basename(localPath)}`);
+  return result;
+};
+
+export const generateThumbnailCandidates = async (
+  sourcePath,
+  probe,
+  workDir
+) => {
+  const timestamps = getCandidateTimestamps(probe.duration);
+  const candidates = [];
+
+  for (const [index, timestamp] of timestamps.entries()) {
+    const framePath = path.join(workDir, `thumbnail-${index}.jpg`);
+    await extractFrame(sourcePath, framePath, timestamp);
+    const stored = await storeFile(framePath, "thumbnails");
+    candidates.push({
+      url: stored.secure_url,
+      public_id: stored.public_id,
+      timestamp,
+    });
+  }
+
+  return candidates;
+};
+
+const SPRITE_FILE = "sprite.jpg";
+const VTT_FILE = "sprite.vtt";
+
+// Sprite and track share a storage directory, which also gives them one
+// directory-scoped signature on drivers that sign URLs (see HLS)
+export const generateScrubPreviews = async (sourcePath, probe, workDir) => {
+  const layout = getSpriteLayout(probe);
+  const previewDir = path.join(workDir, "previews");
+  await fs.mkdir(previewDir, { recursive: true });
+
+  await generateSpriteSheet(
+    sourcePath,
+    path.join(previewDir, SPRITE_FILE),
+    layout
+  );
+  await fs.writeFile(
+    path.join(previewDir, VTT_FILE),
+    buildSpriteVtt(SPRITE_FILE, layout, probe.duration)
+  );
+  const { prefix, urls } = await uploadDirectoryToStorage(previewDir, {
+    folder: "previews",
+  });
+
+  return {
+    sprite: { url: urls[SPRITE_FILE], public_id: `${prefix}/${SPRITE_FILE}` },
+    vtt: { url: urls[VTT_FILE], public_id: `${prefix}/${VTT_FILE}` },
+    storagePrefix: prefix,
+    interval: layout.interval,
+    columns: layout.columns,
+    tileWidth: layout.tileWidth,
+    tileHeight: layout.tileHeight,
+  };
+};
@@ -0,0 +1,130 @@
+import { Comment } from "../models/comment.models.js";
+import { Like } from "../models/like.models.js";
+import { PlaybackSession } from "../models/playbackSession.models.js";
+import { Share } from "../models/share.models.js";
+import { TrendingSnapshot } from "../models/trendingSnapshot.models.js";
+import { Video } from "../models/video.models.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Engagement that takes more effort counts for more
+export const TRENDING_WEIGHTS = {
+  views: 1,
+  likes: 3,
+  comments: 4,
+  shares: 5,
+};
+
+// An event's contribution halves every 24 hours; nothing older than the
+// window is considered
+export const TRENDING_HALF_LIFE = 24 * HOUR;
+export const TRENDING_WINDOW = 7 * DAY;
+const SNAPSHOT_SIZE = 200;
+
+// Per video: events in the last day and week, and the decayed sum
+const countEvents = (model, match, videoField, timeField, now) => {
+  const time = `$${timeField}`;
+  return model.aggregate([
+    {
+      $match: {
+        ...match,
+        [timeField]: { $gte: new Date(now - TRENDING_WINDOW), $lte: now },
+      },
+    },
+    {
+      $group: {
+        _id: `$${videoField}`,
+        week: { $sum: 1 },
+        day: {
+          $sum: {
+            $cond: [{ $gte: [time, new Date(now - DAY)] }, 1, 0],
+          },
+        },
+        decayed: {
+          $sum: {
+            $pow: [
+              0.5,
+              {
+                $divide: [{ $subtract: [now, time] }, TRENDING_HALF_LIFE],
+              },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+};
+
+/**
+ * Scores every video with engagement in the window and stores the top
+ * entries as a new snapshot. `now` is a Date; passing it keeps runs
+ * reproducible.
+ */
+export const computeTrendingSnapshot = async (now = new Date()) => {
+  const [views, likes, comments, shares] = await Promise.all([
+    countEvents(
+      PlaybackSession,
+      { countedAsView: true },
+      "video",
+      "countedAt",
+      now
+    ),
+    countEvents(Like, { video: { $exists: true } }, "video", "createdAt", now),
+    // Held, flagged and rejected comments are not public engagement
+    countEvents(Comment, Comment.visibleFilter(), "video", "createdAt", now),
+    countEvents(Share, {}, "video", "createdAt", now),
+  ]);
+
+  const entries = new Map();
+  const add = (rows, signal) => {
+    for (const row of rows) {
+      if (!row._id) continue;
+      const key = row._id.toString();
+      const entry = entries.get(key) || { video: row._id, score: 0 };
+      entry[signal] = { day: row.day, week: row.week };
+      entry.score += TRENDING_WEIGHTS[signal] * row.decayed;
+      entries.set(key, entry);
+    }
+  };
+  add(views, "views");
+  add(likes, "likes");
+  add(comments, "comments");
+  add(shares, "shares");
+
+  // Only videos that are listed right now can trend
+  const listed = await Video.find({
+    ...Video.listedFilter(),
+    _id: { $in: [...entries.values()].map((entry) => entry.video) },
+  })
+    .select("tags category")
+    .lean();
+
+  const videos = listed
+    .map((video) => ({
+      ...entries.get(video._id.toString()),
+      tags: video.tags,
+      category: video.category,
+    }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.video.toString().localeCompare(a.video.toString())
+    )
+    .slice(0, SNAPSHOT_SIZE)
+    .map((entry) => ({
+      ...entry,
+      score: Math.round(entry.score * 1000) / 1000,
+    }));
+
+  return TrendingSnapshot.create({
+    computedAt: now,
+    halfLifeHours: TRENDING_HALF_LIFE / HOUR,
+    windowDays: TRENDING_WINDOW / DAY,
+    videos,
+  });
+};
+
+export const getLatestTrendingSnapshot = () => {
+  return TrendingSnapshot.findOne().sort({ computedAt: -1 }).lean();
+};
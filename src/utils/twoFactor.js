@@ -0,0 +1,163 @@
+import crypto from "node:crypto";
+import { User } from "../models/user.models.js";
+
+// RFC 6238 defaults, understood by every authenticator app
+const TOTP_PERIOD = 30; // seconds
+const TOTP_DIGITS = 6;
+// Codes one step before or after the current one are accepted, for clock
+// drift between the server and the phone
+const TOTP_WINDOW = 1;
+const SECRET_BYTES = 20;
+export const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let output = "";
+  let value = 0;
+  let bits = 0;
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+// Secrets are encrypted at rest with AES-256-GCM, stored as iv.tag.data
+const getEncryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(
+      process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.ACCESS_TOKEN_SECRET
+    )
+    .digest();
+
+const encryptSecret = (key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(key), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, data] = stored
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    iv
+  );
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+};
+
+const generateCode = (key, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac("sha1", key).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Returns the time step the code belongs to, or null when it matches none
+ * in the accepted window. `now` is in milliseconds.
+ */
+const matchTotp = (key, code, now = Date.now()) => {
+  const current = Math.floor(now / 1000 / TOTP_PERIOD);
+  const given = Buffer.from(code);
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const step = current + drift;
+    const expected = Buffer.from(generateCode(key, step));
+    if (
+      expected.length === given.length &&
+      crypto.timingSafeEqual(expected, given)
+    ) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// A new secret: `encrypted` is stored, `secret` (base32) and `otpauthUrl`
+// are shown to the user once, as a key or QR code
+export const createTotpSecret = ({ accountName, issuer }) => {
+  const key = crypto.randomBytes(SECRET_BYTES);
+  const secret = base32Encode(key);
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+
+  return {
+    secret,
+    encrypted: encryptSecret(key),
+    otpauthUrl: `otpauth://totp/${label}?${params}`,
+  };
+};
+
+export const matchEncryptedTotp = (encrypted, code) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized)) return null;
+  return matchTotp(decryptSecret(encrypted), normalized);
+};
+
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .replace(/[\s-]/g, "")
+    .toLowerCase();
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+// Plain codes go to the user once; only their hashes are stored
+export const createRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Checks an authenticator code or a recovery code for a user with
+ * two-factor enabled. Each succeeds once: an authenticator code cannot be
+ * replayed within its window, and a recovery code is removed when used.
+ * Resolves with "totp", "recovery_code" or null.
+ */
+export const verifySecondFactor = async (userId, code) => {
+  const user = await User.findById(userId).select("+twoFactor.secret").lean();
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  const step = matchEncryptedTotp(user.twoFactor.secret, code);
+  if (step !== null) {
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: user._id,
+        "twoFactor.lastUsedStep": { $not: { $gte: step } },
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return modifiedCount > 0 ? "totp" : null;
+  }
+
+  const hash = hashRecoveryCode(code);
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, "twoFactor.recoveryCodes": hash },
+    { $pull: { "twoFactor.recoveryCodes": hash } }
+  );
+  return modifiedCount > 0 ? "recovery_code" : null;
+};
@@ -0,0 +1,93 @@
+import crypto from "node:crypto";
+import { once } from "node:events";
+import fs from "node:fs";
+import path from "node:path";
+import { UploadSession } from "../models/uploadSession.models.js";
+
+export const UPLOAD_TEMP_DIR = path.join(process.cwd(), "public", "temp");
+const CHUNKS_DIR = path.join(UPLOAD_TEMP_DIR, "uploads");
+
+// Sessions that stay idle longer than this are garbage-collected by the
+// uploads.cleanup job
+export const UPLOAD_SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+export const getSessionDir = (sessionId) =>
+  path.join(CHUNKS_DIR, sessionId.toString());
+
+export const getChunkPath = (sessionId, index) =>
+  path.join(getSessionDir(sessionId), `${index}.part`);
+
+export const writeChunk = async (sessionId, index, buffer) => {
+  const chunkPath = getChunkPath(sessionId, index);
+  // Unique per write, so concurrent retries of a chunk never share a file
+  const tempPath = `${chunkPath}.${crypto.randomUUID()}.tmp`;
+
+  await fs.promises.mkdir(getSessionDir(sessionId), { recursive: true });
+  // Write then rename so a half-written retry never replaces a good chunk
+  await fs.promises.writeFile(tempPath, buffer);
+  await fs.promises.rename(tempPath, chunkPath);
+};
+
+export const assembleChunks = async (session, destination) => {
+  const output = fs.createWriteStream(destination);
+
+  try {
+    for (let index = 0; index < session.totalChunks; index++) {
+      const input = fs.createReadStream(getChunkPath(session._id, index));
+      for await (const data of input) {
+        if (!output.write(data)) {
+          await once(output, "drain");
+        }
+      }
+    }
+  } finally {
+    output.end();
+    await once(output, "close");
+  }
+
+  return destination;
+};
+
+export const removeSessionFiles = async (sessionId) => {
+  await fs.promises.rm(getSessionDir(sessionId), {
+    recursive: true,
+    force: true,
+  });
+};
+
+export const cleanupExpiredUploadSessions = async () => {
+  const expiredSessions = await UploadSession.find({
+    expiresAt: { $lte: new Date() },
+  })
+    .select("_id")
+    .lean();
+
+  for (const session of expiredSessions) {
+    await removeSessionFiles(session._id);
+  }
+
+  if (expiredSessions.length > 0) {
+    await UploadSession.deleteMany({
+      _id: { $in: expiredSessions.map((session) => session._id) },
+    });
+  }
+
+  // Remove chunk directories whose session document no longer exists
+  let orphanedDirs = 0;
+  const entries = await fs.promises
+    .readdir(CHUNKS_DIR, { withFileTypes: true })
+    .catch(() => []);
+
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const exists = await UploadSession.exists({ _id: entry.name }).catch(
+      () => null
+    );
+    if (!exists) {
+      await removeSessionFiles(entry.name);
+      orphanedDirs++;
+    }
+  }
+
+  return { removedSessions: expiredSessions.length, orphanedDirs };
+};
@@ -0,0 +1,192 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { enqueueMediaDeletion } from "../jobs/media.job.js";
+import { enqueueUploadNotifications } from "../jobs/notification.job.js";
+import { Video } from "../models/video.models.js";
+import { probeVideo, transcodeToHls } from "./ffmpeg.js";
+import { publishToUser } from "./realtime.js";
+import {
+  downloadFromStorage,
+  uploadDirectoryToStorage,
+} from "./storage/index.js";
+import {
+  generateScrubPreviews,
+  generateThumbnailCandidates,
+} from "./thumbnails.js";
+import { UPLOAD_TEMP_DIR } from "./uploadSessionStore.js";
+
+const WORK_DIR = path.join(UPLOAD_TEMP_DIR, "processing");
+const PROGRESS_STEP = 5; // percent between progress writes
+
+const updateProcessing = (videoId, fields) => {
+  const update = {};
+  for (const [key, value] of Object.entries(fields)) {
+    update[`processing.${key}`] = value;
+  }
+  return Video.updateOne({ _id: videoId }, { $set: update });
+};
+
+// Runs as a background job. Failures are rethrown so the queue can retry;
+// the video is only marked failed once the final attempt has failed.
+export const processVideo = async (videoId, { finalAttempt = true } = {}) => {
+  const video = await Video.findById(videoId).lean();
+  if (!video) return;
+
+  // Progress is pushed live to the owner's open event streams
+  const publishProgress = (fields) =>
+    publishToUser(video.owner, "video.processing", { videoId, ...fields });
+
+  const workDir = path.join(WORK_DIR, videoId.toString());
+  const extension = path.extname(video.videoFile.public_id) || ".mp4";
+  const sourcePath = path.join(workDir, `source${extension}`);
+  const hlsDir = path.join(workDir, "hls");
+
+  await Video.updateOne(
+    { _id: videoId },
+    {
+      $set: {
+        "processing.status": "processing",
+        "processing.progress": 0,
+        "processing.startedAt": new Date(),
+      },
+      $unset: { "processing.error": 1, "processing.completedAt": 1 },
+      $inc: { "processing.attempts": 1 },
+    }
+  );
+  publishProgress({ status: "processing", progress: 0 });
+
+  try {
+    await fs.mkdir(hlsDir, { recursive: true });
+    await downloadFromStorage(video.videoFile.public_id, sourcePath, {
+      resourceType: "video",
+    });
+
+    const probe = await probeVideo(sourcePath);
+
+    await Video.updateOne(
+      { _id: videoId },
+      {
+        $set: {
+          duration: probe.duration,
+          metadata: {
+            width: probe.width,
+            height: probe.height,
+            videoCodec: probe.videoCodec,
+            audioCodec: probe.audioCodec,
+            bitrate: probe.bitrate,
+            container: probe.container,
+          },
+        },
+      }
+    );
+
+    // Thumbnails and previews survive a failed transcode, so a retry only
+    // generates what is still missing
+    const artifacts = {};
+    if (!video.thumbnail?.url && !video.thumbnailCandidates?.length) {
+      const candidates = await generateThumbnailCandidates(
+        sourcePath,
+        probe,
+        workDir
+      );
+      artifacts.thumbnailCandidates = candidates;
+      artifacts.thumbnail = {
+        url: candidates[0].url,
+        public_id: candidates[0].public_id,
+      };
+    }
+    if (!video.previews?.vtt?.url) {
+      artifacts.previews = await generateScrubPreviews(
+        sourcePath,
+        probe,
+        workDir
+      );
+    }
+    if (Object.keys(artifacts).length > 0) {
+      await Video.updateOne({ _id: videoId }, { $set: artifacts });
+    }
+
+    let reportedProgress = 0;
+    const { masterPlaylist, renditions } = await transcodeToHls(
+      sourcePath,
+      hlsDir,
+      probe,
+      {
+        onProgress: (fraction) => {
+          // Reserve the last few percent for uploading the renditions
+          const progress = Math.floor(fraction * 95);
+          if (progress - reportedProgress >= PROGRESS_STEP) {
+            reportedProgress = progress;
+            updateProcessing(videoId, { progress }).catch(() => {});
+            publishProgress({ status: "processing", progress });
+          }
+        },
+      }
+    );
+
+    await fs.rm(sourcePath, { force: true });
+
+    const { prefix, urls } = await uploadDirectoryToStorage(hlsDir, {
+      folder: "hls",
+    });
+
+    // Reprocessing replaces the previous renditions
+    if (video.streaming?.storagePrefix) {
+      await enqueueMediaDeletion([{ prefix: video.streaming.storagePrefix }]);
+    }
+
+    await Video.updateOne(
+      { _id: videoId },
+      {
+        $set: {
+          streaming: {
+            masterPlaylistUrl: urls[masterPlaylist],
+            storagePrefix: prefix,
+            renditions: renditions.map((rendition) => ({
+              name: rendition.name,
+              width: rendition.width,
+              height: rendition.height,
+              bandwidth: rendition.bandwidth,
+              url: urls[rendition.playlist],
+            })),
+          },
+          "processing.status": "ready",
+          "processing.progress": 100,
+          "processing.completedAt": new Date(),
+        },
+      }
+    );
+
+    publishProgress({ status: "ready", progress: 100 });
+
+    console.info("Video processed successfully:", {
+      videoId,
+      duration: probe.duration,
+      renditions: renditions.map((rendition) => rendition.name),
+    });
+
+    // The job itself skips videos that are not public (yet)
+    enqueueUploadNotifications(videoId).catch((error) =>
+      console.error("Failed to queue upload notifications:", {
+        videoId,
+        error: error.message,
+      })
+    );
+  } catch (error) {
+    console.error("Video processing failed:", {
+      videoId,
+      error: error.message,
+    });
+
+    const status = finalAttempt ? "failed" : "queued";
+    await updateProcessing(videoId, {
+      status,
+      error: error.message.slice(0, 500),
+      completedAt: new Date(),
+    });
+    publishProgress({ status });
+    throw error;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
@@ -0,0 +1,78 @@
+// Video totals, top videos and monthly uploads for the videos matching
+// `match`: one channel on the creator dashboard, or the whole platform on the
+// admin console
+export const buildVideoStatsPipeline = (match) => [
+  { $match: match },
+  {
+    $facet: {
+      overview: [
+        {
+          $group: {
+            _id: null,
+            totalVideos: { $sum: 1 },
+            totalViews: { $sum: "$views" },
+            totalDuration: { $sum: "$duration" },
+            publishedVideos: {
+              $sum: {
+                $cond: [{ $eq: ["$visibility", "public"] }, 1, 0],
+              },
+            },
+            unpublishedVideos: {
+              $sum: {
+                $cond: [{ $ne: ["$visibility", "public"] }, 1, 0],
+              },
+            },
+            unlistedVideos: {
+              $sum: {
+                $cond: [{ $eq: ["$visibility", "unlisted"] }, 1, 0],
+              },
+            },
+            privateVideos: {
+              $sum: {
+                $cond: [{ $eq: ["$visibility", "private"] }, 1, 0],
+              },
+            },
+            scheduledVideos: {
+              $sum: {
+                $cond: [{ $eq: ["$visibility", "scheduled"] }, 1, 0],
+              },
+            },
+            avgDuration: { $avg: "$duration" },
+            latestVideo: { $max: "$createdAt" },
+            oldestVideo: { $min: "$createdAt" },
+            maxViews: { $max: "$views" },
+            minViews: { $min: "$views" },
+          },
+        },
+      ],
+      topVideos: [
+        { $match: { visibility: "public" } },
+        { $sort: { views: -1 } },
+        { $limit: 5 },
+        {
+          $project: {
+            title: 1,
+            views: 1,
+            thumbnail: 1,
+            createdAt: 1,
+            duration: 1,
+          },
+        },
+      ],
+      monthlyStats: [
+        {
+          $group: {
+            _id: {
+              year: { $year: "$createdAt" },
+              month: { $month: "$createdAt" },
+            },
+            videosCount: { $sum: 1 },
+            totalViews: { $sum: "$views" },
+          },
+        },
+        { $sort: { "_id.year": -1, "_id.month": -1 } },
+        { $limit: 12 },
+      ],
+    },
+  },
+];
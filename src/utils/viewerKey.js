@@ -0,0 +1,11 @@
+import crypto from "node:crypto";
+
+// "user:<id>" for signed-in viewers, otherwise a hash of the IP address.
+// Anything else that identifies an anonymous client, such as an ID it sends
+// or its user agent, can be changed at will and would mint a new viewer with
+// every value. Viewers behind one shared address count as one.
+// Used to deduplicate views and shares without storing who the viewer is.
+export const getViewerKey = (req) => {
+  if (req.user) return `user:${req.user._id}`;
+  return `anon:${crypto.createHash("sha256").update(req.ip).digest("hex")}`;
+};
@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import mongoose from "mongoose";
+import { Comment } from "../src/models/comment.models.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+const seedComment = (t, fields = {}) =>
+  useMemoryModel(t, Comment, [
+    {
+      content: "first",
+      video: new mongoose.Types.ObjectId(),
+      owner: new mongoose.Types.ObjectId(),
+      moderationStatus: "approved",
+      flagCount: 0,
+      ...fields,
+    },
+  ]);
+
+describe("Comment.flag", () => {
+  test("concurrent reports are all counted and hide the comment once", async (t) => {
+    const comments = seedComment(t);
+
+    const results = await Promise.all(
+      Array.from({ length: 7 }, () => Comment.flag(comments[0]._id))
+    );
+
+    assert.equal(comments[0].flagCount, 7);
+    assert.equal(comments[0].moderationStatus, "flagged");
+    assert.equal(results.filter(Boolean).length, 1);
+  });
+
+  test("stays visible below the threshold", async (t) => {
+    const comments = seedComment(t, { flagCount: 3 });
+
+    assert.equal(await Comment.flag(comments[0]._id), false);
+    assert.equal(comments[0].flagCount, 4);
+    assert.equal(comments[0].moderationStatus, "approved");
+  });
+
+  test("hides comments from before moderation existed", async (t) => {
+    const comments = seedComment(t, {
+      moderationStatus: undefined,
+      flagCount: 4,
+    });
+
+    assert.equal(await Comment.flag(comments[0]._id), true);
+    assert.equal(comments[0].moderationStatus, "flagged");
+  });
+
+  test("does not reopen a rejected comment", async (t) => {
+    const comments = seedComment(t, {
+      moderationStatus: "rejected",
+      flagCount: 9,
+    });
+
+    assert.equal(await Comment.flag(comments[0]._id), false);
+    assert.equal(comments[0].moderationStatus, "rejected");
+  });
+});
@@ -0,0 +1,212 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  buildInterestProfile,
+  FRESHNESS_HALF_LIFE,
+  getFreshness,
+  getPopularity,
+  isEmptyProfile,
+  MAX_PER_CHANNEL,
+  rankTrending,
+  rankVideos,
+  scoreVideo,
+} from "../src/utils/feedRanking.js";
+
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+const HOUR = 60 * 60 * 1000;
+
+const video = (id, fields = {}) => ({
+  _id: id,
+  owner: "channel-a",
+  createdAt: new Date(NOW),
+  views: 0,
+  tags: [],
+  ...fields,
+});
+
+const ids = (ranked) => ranked.map((entry) => entry.video._id);
+
+const emptyProfile = () => buildInterestProfile({});
+
+describe("getFreshness", () => {
+  test("halves every half-life", () => {
+    assert.equal(getFreshness(NOW, NOW), 1);
+    assert.equal(getFreshness(NOW - FRESHNESS_HALF_LIFE, NOW), 0.5);
+    assert.equal(getFreshness(NOW - 2 * FRESHNESS_HALF_LIFE, NOW), 0.25);
+  });
+
+  test("treats uploads dated in the future as brand new", () => {
+    assert.equal(getFreshness(NOW + HOUR, NOW), 1);
+  });
+
+  test("accepts dates and ISO strings", () => {
+    const createdAt = new Date(NOW - FRESHNESS_HALF_LIFE);
+    assert.equal(getFreshness(createdAt, NOW), 0.5);
+    assert.equal(getFreshness(createdAt.toISOString(), NOW), 0.5);
+  });
+});
+
+describe("getPopularity", () => {
+  test("grows on a log scale and saturates at a million views", () => {
+    assert.equal(getPopularity(0), 0);
+    assert.ok(getPopularity(1000) > getPopularity(100));
+    assert.equal(getPopularity(1_000_000), 1);
+    assert.equal(getPopularity(50_000_000), 1);
+  });
+
+  test("ignores missing and negative counts", () => {
+    assert.equal(getPopularity(), 0);
+    assert.equal(getPopularity(-5), 0);
+  });
+});
+
+describe("buildInterestProfile", () => {
+  test("weighs likes above watches and recent watches above older ones", () => {
+    const profile = buildInterestProfile({
+      likedVideos: [video("l1", { owner: "liked", tags: ["Rust"] })],
+      watchedVideos: [
+        video("w1", { owner: "recent", tags: ["go"] }),
+        ...Array.from({ length: 19 }, (_, i) => video(`f${i}`, { owner: "x" })),
+        video("w2", { owner: "older", tags: ["go"] }),
+      ],
+    });
+
+    assert.equal(profile.channels.get("liked"), 2);
+    assert.equal(profile.channels.get("recent"), 1);
+    assert.equal(profile.channels.get("older"), 0.5);
+    assert.equal(profile.tags.get("rust"), 2);
+    assert.equal(profile.tags.get("go"), 1.5);
+    assert.ok(profile.watched.has("w1"));
+  });
+
+  test("an account without activity has an empty profile", () => {
+    assert.equal(isEmptyProfile(emptyProfile()), true);
+    assert.equal(
+      isEmptyProfile(buildInterestProfile({ subscribedChannelIds: ["c"] })),
+      false
+    );
+  });
+});
+
+describe("scoreVideo", () => {
+  test("blends the weighted signals and reports the personal ones", () => {
+    const profile = buildInterestProfile({
+      subscribedChannelIds: ["channel-a"],
+      likedVideos: [video("liked", { tags: ["music"] })],
+    });
+
+    const { score, signals, reasons } = scoreVideo(
+      video("v1", {
+        createdAt: new Date(NOW - FRESHNESS_HALF_LIFE),
+        tags: ["Music"],
+      }),
+      profile,
+      { now: NOW }
+    );
+
+    assert.deepEqual(signals, {
+      subscription: 1,
+      channelAffinity: 1,
+      tagOverlap: 1,
+      freshness: 0.5,
+      popularity: 0,
+    });
+    // 3 + 1.5 + 2 + 1.5 * 0.5
+    assert.equal(score, 7.25);
+    assert.deepEqual(reasons, [
+      "subscription",
+      "channelAffinity",
+      "tagOverlap",
+    ]);
+  });
+
+  test("scores the same inputs identically", () => {
+    const candidate = video("v1", { views: 1234 });
+    assert.deepEqual(
+      scoreVideo(candidate, emptyProfile(), { now: NOW }),
+      scoreVideo(candidate, emptyProfile(), { now: NOW })
+    );
+  });
+});
+
+describe("rankVideos", () => {
+  test("orders by score", () => {
+    const ranked = rankVideos(
+      [
+        video("old", { owner: "a", createdAt: new Date(NOW - 10 * 24 * HOUR) }),
+        video("new", { owner: "b" }),
+        video("mid", { owner: "c", createdAt: new Date(NOW - 24 * HOUR) }),
+      ],
+      emptyProfile(),
+      { now: NOW }
+    );
+    assert.deepEqual(ids(ranked), ["new", "mid", "old"]);
+  });
+
+  test("breaks ties by id, whatever order candidates come in", () => {
+    const candidates = ["id-2", "id-3", "id-1"].map((id) =>
+      video(id, { owner: id })
+    );
+
+    const forward = rankVideos(candidates, emptyProfile(), { now: NOW });
+    const reversed = rankVideos([...candidates].reverse(), emptyProfile(), {
+      now: NOW,
+    });
+
+    assert.deepEqual(ids(forward), ["id-3", "id-2", "id-1"]);
+    assert.deepEqual(ids(reversed), ids(forward));
+  });
+
+  test("moves a channel's videos past the cap behind everything else", () => {
+    const busy = Array.from({ length: MAX_PER_CHANNEL + 2 }, (_, i) =>
+      video(`busy-${i}`, { owner: "busy", createdAt: new Date(NOW - i * HOUR) })
+    );
+    const other = video("other", {
+      owner: "quiet",
+      createdAt: new Date(NOW - 48 * HOUR),
+    });
+
+    const ranked = rankVideos([...busy, other], emptyProfile(), { now: NOW });
+
+    assert.deepEqual(ids(ranked), [
+      "busy-0",
+      "busy-1",
+      "busy-2",
+      "other",
+      "busy-3",
+      "busy-4",
+    ]);
+  });
+
+  test("drops watched videos and duplicates", () => {
+    const profile = buildInterestProfile({
+      watchedVideos: [video("seen")],
+    });
+
+    const ranked = rankVideos(
+      [video("seen"), video("fresh"), video("fresh")],
+      profile,
+      { now: NOW }
+    );
+
+    assert.deepEqual(ids(ranked), ["fresh"]);
+  });
+});
+
+describe("rankTrending", () => {
+  test("damps engagement by age", () => {
+    const ranked = rankTrending(
+      [
+        video("stale-hit", {
+          views: 100_000,
+          createdAt: new Date(NOW - 30 * 24 * HOUR),
+        }),
+        video("new-upload", { views: 1000 }),
+      ],
+      { now: NOW }
+    );
+
+    assert.deepEqual(ids(ranked), ["new-upload", "stale-hit"]);
+    assert.deepEqual(ranked[0].reasons, ["trending"]);
+  });
+});
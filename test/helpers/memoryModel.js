@@ -0,0 +1,348 @@
+import mongoose from "mongoose";
+import sift from "sift";
+
+// Queries that reach a model nobody replaced fail right away instead of
+// waiting for a connection that never comes
+mongoose.set("bufferCommands", false);
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  (Object.getPrototypeOf(value) === Object.prototype ||
+    Object.getPrototypeOf(value) === null);
+
+// Deep copy that keeps ObjectIds and other BSON values intact
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, clone(entry)])
+    );
+  }
+  return value;
+};
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let target = doc;
+  for (const key of keys) {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  }
+  target[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const target = keys.reduce((value, key) => value?.[key], doc);
+  if (target) delete target[last];
+};
+
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  for (const [operator, fields] of Object.entries(update)) {
+    // Mongoose treats top-level fields without an operator as $set
+    if (!operator.startsWith("$")) {
+      setPath(doc, operator, clone(fields));
+      continue;
+    }
+    for (const [path, value] of Object.entries(fields)) {
+      switch (operator) {
+        case "$set":
+          setPath(doc, path, clone(value));
+          break;
+        case "$setOnInsert":
+          if (inserting) setPath(doc, path, clone(value));
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (getPath(doc, path) || 0) + value);
+          break;
+        case "$push":
+          setPath(doc, path, [...(getPath(doc, path) || []), clone(value)]);
+          break;
+        default:
+          throw new Error(`Update operator ${operator} is not supported`);
+      }
+    }
+  }
+};
+
+const compareBy = (sort) => (a, b) => {
+  for (const [path, direction] of Object.entries(sort || {})) {
+    const left = getPath(a, path);
+    const right = getPath(b, path);
+    if (left < right) return -direction;
+    if (left > right) return direction;
+  }
+  return 0;
+};
+
+// Equality conditions of a filter, copied into documents created by upserts
+const equalityFields = (filter) =>
+  Object.fromEntries(
+    Object.entries(filter).filter(
+      ([key, value]) =>
+        !key.startsWith("$") &&
+        !(isPlainObject(value) && Object.keys(value)[0]?.startsWith("$"))
+    )
+  );
+
+const duplicateKeyError = (Model, fields) =>
+  Object.assign(
+    new Error(`E11000 duplicate key error collection: ${Model.modelName}`),
+    { code: 11000, keyValue: fields }
+  );
+
+// Chainable stand-in for a Mongoose query. Projection and population are
+// ignored; lean() makes it resolve with plain objects instead of documents.
+class MemoryQuery {
+  constructor(run) {
+    this.run = run;
+    this.options = {};
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  select() {
+    return this;
+  }
+
+  populate() {
+    return this;
+  }
+
+  lean() {
+    this.options.lean = true;
+    return this;
+  }
+
+  exec() {
+    return Promise.resolve().then(() => this.run(this.options));
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+}
+
+/**
+ * Replaces the query and write methods of a Mongoose model with an in-memory
+ * collection for the duration of a test, so behaviour that depends on
+ * MongoDB filter and update semantics can be tested without a server.
+ * Filters are evaluated with sift; inserts apply schema defaults and casting
+ * and respect the model's unique indexes. Documents are returned hydrated
+ * and save() writes back to the collection. Returns the live array of
+ * stored documents.
+ */
+export const useMemoryModel = (t, Model, initialDocs = []) => {
+  const docs = [];
+
+  const uniqueIndexes = Model.schema
+    .indexes()
+    .filter(([, options]) => options?.unique)
+    .map(([fields, options]) => ({
+      paths: Object.keys(fields),
+      sparse: Boolean(options.sparse),
+    }));
+
+  // `replacing` is the stored document an update is about to overwrite
+  const checkUnique = (candidate, replacing) => {
+    for (const { paths, sparse } of uniqueIndexes) {
+      const values = paths.map((path) => getPath(candidate, path));
+      if (sparse && values.some((value) => value === undefined)) continue;
+
+      const clash = docs.find(
+        (doc) =>
+          doc !== replacing &&
+          paths.every(
+            (path, index) =>
+              String(getPath(doc, path)) === String(values[index])
+          )
+      );
+      if (clash) {
+        throw duplicateKeyError(
+          Model,
+          Object.fromEntries(paths.map((path, i) => [path, values[i]]))
+        );
+      }
+    }
+  };
+
+  const insert = (data) => {
+    const candidate = new Model(data).toObject({ depopulate: true });
+    checkUnique(candidate);
+    docs.push(candidate);
+    return candidate;
+  };
+
+  // Copies out of the store, so callers never mutate it in place
+  const output = (doc, { lean } = {}) => {
+    if (!doc) return null;
+    return lean ? clone(doc) : Model.hydrate(clone(doc));
+  };
+
+  const matching = (filter = {}, { sort, skip = 0, limit } = {}) => {
+    const found = docs.filter(sift(filter));
+    if (sort) found.sort(compareBy(sort));
+    return found.slice(skip, limit ? skip + limit : undefined);
+  };
+
+  const updateDoc = (doc, update) => {
+    const before = JSON.stringify(doc);
+    const updated = clone(doc);
+    applyUpdate(updated, update);
+    checkUnique(updated, doc);
+    Object.keys(doc).forEach((key) => delete doc[key]);
+    Object.assign(doc, updated);
+    return JSON.stringify(doc) !== before;
+  };
+
+  const upsert = (filter, update) => {
+    const data = clone(equalityFields(filter));
+    applyUpdate(data, update, { inserting: true });
+    return insert(data);
+  };
+
+  const updateMatching = (filter, update, { multi, upsert: doUpsert } = {}) => {
+    const targets = matching(filter);
+    const selected = multi ? targets : targets.slice(0, 1);
+    let modifiedCount = 0;
+    for (const doc of selected) {
+      if (updateDoc(doc, update)) modifiedCount++;
+    }
+    if (selected.length === 0 && doUpsert) {
+      upsert(filter, update);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+    }
+    return { matchedCount: selected.length, modifiedCount, upsertedCount: 0 };
+  };
+
+  const methods = {
+    create: async (data) =>
+      Array.isArray(data)
+        ? data.map((entry) => output(insert(entry)))
+        : output(insert(data)),
+    find: (filter) =>
+      new MemoryQuery((options) =>
+        matching(filter, options).map((doc) => output(doc, options))
+      ),
+    findOne: (filter) =>
+      new MemoryQuery((options) =>
+        output(matching(filter, options)[0], options)
+      ),
+    findById: (id) =>
+      new MemoryQuery((options) => output(matching({ _id: id })[0], options)),
+    exists: (filter) =>
+      new MemoryQuery(() => {
+        const [doc] = matching(filter);
+        return doc ? { _id: doc._id } : null;
+      }),
+    countDocuments: (filter) => new MemoryQuery(() => matching(filter).length),
+    distinct: (path, filter) =>
+      new MemoryQuery(() => {
+        const values = new Map();
+        for (const doc of matching(filter)) {
+          for (const value of [].concat(getPath(doc, path) ?? [])) {
+            values.set(String(value), value);
+          }
+        }
+        return [...values.values()];
+      }),
+    findOneAndUpdate: (filter, update, options = {}) =>
+      new MemoryQuery((queryOptions) => {
+        const returnNew =
+          options.new === true || options.returnDocument === "after";
+        const [doc] = matching(filter, { sort: options.sort });
+        if (!doc) {
+          if (!options.upsert) return null;
+          const inserted = upsert(filter, update);
+          return returnNew ? output(inserted, queryOptions) : null;
+        }
+        const before = output(doc, queryOptions);
+        updateDoc(doc, update);
+        return returnNew ? output(doc, queryOptions) : before;
+      }),
+    findByIdAndUpdate: (id, update, options) =>
+      methods.findOneAndUpdate({ _id: id }, update, options),
+    findOneAndDelete: (filter) =>
+      new MemoryQuery((options) => {
+        const [doc] = matching(filter);
+        if (!doc) return null;
+        docs.splice(docs.indexOf(doc), 1);
+        return output(doc, options);
+      }),
+    updateOne: (filter, update, options = {}) =>
+      new MemoryQuery(() => updateMatching(filter, update, options)),
+    updateMany: (filter, update, options = {}) =>
+      new MemoryQuery(() =>
+        updateMatching(filter, update, { ...options, multi: true })
+      ),
+    deleteMany: (filter) =>
+      new MemoryQuery(() => {
+        const targets = matching(filter);
+        for (const doc of targets) docs.splice(docs.indexOf(doc), 1);
+        return { deletedCount: targets.length };
+      }),
+    bulkWrite: async (operations) => {
+      const totals = { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      for (const operation of operations) {
+        const [type, { filter, update, upsert: doUpsert }] =
+          Object.entries(operation)[0];
+        if (type !== "updateOne" && type !== "updateMany") {
+          throw new Error(`bulkWrite ${type} is not supported`);
+        }
+        const result = updateMatching(filter, update, {
+          multi: type === "updateMany",
+          upsert: doUpsert,
+        });
+        for (const key of Object.keys(totals)) totals[key] += result[key];
+      }
+      return totals;
+    },
+  };
+
+  for (const [name, implementation] of Object.entries(methods)) {
+    t.mock.method(Model, name, implementation);
+  }
+
+  t.mock.method(Model.prototype, "save", async function () {
+    const data = this.toObject({ depopulate: true });
+    const stored = docs.find((doc) => String(doc._id) === String(this._id));
+    if (!stored) {
+      insert(data);
+    } else {
+      checkUnique(data, stored);
+      docs[docs.indexOf(stored)] = data;
+    }
+    this.isNew = false;
+    return this;
+  });
+
+  // Seeded as stored, without the schema, so tests can start from documents
+  // in an older shape
+  for (const doc of initialDocs) {
+    docs.push({ _id: new mongoose.Types.ObjectId(), ...clone(doc) });
+  }
+  return docs;
+};
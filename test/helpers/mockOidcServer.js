@@ -0,0 +1,132 @@
+import crypto from "node:crypto";
+import http from "node:http";
+import jwt from "jsonwebtoken";
+
+const readForm = async (req) => {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  return Object.fromEntries(new URLSearchParams(body));
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * A minimal OpenID Connect provider on a random local port. The authorize
+ * endpoint signs in `profile` without a consent page and redirects straight
+ * back with a code; the token endpoint enforces the PKCE challenge sent with
+ * that authorization and puts its nonce in the ID token. `idTokenClaims`
+ * overrides claims of the next ID tokens, `null` leaves the ID token out.
+ */
+export const startMockOidcServer = async ({ clientId }) => {
+  const authorizations = new Map();
+  const accessTokens = new Map();
+  const server = http.createServer();
+
+  const mock = {
+    issuer: null,
+    profile: { sub: "mock-user-1" },
+    idTokenClaims: {},
+    // Every authorization request as received, for assertions
+    requests: [],
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+
+  const routes = {
+    "GET /.well-known/openid-configuration": (req, res) =>
+      sendJson(res, 200, {
+        issuer: mock.issuer,
+        authorization_endpoint: `${mock.issuer}/authorize`,
+        token_endpoint: `${mock.issuer}/token`,
+        userinfo_endpoint: `${mock.issuer}/userinfo`,
+        code_challenge_methods_supported: ["S256"],
+      }),
+
+    "GET /authorize": (req, res, url) => {
+      const params = Object.fromEntries(url.searchParams);
+      mock.requests.push(params);
+      if (
+        params.client_id !== clientId ||
+        params.response_type !== "code" ||
+        params.code_challenge_method !== "S256" ||
+        !params.code_challenge
+      ) {
+        return sendJson(res, 400, { error: "invalid_request" });
+      }
+
+      const code = crypto.randomUUID();
+      authorizations.set(code, { ...params, profile: { ...mock.profile } });
+
+      const redirect = new URL(params.redirect_uri);
+      redirect.searchParams.set("code", code);
+      redirect.searchParams.set("state", params.state);
+      res.writeHead(302, { Location: redirect.toString() });
+      res.end();
+    },
+
+    "POST /token": async (req, res) => {
+      const form = await readForm(req);
+      const authorization = authorizations.get(form.code);
+      // Codes are single use
+      authorizations.delete(form.code);
+
+      const challenge =
+        form.code_verifier &&
+        crypto
+          .createHash("sha256")
+          .update(form.code_verifier)
+          .digest("base64url");
+      if (
+        !authorization ||
+        form.grant_type !== "authorization_code" ||
+        form.client_id !== clientId ||
+        form.redirect_uri !== authorization.redirect_uri ||
+        challenge !== authorization.code_challenge
+      ) {
+        return sendJson(res, 400, { error: "invalid_grant" });
+      }
+
+      const accessToken = crypto.randomUUID();
+      accessTokens.set(accessToken, authorization.profile);
+      const idToken =
+        mock.idTokenClaims &&
+        jwt.sign(
+          {
+            iss: mock.issuer,
+            aud: clientId,
+            nonce: authorization.nonce,
+            ...authorization.profile,
+            ...mock.idTokenClaims,
+          },
+          "mock-oidc-key",
+          { expiresIn: "5m" }
+        );
+
+      sendJson(res, 200, {
+        access_token: accessToken,
+        token_type: "Bearer",
+        ...(idToken && { id_token: idToken }),
+      });
+    },
+
+    "GET /userinfo": (req, res) => {
+      const token = req.headers.authorization?.replace(/^Bearer /, "");
+      const profile = accessTokens.get(token);
+      if (!profile) return sendJson(res, 401, { error: "invalid_token" });
+      sendJson(res, 200, profile);
+    },
+  };
+
+  server.on("request", async (req, res) => {
+    const url = new URL(req.url, mock.issuer);
+    const route = routes[`${req.method} ${url.pathname}`];
+    if (!route) return sendJson(res, 404, { error: "not_found" });
+    await route(req, res, url);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  mock.issuer = `http://127.0.0.1:${server.address().port}`;
+  return mock;
+};
@@ -0,0 +1,166 @@
+import http from "node:http";
+
+const readBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Streaming uploads arrive in aws-chunked encoding: "<hex size>[;signature]",
+// CRLF, the data, CRLF, repeated until a zero-size chunk and the trailers
+const decodeAwsChunked = (body) => {
+  const parts = [];
+  let offset = 0;
+  while (offset < body.length) {
+    const lineEnd = body.indexOf("\r\n", offset);
+    const size = parseInt(body.subarray(offset, lineEnd).toString(), 16);
+    if (!size) break;
+    parts.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(parts);
+};
+
+const escapeXml = (value) =>
+  value.replace(
+    /[<>&"']/g,
+    (char) =>
+      ({
+        "<": "&lt;",
+        ">": "&gt;",
+        "&": "&amp;",
+        '"': "&quot;",
+        "'": "&apos;",
+      })[char]
+  );
+
+const sendXml = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/xml" });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?>${body}`);
+};
+
+const sendError = (res, status, code) =>
+  sendXml(res, status, `<Error><Code>${code}</Code></Error>`);
+
+/**
+ * A minimal S3-compatible server on a random local port, standing in for
+ * MinIO. Supports path-style PutObject, GetObject, DeleteObject,
+ * DeleteObjects and ListObjectsV2; signatures are not checked. `objects`
+ * maps "<bucket>/<key>" to { body, contentType }. Listings return at most
+ * `pageSize` keys per page. `failNext` makes the next request fail with 500.
+ */
+export const startMockS3Server = async ({ pageSize = 1000 } = {}) => {
+  const server = http.createServer();
+  const mock = {
+    endpoint: null,
+    objects: new Map(),
+    failNext: false,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+
+  const listObjects = (res, bucket, params) => {
+    const prefix = params.get("prefix") || "";
+    // Like S3, the token marks the last key listed, so deleting listed keys
+    // between pages does not shift the next page
+    const after = params.get("continuation-token") || "";
+    const keys = [...mock.objects.keys()]
+      .filter((path) => path.startsWith(`${bucket}/${prefix}`))
+      .map((path) => path.slice(bucket.length + 1))
+      .filter((key) => key > after)
+      .sort();
+    const page = keys.slice(0, pageSize);
+    const truncated = pageSize < keys.length;
+
+    sendXml(
+      res,
+      200,
+      `<ListBucketResult><Name>${bucket}</Name><Prefix>${escapeXml(prefix)}</Prefix>` +
+        `<KeyCount>${page.length}</KeyCount><MaxKeys>${pageSize}</MaxKeys>` +
+        `<IsTruncated>${truncated}</IsTruncated>` +
+        (truncated
+          ? `<NextContinuationToken>${escapeXml(page.at(-1))}</NextContinuationToken>`
+          : "") +
+        page
+          .map(
+            (key) =>
+              `<Contents><Key>${escapeXml(key)}</Key><Size>${mock.objects.get(`${bucket}/${key}`).body.length}</Size></Contents>`
+          )
+          .join("") +
+        "</ListBucketResult>"
+    );
+  };
+
+  const deleteObjects = (res, bucket, body) => {
+    const keys = [...body.toString().matchAll(/<Key>([^<]*)<\/Key>/g)].map(
+      ([, key]) => key
+    );
+    for (const key of keys) mock.objects.delete(`${bucket}/${key}`);
+    sendXml(
+      res,
+      200,
+      `<DeleteResult>${keys
+        .map((key) => `<Deleted><Key>${escapeXml(key)}</Key></Deleted>`)
+        .join("")}</DeleteResult>`
+    );
+  };
+
+  server.on("request", async (req, res) => {
+    const url = new URL(req.url, mock.endpoint);
+    const [bucket, ...keySegments] = url.pathname
+      .slice(1)
+      .split("/")
+      .map(decodeURIComponent);
+    const key = keySegments.join("/");
+    const path = `${bucket}/${key}`;
+    const body = await readBody(req);
+
+    if (mock.failNext) {
+      mock.failNext = false;
+      return sendError(res, 500, "InternalError");
+    }
+
+    if (!key) {
+      if (req.method === "GET" && url.searchParams.get("list-type") === "2") {
+        return listObjects(res, bucket, url.searchParams);
+      }
+      if (req.method === "POST" && url.searchParams.has("delete")) {
+        return deleteObjects(res, bucket, body);
+      }
+      return sendError(res, 400, "NotImplemented");
+    }
+
+    switch (req.method) {
+      case "PUT": {
+        const chunked =
+          req.headers["content-encoding"]?.includes("aws-chunked") ||
+          req.headers["x-amz-content-sha256"]?.startsWith("STREAMING-");
+        mock.objects.set(path, {
+          body: chunked ? decodeAwsChunked(body) : body,
+          contentType: req.headers["content-type"],
+        });
+        res.writeHead(200, { ETag: '"mock"' });
+        return res.end();
+      }
+      case "GET": {
+        const object = mock.objects.get(path);
+        if (!object) return sendError(res, 404, "NoSuchKey");
+        res.writeHead(200, {
+          "Content-Type": object.contentType || "application/octet-stream",
+          "Content-Length": object.body.length,
+        });
+        return res.end(object.body);
+      }
+      case "DELETE":
+        // S3 reports success for keys that do not exist
+        mock.objects.delete(path);
+        res.writeHead(204);
+        return res.end();
+      default:
+        return sendError(res, 405, "MethodNotAllowed");
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  mock.endpoint = `http://127.0.0.1:${server.address().port}`;
+  return mock;
+};
@@ -0,0 +1,221 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, test } from "node:test";
+import { Job } from "../src/models/job.models.js";
+import {
+  enqueueJob,
+  registerJobHandler,
+  startJobQueue,
+  stopJobQueue,
+} from "../src/utils/jobQueue.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+const waitFor = async (condition, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+// A handler that runs until the test lets it finish
+const deferredHandler = () => {
+  let started;
+  let settle;
+  const running = new Promise((resolve) => (started = resolve));
+  const handler = (payload, job) => {
+    started(job);
+    return new Promise((resolve, reject) => (settle = { resolve, reject }));
+  };
+  return { handler, running, settle: () => settle };
+};
+
+let typeCounter = 0;
+const uniqueType = () => `test.job${++typeCounter}`;
+
+describe("job queue locking", () => {
+  afterEach(() => stopJobQueue());
+
+  test("completes a claimed job and releases its lock", async (t) => {
+    const jobs = useMemoryModel(t, Job);
+    const type = uniqueType();
+    registerJobHandler(type, async ({ value }) => ({ doubled: value * 2 }));
+
+    await enqueueJob(type, { value: 21 });
+    startJobQueue({ pollInterval: 60 * 1000 });
+
+    await waitFor(() => jobs[0].status === "completed");
+    assert.deepEqual(jobs[0].result, { doubled: 42 });
+    assert.equal(jobs[0].attempts, 1);
+    assert.equal(jobs[0].lockedBy, undefined);
+    assert.equal(jobs[0].lockedAt, undefined);
+  });
+
+  test("a late result does not overwrite a run that took over the lock", async (t) => {
+    const jobs = useMemoryModel(t, Job);
+    const warn = t.mock.method(console, "warn", () => {});
+    const type = uniqueType();
+    const { handler, running, settle } = deferredHandler();
+    registerJobHandler(type, handler);
+
+    await enqueueJob(type);
+    startJobQueue({ pollInterval: 60 * 1000 });
+    await running;
+
+    // The run overran lockTimeout and another worker claimed the job
+    const takeover = { lockedBy: "other-worker", lockedAt: new Date() };
+    Object.assign(jobs[0], takeover, { attempts: 2 });
+
+    settle().resolve({ stale: true });
+    await waitFor(() => warn.mock.callCount() > 0);
+
+    assert.equal(jobs[0].status, "running");
+    assert.equal(jobs[0].lockedBy, takeover.lockedBy);
+    assert.equal(jobs[0].result, undefined);
+    assert.match(warn.mock.calls[0].arguments[0], /lock lost/);
+  });
+
+  test("a late failure does not reschedule a run that took over the lock", async (t) => {
+    const jobs = useMemoryModel(t, Job);
+    const warn = t.mock.method(console, "warn", () => {});
+    t.mock.method(console, "error", () => {});
+    const type = uniqueType();
+    const { handler, running, settle } = deferredHandler();
+    registerJobHandler(type, handler, { maxAttempts: 1 });
+
+    await enqueueJob(type);
+    startJobQueue({ pollInterval: 60 * 1000 });
+    await running;
+
+    Object.assign(jobs[0], { lockedBy: "other-worker", lockedAt: new Date() });
+
+    settle().reject(new Error("timed out"));
+    await waitFor(() => warn.mock.callCount() > 0);
+
+    // Neither marked dead nor sent back to pending
+    assert.equal(jobs[0].status, "running");
+    assert.equal(jobs[0].lockedBy, "other-worker");
+    assert.equal(jobs[0].lastError, undefined);
+  });
+
+  test("the same worker re-claiming a job does not accept the old run", async (t) => {
+    const jobs = useMemoryModel(t, Job);
+    const warn = t.mock.method(console, "warn", () => {});
+    const type = uniqueType();
+    const { handler, running, settle } = deferredHandler();
+    registerJobHandler(type, handler);
+
+    await enqueueJob(type);
+    startJobQueue({ pollInterval: 60 * 1000 });
+    const job = await running;
+
+    // Released and claimed again by this process: same worker, new lock
+    jobs[0].lockedAt = new Date(job.lockedAt.getTime() + 1000);
+
+    settle().resolve("first run");
+    await waitFor(() => warn.mock.callCount() > 0);
+    assert.equal(jobs[0].status, "running");
+  });
+
+  test("jobs locked longer than lockTimeout are released and run again", async (t) => {
+    const type = uniqueType();
+    const jobs = useMemoryModel(t, Job, [
+      {
+        type,
+        payload: {},
+        status: "running",
+        attempts: 1,
+        maxAttempts: 5,
+        runAt: new Date(Date.now() - 60 * 60 * 1000),
+        lockedBy: "crashed-worker",
+        lockedAt: new Date(Date.now() - 60 * 60 * 1000),
+      },
+    ]);
+    registerJobHandler(type, async () => "done", { lockTimeout: 1000 });
+
+    startJobQueue({ pollInterval: 60 * 1000 });
+
+    await waitFor(() => jobs[0].status === "completed");
+    assert.equal(jobs[0].attempts, 2);
+    assert.equal(jobs[0].result, "done");
+  });
+
+  test("stale jobs that used up their attempts go dead", async (t) => {
+    const type = uniqueType();
+    const lockedAt = new Date(Date.now() - 60 * 60 * 1000);
+    const jobs = useMemoryModel(t, Job, [
+      {
+        type,
+        payload: {},
+        status: "running",
+        attempts: 3,
+        maxAttempts: 3,
+        runAt: lockedAt,
+        uniqueKey: `hangs:${type}`,
+        lockedBy: "crashed-worker",
+        lockedAt,
+      },
+    ]);
+    const handler = t.mock.fn(async () => "done");
+    registerJobHandler(type, handler, { lockTimeout: 1000 });
+
+    startJobQueue({ pollInterval: 60 * 1000 });
+
+    await waitFor(() => jobs[0].status !== "running");
+    assert.equal(jobs[0].status, "dead");
+    assert.equal(jobs[0].attempts, 3);
+    assert.match(jobs[0].lastError, /Lock timed out/);
+    assert.equal(jobs[0].uniqueKey, undefined);
+    assert.equal(jobs[0].lockedBy, undefined);
+    assert.equal(handler.mock.callCount(), 0);
+  });
+
+  test("stale recurring jobs wait for their next run instead of dying", async (t) => {
+    const type = uniqueType();
+    const lockedAt = new Date(Date.now() - 60 * 60 * 1000);
+    const jobs = useMemoryModel(t, Job, [
+      {
+        type,
+        payload: {},
+        status: "running",
+        attempts: 3,
+        maxAttempts: 3,
+        runAt: lockedAt,
+        repeatEvery: 60 * 60 * 1000,
+        lockedBy: "crashed-worker",
+        lockedAt,
+      },
+    ]);
+    registerJobHandler(type, async () => "done", { lockTimeout: 1000 });
+
+    startJobQueue({ pollInterval: 60 * 1000 });
+
+    await waitFor(() => jobs[0].status !== "running");
+    assert.equal(jobs[0].status, "pending");
+    assert.equal(jobs[0].attempts, 0);
+    assert.ok(jobs[0].runAt > new Date());
+  });
+
+  test("jobs within lockTimeout keep their lock", async (t) => {
+    const type = uniqueType();
+    const lockedAt = new Date(Date.now() - 1000);
+    const jobs = useMemoryModel(t, Job, [
+      {
+        type,
+        payload: {},
+        status: "running",
+        attempts: 1,
+        maxAttempts: 5,
+        runAt: lockedAt,
+        lockedBy: "busy-worker",
+        lockedAt,
+      },
+    ]);
+    registerJobHandler(type, async () => "done", { lockTimeout: 60 * 1000 });
+
+    startJobQueue({ pollInterval: 60 * 1000 });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    assert.equal(jobs[0].status, "running");
+    assert.equal(jobs[0].lockedBy, "busy-worker");
+  });
+});
@@ -0,0 +1,209 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+import mongoose from "mongoose";
+import { parseLegacyDuration, runMigrations } from "../src/db/migrations.js";
+import { Like } from "../src/models/like.models.js";
+import { Subscription } from "../src/models/subscription.models.js";
+import { User } from "../src/models/user.models.js";
+import { Video } from "../src/models/video.models.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// Starts every collection empty unless a test seeds it
+const setup = (t, { videos = [], users = [], subscriptions = [] } = {}) => {
+  t.mock.method(console, "info", () => {});
+  t.mock.method(Like, "aggregate", async () => []);
+  return {
+    videos: useMemoryModel(t, Video, videos),
+    users: useMemoryModel(t, User, users),
+    subscriptions: useMemoryModel(t, Subscription, subscriptions),
+  };
+};
+
+let userCounter = 0;
+// Username and full name carry unique indexes
+const legacyUser = (fields) => {
+  const n = ++userCounter;
+  return { username: `user${n}`, fullname: `User ${n}`, ...fields };
+};
+
+const find = (docs, id) =>
+  docs.find((doc) => doc._id.toString() === id.toString());
+
+describe("runMigrations", () => {
+  let previousAdminEmails;
+  beforeEach((t) => {
+    previousAdminEmails = process.env.ADMIN_EMAILS;
+    delete process.env.ADMIN_EMAILS;
+    t.after(() => {
+      if (previousAdminEmails === undefined) delete process.env.ADMIN_EMAILS;
+      else process.env.ADMIN_EMAILS = previousAdminEmails;
+    });
+  });
+
+  test("keeps legacy videos public unless they were unpublished", async (t) => {
+    const live = objectId();
+    const published = objectId();
+    const unpublished = objectId();
+    const unlisted = objectId();
+    const { videos } = setup(t, {
+      videos: [
+        { _id: live, title: "never toggled", duration: 10 },
+        { _id: published, isPublished: true, duration: 10 },
+        { _id: unpublished, isPublished: false, duration: 10 },
+        { _id: unlisted, visibility: "unlisted", duration: 10 },
+      ],
+    });
+
+    await runMigrations();
+
+    assert.equal(find(videos, live).visibility, "public");
+    assert.equal(find(videos, published).visibility, "public");
+    assert.equal(find(videos, unpublished).visibility, "private");
+    assert.equal(find(videos, unlisted).visibility, "unlisted");
+    assert.ok(videos.every((video) => !("isPublished" in video)));
+  });
+
+  test("converts string durations to seconds", async (t) => {
+    const ids = [objectId(), objectId(), objectId(), objectId()];
+    const { videos } = setup(t, {
+      videos: [
+        { _id: ids[0], duration: "95" },
+        { _id: ids[1], duration: "1:02:03" },
+        { _id: ids[2], duration: "about a minute" },
+        { _id: ids[3], duration: 42 },
+      ],
+    });
+
+    await runMigrations();
+
+    assert.deepEqual(
+      ids.map((id) => find(videos, id).duration),
+      [95, 3723, 0, 42]
+    );
+  });
+
+  test("backfills like counts", async (t) => {
+    const liked = objectId();
+    const unliked = objectId();
+    const { videos } = setup(t, {
+      videos: [
+        { _id: liked, duration: 1 },
+        { _id: unliked, duration: 1 },
+      ],
+    });
+    Like.aggregate.mock.mockImplementation(async () => [
+      { _id: liked, count: 3 },
+    ]);
+
+    await runMigrations();
+
+    assert.equal(find(videos, liked).likesCount, 3);
+    assert.equal(find(videos, unliked).likesCount, 0);
+  });
+
+  test("gives channel owners the creator role and everyone else user", async (t) => {
+    const owner = objectId();
+    const viewer = objectId();
+    const moderator = objectId();
+    const { users } = setup(t, {
+      videos: [{ owner, duration: 1, visibility: "public" }],
+      users: [
+        legacyUser({ _id: owner, email: "owner@example.com" }),
+        legacyUser({ _id: viewer, email: "viewer@example.com" }),
+        legacyUser({
+          _id: moderator,
+          email: "mod@example.com",
+          role: "moderator",
+        }),
+      ],
+    });
+
+    await runMigrations();
+
+    assert.equal(find(users, owner).role, "creator");
+    assert.equal(find(users, viewer).role, "user");
+    assert.equal(find(users, moderator).role, "moderator");
+  });
+
+  test("only promotes ADMIN_EMAILS accounts with a verified email", async (t) => {
+    process.env.ADMIN_EMAILS = "Boss@example.com, squatter@example.com";
+    const verified = objectId();
+    const unverified = objectId();
+    const { users } = setup(t, {
+      users: [
+        legacyUser({
+          _id: verified,
+          email: "boss@example.com",
+          isEmailVerified: true,
+          role: "user",
+        }),
+        legacyUser({
+          _id: unverified,
+          email: "squatter@example.com",
+          isEmailVerified: false,
+          role: "user",
+        }),
+      ],
+    });
+
+    await runMigrations();
+
+    assert.equal(find(users, verified).role, "admin");
+    assert.equal(find(users, unverified).role, "user");
+  });
+
+  test("backfills user and subscription defaults", async (t) => {
+    const { users, subscriptions } = setup(t, {
+      users: [legacyUser({ email: "old@example.com", refreshToken: "legacy" })],
+      subscriptions: [{ subscriber: objectId(), channel: objectId() }],
+    });
+
+    await runMigrations();
+
+    assert.equal(users[0].isEmailVerified, false);
+    assert.equal(users[0].accountStatus, "active");
+    assert.equal("refreshToken" in users[0], false);
+    assert.equal(subscriptions[0].notificationLevel, "personalized");
+  });
+
+  test("is idempotent", async (t) => {
+    const { videos, users } = setup(t, {
+      videos: [
+        { owner: objectId(), isPublished: false, duration: "1:00" },
+        { owner: objectId(), duration: "30" },
+      ],
+      users: [legacyUser({ email: "a@example.com" })],
+    });
+
+    await runMigrations();
+    const snapshot = JSON.stringify({ videos, users });
+    console.info.mock.resetCalls();
+
+    await runMigrations();
+
+    assert.equal(JSON.stringify({ videos, users }), snapshot);
+    assert.equal(console.info.mock.callCount(), 0);
+  });
+});
+
+describe("parseLegacyDuration", () => {
+  const cases = [
+    ["95", 95],
+    ["95.5", 95.5],
+    [" 12 ", 12],
+    ["1:35", 95],
+    ["01:02:03", 3723],
+    ["10:75", 0],
+    ["1:2:3:4", 0],
+    ["", 0],
+    ["n/a", 0],
+  ];
+
+  for (const [input, expected] of cases) {
+    test(`${JSON.stringify(input)} -> ${expected}`, () => {
+      assert.equal(parseLegacyDuration(input), expected);
+    });
+  }
+});
@@ -0,0 +1,290 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { app } from "../src/app.js";
+import { Identity } from "../src/models/identity.models.js";
+import { OAuthState } from "../src/models/oauthState.models.js";
+import { Session } from "../src/models/session.models.js";
+import { User } from "../src/models/user.models.js";
+import createOidcProvider from "../src/utils/oauth/oidcProvider.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+import { startMockOidcServer } from "./helpers/mockOidcServer.js";
+
+const CLIENT_ID = "devtube-test";
+const APP_URL = "http://app.test";
+
+const verifiedProfile = () => ({
+  sub: "mock-user-1",
+  email: "Ada@Example.com",
+  email_verified: true,
+  name: "Ada Lovelace",
+});
+
+const challengeFor = (verifier) =>
+  crypto.createHash("sha256").update(verifier).digest("base64url");
+
+const follow = (url, headers) => fetch(url, { headers, redirect: "manual" });
+
+let oidc;
+before(async () => {
+  oidc = await startMockOidcServer({ clientId: CLIENT_ID });
+});
+after(() => oidc.close());
+beforeEach(() => {
+  oidc.profile = verifiedProfile();
+  oidc.idTokenClaims = {};
+  oidc.requests.length = 0;
+});
+
+describe("OpenID Connect provider", () => {
+  const redirectUri = "http://api.test/callback";
+  let provider;
+  before(() => {
+    provider = createOidcProvider({
+      name: "mock",
+      issuer: oidc.issuer,
+      clientId: CLIENT_ID,
+    });
+  });
+
+  // Runs the authorization step and returns the code sent back
+  const authorize = async ({ nonce = "nonce-1", verifier = "verifier-1" }) => {
+    const url = await provider.getAuthorizationUrl({
+      state: "state-1",
+      nonce,
+      codeChallenge: challengeFor(verifier),
+      redirectUri,
+    });
+    const response = await follow(url);
+    return new URL(response.headers.get("location")).searchParams.get("code");
+  };
+
+  test("sends state, nonce and an S256 challenge and reads the profile", async () => {
+    const code = await authorize({ nonce: "n-123", verifier: "v-123" });
+
+    assert.equal(oidc.requests[0].state, "state-1");
+    assert.equal(oidc.requests[0].nonce, "n-123");
+    assert.equal(oidc.requests[0].code_challenge, challengeFor("v-123"));
+    assert.equal(oidc.requests[0].code_challenge_method, "S256");
+
+    const profile = await provider.fetchProfile({
+      code,
+      codeVerifier: "v-123",
+      nonce: "n-123",
+      redirectUri,
+    });
+    assert.deepEqual(profile, {
+      subject: "mock-user-1",
+      email: "ada@example.com",
+      emailVerified: true,
+      name: "Ada Lovelace",
+      username: undefined,
+      avatar: undefined,
+    });
+  });
+
+  test("fails when the code verifier does not match the challenge", async () => {
+    const code = await authorize({ verifier: "the-real-verifier" });
+
+    await assert.rejects(
+      provider.fetchProfile({
+        code,
+        codeVerifier: "a-guessed-verifier",
+        nonce: "nonce-1",
+        redirectUri,
+      }),
+      /invalid_grant/
+    );
+  });
+
+  test("fails when the ID token carries another nonce", async () => {
+    oidc.idTokenClaims = { nonce: "replayed-nonce" };
+    const code = await authorize({});
+
+    await assert.rejects(
+      provider.fetchProfile({
+        code,
+        codeVerifier: "verifier-1",
+        nonce: "nonce-1",
+        redirectUri,
+      }),
+      /nonce does not match/
+    );
+  });
+
+  test("fails when the token response has no ID token", async () => {
+    oidc.idTokenClaims = null;
+    const code = await authorize({});
+
+    await assert.rejects(
+      provider.fetchProfile({
+        code,
+        codeVerifier: "verifier-1",
+        nonce: "nonce-1",
+        redirectUri,
+      }),
+      /did not include a valid ID token/
+    );
+  });
+
+  test("fails when the ID token was issued for another client", async () => {
+    oidc.idTokenClaims = { aud: "someone-else" };
+    const code = await authorize({});
+
+    await assert.rejects(
+      provider.fetchProfile({
+        code,
+        codeVerifier: "verifier-1",
+        nonce: "nonce-1",
+        redirectUri,
+      }),
+      /another issuer or client/
+    );
+  });
+});
+
+describe("OAuth login flow", () => {
+  let server;
+  let apiUrl;
+  before(async () => {
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    apiUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Providers are read from the environment on first use
+    Object.assign(process.env, {
+      OAUTH_PROVIDERS: "mock",
+      OAUTH_MOCK_CLIENT_ID: CLIENT_ID,
+      OAUTH_MOCK_ISSUER: oidc.issuer,
+      API_URL: apiUrl,
+      APP_URL,
+      ACCESS_TOKEN_SECRET: "test-access-secret",
+      REFRESH_TOKEN_SECRET: "test-refresh-secret",
+      ACCESS_TOKEN_EXPIRY: "15m",
+      REFRESH_TOKEN_EXPIRY: "10d",
+    });
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  let store;
+  beforeEach((t) => {
+    t.mock.method(console, "info", () => {});
+    // The welcome email cannot be queued without a database
+    t.mock.method(console, "error", () => {});
+    store = {
+      states: useMemoryModel(t, OAuthState),
+      users: useMemoryModel(t, User),
+      identities: useMemoryModel(t, Identity),
+      sessions: useMemoryModel(t, Session),
+    };
+  });
+
+  // Starts a login and lets the provider approve it; resolves with the
+  // callback URL and the state cookie the browser holds
+  const startLogin = async (returnTo = "/") => {
+    const started = await follow(
+      `${apiUrl}/api/v1/auth/oauth/mock/authorize?returnTo=${encodeURIComponent(returnTo)}`
+    );
+    assert.equal(started.status, 302);
+    const [stateCookie] = started.headers.getSetCookie();
+
+    const approved = await follow(started.headers.get("location"));
+    return {
+      callbackUrl: approved.headers.get("location"),
+      cookie: stateCookie.split(";")[0],
+    };
+  };
+
+  const redirectOf = (response) => new URL(response.headers.get("location"));
+
+  test("signs in a new user after checking state, PKCE and nonce", async () => {
+    const { callbackUrl, cookie } = await startLogin("/watch/later");
+
+    const [pending] = store.states;
+    assert.equal(oidc.requests[0].state, pending.state);
+    assert.equal(oidc.requests[0].nonce, pending.nonce);
+    assert.equal(
+      oidc.requests[0].code_challenge,
+      challengeFor(pending.codeVerifier)
+    );
+    assert.ok(!callbackUrl.includes(pending.codeVerifier));
+
+    const response = await follow(callbackUrl, { Cookie: cookie });
+
+    assert.equal(response.headers.get("location"), `${APP_URL}/watch/later`);
+    const cookies = response.headers.getSetCookie().join("\n");
+    assert.match(cookies, /^accessToken=/m);
+    assert.match(cookies, /^refreshToken=/m);
+    assert.equal(store.states.length, 0);
+    assert.equal(store.users[0].email, "ada@example.com");
+    assert.equal(store.users[0].isEmailVerified, true);
+    assert.equal(store.identities[0].subject, "mock-user-1");
+    assert.equal(store.sessions.length, 1);
+  });
+
+  test("refuses a callback without the state cookie", async () => {
+    const { callbackUrl } = await startLogin();
+
+    const response = await follow(callbackUrl);
+
+    assert.equal(
+      redirectOf(response).searchParams.get("oauthError"),
+      "invalid_state"
+    );
+    assert.equal(store.users.length, 0);
+  });
+
+  test("refuses a callback for a login started in another browser", async () => {
+    const victim = await startLogin();
+    const attacker = await startLogin();
+
+    const response = await follow(attacker.callbackUrl, {
+      Cookie: victim.cookie,
+    });
+
+    assert.equal(
+      redirectOf(response).searchParams.get("oauthError"),
+      "invalid_state"
+    );
+    assert.equal(store.users.length, 0);
+  });
+
+  test("accepts each state only once", async () => {
+    const { callbackUrl, cookie } = await startLogin();
+    await follow(callbackUrl, { Cookie: cookie });
+
+    const replay = await follow(callbackUrl, { Cookie: cookie });
+
+    assert.equal(
+      redirectOf(replay).searchParams.get("oauthError"),
+      "invalid_state"
+    );
+    assert.equal(store.sessions.length, 1);
+  });
+
+  test("refuses an ID token minted for another login", async () => {
+    oidc.idTokenClaims = { nonce: "from-another-login" };
+    const { callbackUrl, cookie } = await startLogin();
+
+    const response = await follow(callbackUrl, { Cookie: cookie });
+
+    assert.equal(
+      redirectOf(response).searchParams.get("oauthError"),
+      "provider_error"
+    );
+    assert.equal(store.users.length, 0);
+  });
+
+  test("does not create accounts for unverified emails", async () => {
+    oidc.profile.email_verified = false;
+    const { callbackUrl, cookie } = await startLogin();
+
+    const response = await follow(callbackUrl, { Cookie: cookie });
+
+    assert.equal(
+      redirectOf(response).searchParams.get("oauthError"),
+      "email_not_verified"
+    );
+    assert.equal(store.users.length, 0);
+  });
+});
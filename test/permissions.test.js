@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import mongoose from "mongoose";
+import { authorize } from "../src/middlewares/auth.middleware.js";
+import {
+  canManage,
+  hasPermission,
+  PERMISSIONS,
+  USER_ROLES,
+} from "../src/utils/permissions.js";
+
+const {
+  CHANNEL_ANALYTICS,
+  MODERATE_VIDEOS,
+  MODERATE_COMMENTS,
+  REVIEW_REPORTS,
+  ADMIN_ACCESS,
+  MANAGE_ROLES,
+} = PERMISSIONS;
+
+// Every permission each role must have; anything not listed is denied
+const EXPECTED = {
+  user: [],
+  creator: [CHANNEL_ANALYTICS],
+  moderator: [
+    CHANNEL_ANALYTICS,
+    MODERATE_VIDEOS,
+    MODERATE_COMMENTS,
+    REVIEW_REPORTS,
+  ],
+  admin: Object.values(PERMISSIONS),
+};
+
+const userWithRole = (role) => ({ _id: new mongoose.Types.ObjectId(), role });
+
+describe("permissions matrix", () => {
+  test("covers every role", () => {
+    assert.deepEqual(Object.keys(EXPECTED), USER_ROLES);
+  });
+
+  for (const role of USER_ROLES) {
+    for (const permission of Object.values(PERMISSIONS)) {
+      const allowed = EXPECTED[role].includes(permission);
+      test(`${role} ${allowed ? "has" : "lacks"} ${permission}`, () => {
+        assert.equal(hasPermission(userWithRole(role), permission), allowed);
+      });
+    }
+  }
+
+  test("accounts without a role count as plain users", () => {
+    for (const permission of Object.values(PERMISSIONS)) {
+      assert.equal(hasPermission({ _id: "legacy" }, permission), false);
+    }
+  });
+
+  test("unknown roles and missing users get no permissions", () => {
+    for (const permission of Object.values(PERMISSIONS)) {
+      assert.equal(hasPermission(userWithRole("superuser"), permission), false);
+      assert.equal(hasPermission(undefined, permission), false);
+    }
+  });
+});
+
+describe("canManage", () => {
+  const owner = userWithRole("user");
+
+  test("owners manage their own content without any permission", () => {
+    assert.equal(canManage(owner, owner._id, MODERATE_VIDEOS), true);
+    assert.equal(canManage(owner, owner._id.toString(), MODERATE_VIDEOS), true);
+  });
+
+  test("other users need the moderation permission", () => {
+    for (const role of USER_ROLES) {
+      assert.equal(
+        canManage(userWithRole(role), owner._id, MODERATE_VIDEOS),
+        EXPECTED[role].includes(MODERATE_VIDEOS),
+        role
+      );
+    }
+  });
+
+  test("signed-out requests manage nothing", () => {
+    assert.equal(canManage(undefined, owner._id, MODERATE_VIDEOS), false);
+  });
+});
+
+describe("authorize", () => {
+  const run = (user, ...permissions) => {
+    let passed = false;
+    authorize(...permissions)({ user }, {}, () => (passed = true));
+    return passed;
+  };
+
+  test("passes when the role has any of the permissions", () => {
+    assert.equal(
+      run(userWithRole("moderator"), ADMIN_ACCESS, REVIEW_REPORTS),
+      true
+    );
+  });
+
+  test("refuses with 403 otherwise", () => {
+    assert.throws(() => run(userWithRole("creator"), REVIEW_REPORTS), {
+      statusCode: 403,
+    });
+  });
+});
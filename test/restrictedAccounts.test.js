@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { User } from "../src/models/user.models.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const account = (username, accountStatus, restriction) => ({
+  username,
+  email: `${username}@example.com`,
+  accountStatus,
+  ...(restriction && { restriction }),
+});
+
+describe("User.restrictedFilter", () => {
+  test("matches exactly the accounts that are refused sign-in", async (t) => {
+    useMemoryModel(t, User, [
+      account("active", "active"),
+      account("legacy"),
+      account("banned", "banned", { reason: "spam" }),
+      account("suspended", "suspended", { reason: "abuse" }),
+      account("suspended-until-later", "suspended", {
+        reason: "abuse",
+        until: new Date(Date.now() + DAY),
+      }),
+      account("suspension-lapsed", "suspended", {
+        reason: "abuse",
+        until: new Date(Date.now() - DAY),
+      }),
+    ]);
+
+    const restricted = await User.find(User.restrictedFilter());
+    const refused = (await User.find({})).filter((user) =>
+      user.getRestrictionMessage()
+    );
+
+    const usernames = (users) => users.map((user) => user.username).sort();
+    assert.deepEqual(usernames(restricted), [
+      "banned",
+      "suspended",
+      "suspended-until-later",
+    ]);
+    assert.deepEqual(usernames(restricted), usernames(refused));
+  });
+});
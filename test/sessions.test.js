@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { before, describe, test } from "node:test";
+import jwt from "jsonwebtoken";
+import { Session } from "../src/models/session.models.js";
+import { User } from "../src/models/user.models.js";
+import { createSession, rotateSession } from "../src/utils/sessions.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+const req = { ip: "203.0.113.7", headers: { "user-agent": "test-agent" } };
+
+const invalidToken = { statusCode: 401 };
+
+// A signed-in user with one session, and the refresh token it was given
+const signIn = async (t) => {
+  const sessions = useMemoryModel(t, Session);
+  const user = new User({
+    username: "viewer",
+    fullname: "Viewer",
+    email: "viewer@example.com",
+    password: "hunter2hunter2",
+  });
+  t.mock.method(User, "findById", async (id) =>
+    user._id.equals(id) ? user : null
+  );
+  const { refreshToken, sessionId } = await createSession(user, req);
+  return { sessions, user, refreshToken, sessionId };
+};
+
+describe("refresh token rotation", () => {
+  before(() => {
+    process.env.ACCESS_TOKEN_SECRET ??= "test-access-secret";
+    process.env.REFRESH_TOKEN_SECRET ??= "test-refresh-secret";
+    process.env.ACCESS_TOKEN_EXPIRY ??= "15m";
+    process.env.REFRESH_TOKEN_EXPIRY ??= "10d";
+  });
+
+  test("returns a new token pair for the same session", async (t) => {
+    const { sessions, refreshToken, sessionId } = await signIn(t);
+
+    const rotated = await rotateSession(refreshToken, req);
+
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    assert.equal(jwt.decode(rotated.refreshToken).sid, sessionId.toString());
+    assert.equal(jwt.decode(rotated.accessToken).sid, sessionId.toString());
+    assert.equal(sessions.length, 1);
+    assert.ok(sessions[0].rotatedAt);
+
+    // The new token keeps working
+    await rotateSession(rotated.refreshToken, req);
+  });
+
+  test("a concurrent refresh with the same token is only refused", async (t) => {
+    const { sessions, refreshToken } = await signIn(t);
+    const rotated = await rotateSession(refreshToken, req);
+
+    await assert.rejects(rotateSession(refreshToken, req), invalidToken);
+
+    assert.equal(sessions[0].revokedAt, undefined);
+    await rotateSession(rotated.refreshToken, req);
+  });
+
+  test("reusing a rotated token after the grace period revokes the session", async (t) => {
+    const { sessions, refreshToken } = await signIn(t);
+    const warn = t.mock.method(console, "warn", () => {});
+    const rotated = await rotateSession(refreshToken, req);
+    sessions[0].rotatedAt = new Date(Date.now() - 60 * 1000);
+
+    await assert.rejects(rotateSession(refreshToken, req), invalidToken);
+
+    assert.ok(sessions[0].revokedAt);
+    assert.equal(sessions[0].revokedReason, "reuse_detected");
+    assert.match(warn.mock.calls[0].arguments[0], /reuse detected/);
+    // The legitimate holder is signed out too
+    await assert.rejects(
+      rotateSession(rotated.refreshToken, req),
+      invalidToken
+    );
+  });
+
+  test("a token older than the previous rotation counts as reuse", async (t) => {
+    const { sessions, refreshToken } = await signIn(t);
+    t.mock.method(console, "warn", () => {});
+    const second = await rotateSession(refreshToken, req);
+    await rotateSession(second.refreshToken, req);
+
+    await assert.rejects(rotateSession(refreshToken, req), invalidToken);
+
+    assert.equal(sessions[0].revokedReason, "reuse_detected");
+  });
+
+  test("revoked sessions cannot be refreshed", async (t) => {
+    const { sessions, refreshToken } = await signIn(t);
+    sessions[0].revokedAt = new Date();
+    sessions[0].revokedReason = "logout";
+
+    await assert.rejects(rotateSession(refreshToken, req), invalidToken);
+  });
+
+  test("tokens issued before sessions existed are refused", async (t) => {
+    const { user } = await signIn(t);
+    const legacy = jwt.sign(
+      { _id: user._id },
+      process.env.REFRESH_TOKEN_SECRET,
+      { expiresIn: "1d" }
+    );
+
+    await assert.rejects(rotateSession(legacy, req), invalidToken);
+  });
+
+  test("tokens signed with another secret are refused", async (t) => {
+    const { user, sessionId } = await signIn(t);
+    const forged = jwt.sign({ _id: user._id, sid: sessionId }, "guess");
+
+    await assert.rejects(rotateSession(forged, req), invalidToken);
+  });
+});
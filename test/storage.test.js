@@ -0,0 +1,360 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { mediaUrlReplacer } from "../src/utils/storage/index.js";
+import createLocalDriver from "../src/utils/storage/localDriver.js";
+import createS3Driver from "../src/utils/storage/s3Driver.js";
+import { startMockS3Server } from "./helpers/mockS3Server.js";
+
+const HOUR = 60 * 60;
+
+let tempRoot;
+before(async () => {
+  tempRoot = await fs.mkdtemp(path.join(os.tmpdir(), "storage-test-"));
+});
+after(() => fs.rm(tempRoot, { recursive: true, force: true }));
+
+// A local file with the given contents, as multer or ffmpeg would leave it
+const writeTempFile = async (name, contents) => {
+  const filePath = path.join(
+    tempRoot,
+    `${Date.now()}-${Math.random()}-${name}`
+  );
+  await fs.writeFile(filePath, contents);
+  return filePath;
+};
+
+// A directory tree as written by the HLS transcoder
+const writeTempDir = async (files) => {
+  const dir = await fs.mkdtemp(path.join(tempRoot, "dir-"));
+  for (const [name, contents] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+    await fs.writeFile(path.join(dir, name), contents);
+  }
+  return dir;
+};
+
+const exists = (filePath) =>
+  fs.access(filePath).then(
+    () => true,
+    () => false
+  );
+
+const parseMediaUrl = (url) => {
+  const [expires, signature, ...key] = new URL(url).pathname
+    .split("/")
+    .slice(2);
+  return { expires: parseInt(expires), signature, key: key.join("/") };
+};
+
+describe("s3 driver", () => {
+  let s3;
+  let driver;
+  before(async () => {
+    s3 = await startMockS3Server({ pageSize: 2 });
+    Object.assign(process.env, {
+      S3_BUCKET: "media",
+      S3_ENDPOINT: s3.endpoint,
+      S3_ACCESS_KEY_ID: "minio",
+      S3_SECRET_ACCESS_KEY: "minio-secret",
+    });
+    driver = createS3Driver();
+  });
+  after(() => s3.close());
+
+  test("uploads a file under a fresh key and removes the local copy", async () => {
+    const localPath = await writeTempFile("clip.mp4", "video bytes");
+
+    const result = await driver.upload(localPath, { folder: "videos" });
+
+    assert.match(result.public_id, /^videos\/\d+-[0-9a-f]{16}\.mp4$/);
+    assert.equal(result.secure_url, `${s3.endpoint}/media/${result.public_id}`);
+    assert.equal(result.resource_type, "video");
+    assert.equal(result.bytes, 11);
+    const stored = s3.objects.get(`media/${result.public_id}`);
+    assert.equal(stored.body.toString(), "video bytes");
+    assert.equal(stored.contentType, "video/mp4");
+    assert.equal(await exists(localPath), false);
+  });
+
+  test("resolves with null when the upload fails, and still cleans up", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const localPath = await writeTempFile("thumb.jpg", "jpeg");
+    s3.failNext = true;
+
+    assert.equal(await driver.upload(localPath), null);
+    assert.equal(await exists(localPath), false);
+  });
+
+  test("mirrors a directory and maps each file to its URL", async () => {
+    const dir = await writeTempDir({
+      "master.m3u8": "#EXTM3U",
+      "720p/index.m3u8": "#EXTM3U 720",
+      "720p/segment0.ts": "ts",
+    });
+
+    const { prefix, urls } = await driver.uploadDirectory(dir, {
+      folder: "hls",
+    });
+
+    assert.deepEqual(Object.keys(urls).sort(), [
+      "720p/index.m3u8",
+      "720p/segment0.ts",
+      "master.m3u8",
+    ]);
+    assert.equal(
+      urls["master.m3u8"],
+      `${s3.endpoint}/media/${prefix}/master.m3u8`
+    );
+    assert.equal(
+      s3.objects.get(`media/${prefix}/720p/index.m3u8`).body.toString(),
+      "#EXTM3U 720"
+    );
+    assert.equal(
+      s3.objects.get(`media/${prefix}/720p/index.m3u8`).contentType,
+      "application/vnd.apple.mpegurl"
+    );
+    assert.equal(await exists(dir), false);
+  });
+
+  test("deletes a single object", async () => {
+    const { public_id } = await driver.upload(
+      await writeTempFile("avatar.png", "png")
+    );
+
+    await driver.remove(public_id);
+
+    assert.equal(s3.objects.has(`media/${public_id}`), false);
+  });
+
+  test("deletes every object under a prefix across listing pages", async () => {
+    const dir = await writeTempDir({
+      "a.ts": "1",
+      "b.ts": "2",
+      "c.ts": "3",
+      "nested/d.ts": "4",
+      "nested/e.ts": "5",
+    });
+    const { prefix } = await driver.uploadDirectory(dir, { folder: "hls" });
+    const { public_id: neighbour } = await driver.upload(
+      await writeTempFile("keep.mp4", "keep"),
+      { folder: "hls" }
+    );
+
+    assert.deepEqual(await driver.removeDirectory(prefix), { result: "ok" });
+
+    const remaining = [...s3.objects.keys()];
+    assert.ok(!remaining.some((key) => key.startsWith(`media/${prefix}/`)));
+    assert.ok(remaining.includes(`media/${neighbour}`));
+  });
+
+  test("downloads an object", async () => {
+    const { public_id } = await driver.upload(
+      await writeTempFile("source.mp4", "original upload")
+    );
+    const destination = path.join(tempRoot, "downloaded.mp4");
+
+    await driver.download(public_id, destination);
+
+    assert.equal(await fs.readFile(destination, "utf8"), "original upload");
+  });
+
+  test("presigns GET URLs that expire", async () => {
+    const { public_id } = await driver.upload(
+      await writeTempFile("private.mp4", "secret")
+    );
+
+    const signedUrl = await driver.getSignedUrl(public_id, { expiresIn: 60 });
+
+    const url = new URL(signedUrl);
+    assert.equal(url.origin, s3.endpoint);
+    assert.equal(url.pathname, `/media/${public_id}`);
+    assert.equal(url.searchParams.get("X-Amz-Expires"), "60");
+    assert.ok(url.searchParams.get("X-Amz-Signature"));
+    assert.equal(await (await fetch(signedUrl)).text(), "secret");
+  });
+});
+
+describe("local driver", () => {
+  let driver;
+  let otherSecretDriver;
+  before(() => {
+    Object.assign(process.env, {
+      STORAGE_DRIVER: "local",
+      STORAGE_LOCAL_DIR: path.join(tempRoot, "local"),
+      STORAGE_PUBLIC_URL: "http://media.test",
+      STORAGE_SIGNING_SECRET: "local-secret",
+    });
+    delete process.env.STORAGE_URL_EXPIRY;
+    driver = createLocalDriver();
+
+    process.env.STORAGE_SIGNING_SECRET = "another-secret";
+    otherSecretDriver = createLocalDriver();
+    process.env.STORAGE_SIGNING_SECRET = "local-secret";
+  });
+
+  const resolve = (url) => {
+    const { key, expires, signature } = parseMediaUrl(url);
+    return driver.resolveSignedPath(key, String(expires), signature);
+  };
+
+  const uploadFile = async (name = "clip.mp4") =>
+    driver.upload(await writeTempFile(name, "bytes"), { folder: "videos" });
+
+  test("refuses to start without a signing secret", () => {
+    const secret = process.env.STORAGE_SIGNING_SECRET;
+    delete process.env.STORAGE_SIGNING_SECRET;
+    try {
+      assert.throws(() => createLocalDriver(), /STORAGE_SIGNING_SECRET/);
+    } finally {
+      process.env.STORAGE_SIGNING_SECRET = secret;
+    }
+  });
+
+  test("signs upload URLs for 24 hours by default", async () => {
+    const { secure_url, public_id } = await uploadFile();
+
+    const { expires, key } = parseMediaUrl(secure_url);
+    const lifetime = expires - Math.floor(Date.now() / 1000);
+    assert.equal(key, public_id);
+    assert.ok(lifetime > 24 * HOUR - 5 && lifetime <= 24 * HOUR);
+    assert.equal(await fs.readFile(resolve(secure_url), "utf8"), "bytes");
+  });
+
+  test("rejects expired, never-expiring and forged URLs", async () => {
+    const { public_id } = await uploadFile();
+    const expired = await driver.getSignedUrl(public_id, { expiresIn: -10 });
+    const { signature } = parseMediaUrl(await driver.getSignedUrl(public_id));
+    const forged = await otherSecretDriver.getSignedUrl(public_id);
+
+    assert.equal(resolve(expired), null);
+    assert.equal(driver.resolveSignedPath(public_id, "0", signature), null);
+    assert.equal(resolve(forged), null);
+  });
+
+  test("a file signature does not cover other files", async () => {
+    const first = await uploadFile();
+    const second = await uploadFile();
+    const { expires, signature } = parseMediaUrl(first.secure_url);
+
+    assert.equal(
+      driver.resolveSignedPath(second.public_id, String(expires), signature),
+      null
+    );
+  });
+
+  test("a directory signature covers its files and nothing outside", async () => {
+    const dir = await writeTempDir({
+      "master.m3u8": "#EXTM3U",
+      "720p/index.m3u8": "#EXTM3U 720",
+    });
+    const { prefix, urls } = await driver.uploadDirectory(dir, {
+      folder: "hls",
+    });
+    const { expires, signature } = parseMediaUrl(urls["master.m3u8"]);
+    const at = (key) =>
+      driver.resolveSignedPath(key, String(expires), signature);
+
+    assert.ok(at(`${prefix}/720p/index.m3u8`));
+    assert.equal(at(`${prefix}/../../videos/secret.mp4`), null);
+    assert.equal(at(`${prefix}//master.m3u8`), null);
+    assert.equal(at("hls/another-prefix/master.m3u8"), null);
+  });
+
+  describe("refreshUrl", () => {
+    test("re-signs for the same key, rounded up to the hour", async () => {
+      const { public_id } = await uploadFile();
+      const shortLived = await driver.getSignedUrl(public_id, {
+        expiresIn: 60,
+      });
+
+      const refreshed = driver.refreshUrl(shortLived);
+
+      const { expires, key } = parseMediaUrl(refreshed);
+      assert.equal(key, public_id);
+      assert.equal(expires % HOUR, 0);
+      assert.ok(expires >= Math.floor(Date.now() / 1000) + 24 * HOUR);
+      assert.ok(resolve(refreshed));
+      // Stable within the hour, so browsers can cache the media
+      assert.equal(driver.refreshUrl(shortLived), refreshed);
+    });
+
+    test("renews expired and never-expiring URLs that carry our signature", async () => {
+      const { public_id } = await uploadFile();
+      const expired = await driver.getSignedUrl(public_id, { expiresIn: -60 });
+
+      assert.ok(resolve(driver.refreshUrl(expired)));
+    });
+
+    test("keeps a directory scope instead of widening or narrowing it", async () => {
+      const dir = await writeTempDir({
+        "master.m3u8": "#EXTM3U",
+        "720p/index.m3u8": "#EXTM3U 720",
+      });
+      const { prefix, urls } = await driver.uploadDirectory(dir, {
+        folder: "hls",
+      });
+
+      const { expires, signature } = parseMediaUrl(
+        driver.refreshUrl(urls["master.m3u8"])
+      );
+
+      assert.ok(
+        driver.resolveSignedPath(
+          `${prefix}/720p/index.m3u8`,
+          String(expires),
+          signature
+        )
+      );
+      const fileUrl = await driver.getSignedUrl(`${prefix}/master.m3u8`);
+      const fileScoped = parseMediaUrl(driver.refreshUrl(fileUrl));
+      assert.equal(
+        driver.resolveSignedPath(
+          `${prefix}/720p/index.m3u8`,
+          String(fileScoped.expires),
+          fileScoped.signature
+        ),
+        null
+      );
+    });
+
+    test("leaves forged and foreign URLs unchanged", async () => {
+      const { public_id } = await uploadFile();
+      const forged = await otherSecretDriver.getSignedUrl(public_id);
+      const foreign = "https://cdn.example.com/media/0/abc/videos/clip.mp4";
+
+      assert.equal(driver.refreshUrl(forged), forged);
+      assert.equal(driver.refreshUrl(foreign), foreign);
+      assert.equal(
+        driver.refreshUrl("http://media.test/media/nope"),
+        "http://media.test/media/nope"
+      );
+    });
+  });
+
+  describe("mediaUrlReplacer", () => {
+    test("renews stored media fields but not text users wrote", async () => {
+      const { public_id } = await uploadFile();
+      const leaked = await driver.getSignedUrl(public_id, { expiresIn: 60 });
+
+      const sent = JSON.parse(
+        JSON.stringify(
+          {
+            videoFile: { url: leaked },
+            owner: { avatar: leaked },
+            content: leaked,
+            description: `watch ${leaked}`,
+          },
+          mediaUrlReplacer
+        )
+      );
+
+      assert.notEqual(sent.videoFile.url, leaked);
+      assert.notEqual(sent.owner.avatar, leaked);
+      assert.equal(sent.content, leaked);
+      assert.equal(sent.description, `watch ${leaked}`);
+    });
+  });
+});
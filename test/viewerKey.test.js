@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { getViewerKey } from "../src/utils/viewerKey.js";
+
+const anonymousRequest = (ip, userAgent) => ({
+  ip,
+  get: (header) => (header === "user-agent" ? userAgent : undefined),
+});
+
+describe("getViewerKey", () => {
+  test("anonymous clients on one address are one viewer", () => {
+    assert.equal(
+      getViewerKey(anonymousRequest("198.51.100.4", "Firefox")),
+      getViewerKey(anonymousRequest("198.51.100.4", "curl/8.0"))
+    );
+  });
+
+  test("anonymous clients on different addresses are different viewers", () => {
+    assert.notEqual(
+      getViewerKey(anonymousRequest("198.51.100.4", "Firefox")),
+      getViewerKey(anonymousRequest("198.51.100.5", "Firefox"))
+    );
+  });
+
+  test("keys do not reveal the address", () => {
+    const key = getViewerKey(anonymousRequest("198.51.100.4"));
+    assert.match(key, /^anon:[0-9a-f]{64}$/);
+  });
+
+  test("signed-in viewers are keyed on their account", () => {
+    const req = { ...anonymousRequest("198.51.100.4"), user: { _id: "abc" } };
+    assert.equal(getViewerKey(req), "user:abc");
+  });
+});